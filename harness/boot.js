@@ -0,0 +1,31 @@
+/**
+ * 命令行冒烟检查：在 Node 里启动游戏，跑到主菜单
+ *
+ *   node harness/boot.js                 启动到 menu
+ *   node harness/boot.js planePreload    再进入指定 state 运行 3 秒
+ *
+ * 成功退出码为 0，任何异常或超时退出码为 1。
+ */
+var createHarness = require('./index.js');
+
+var key = process.argv[2];
+var harness = createHarness();
+
+try {
+  harness.boot();
+  harness.runUntilState('menu');
+
+  if (key) {
+    harness.game.state.start(key);
+    harness.runUntil(function() {
+      return harness.states.indexOf(key) !== -1 && harness.game.state.created;
+    });
+    harness.advance(3000);
+  }
+
+  console.log('states: ' + harness.states.join(' -> '));
+  harness.destroy();
+} catch (e) {
+  console.error(e && e.stack || e);
+  process.exit(1);
+}
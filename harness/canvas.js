@@ -0,0 +1,323 @@
+/**
+ * 内存中的 Canvas / Image 替身
+ *
+ * 不做真正的光栅化：2D context 只维护状态、统计绘制调用，并按字号估算文字宽度，
+ * 足够让 Phaser 和 PIXI 正常创建纹理、测量文字、生成 BitmapData。
+ */
+var fs = require('fs');
+var path = require('path');
+
+var DEFAULT_FONT = '10px sans-serif';
+
+var STATE_KEYS = [
+  'fillStyle', 'strokeStyle', 'globalAlpha', 'globalCompositeOperation', 'lineWidth',
+  'lineCap', 'lineJoin', 'miterLimit', 'font', 'textAlign', 'textBaseline',
+  'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'imageSmoothingEnabled'
+];
+
+// 只统计调用次数的绘制方法
+var DRAW_OPS = [
+  'fillRect', 'strokeRect', 'clearRect', 'fillText', 'strokeText', 'drawImage', 'putImageData',
+  'fill', 'stroke', 'clip', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo',
+  'rect', 'quadraticCurveTo', 'bezierCurveTo', 'ellipse'
+];
+
+/**
+ * 从 "bold 32px Arial" 这样的字体串里取出像素字号
+ */
+function fontSize(font) {
+  var m = /(\d+(?:\.\d+)?)px/.exec(font || '');
+  return m ? parseFloat(m[1]) : 10;
+}
+
+/**
+ * 估算单个字符宽度：全角字符按一个字号宽，半角按 0.55 个字号宽
+ */
+function charWidth(code, size) {
+  if (code >= 0x2e80 && code <= 0x9fff || code >= 0xac00 && code <= 0xd7af || code >= 0xff00 && code <= 0xffef || code >= 0x3000 && code <= 0x303f) {
+    return size;
+  }
+  return size * 0.55;
+}
+
+function measure(text, font) {
+  var size = fontSize(font);
+  var width = 0;
+  text = String(text);
+  for (var i = 0; i < text.length; i++) {
+    width += charWidth(text.charCodeAt(i), size);
+  }
+  return width;
+}
+
+class FakeGradient {
+
+  constructor() {
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset: offset, color: color });
+  }
+
+}
+
+class FakeContext2D {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.miterLimit = 10;
+    this.font = DEFAULT_FONT;
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.shadowColor = 'rgba(0, 0, 0, 0)';
+    this.shadowBlur = 0;
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+    this.imageSmoothingEnabled = true;
+    // 当前变换矩阵 [a, b, c, d, e, f]
+    this.matrix = [1, 0, 0, 1, 0, 0];
+
+    // 每种绘制调用的次数，测试里可以用来断言“确实画过”
+    this.ops = {};
+    this._stack = [];
+  }
+
+  save() {
+    var state = { matrix: this.matrix.slice() };
+    for (var i = 0; i < STATE_KEYS.length; i++) {
+      state[STATE_KEYS[i]] = this[STATE_KEYS[i]];
+    }
+    this._stack.push(state);
+  }
+
+  restore() {
+    var state = this._stack.pop();
+    if (!state) {
+      return;
+    }
+    for (var key in state) {
+      this[key] = state[key];
+    }
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.matrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  transform(a, b, c, d, e, f) {
+    var m = this.matrix;
+    this.matrix = [
+      m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+      m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+      m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]
+    ];
+  }
+
+  translate(x, y) {
+    this.matrix[4] += this.matrix[0] * x + this.matrix[2] * y;
+    this.matrix[5] += this.matrix[1] * x + this.matrix[3] * y;
+  }
+
+  scale(x, y) {
+    this.matrix[0] *= x;
+    this.matrix[1] *= x;
+    this.matrix[2] *= y;
+    this.matrix[3] *= y;
+  }
+
+  rotate(angle) {
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var m = this.matrix;
+    this.matrix = [
+      m[0] * cos + m[2] * sin, m[1] * cos + m[3] * sin,
+      m[2] * cos - m[0] * sin, m[3] * cos - m[1] * sin,
+      m[4], m[5]
+    ];
+  }
+
+  measureText(text) {
+    return { width: measure(text, this.font) };
+  }
+
+  createLinearGradient() {
+    return new FakeGradient();
+  }
+
+  createRadialGradient() {
+    return new FakeGradient();
+  }
+
+  createPattern() {
+    return {};
+  }
+
+  createImageData(width, height) {
+    if (typeof width === 'object') {
+      height = width.height;
+      width = width.width;
+    }
+    return { width: width, height: height, data: new Uint8ClampedArray(width * height * 4) };
+  }
+
+  getImageData(x, y, width, height) {
+    return this.createImageData(Math.max(1, Math.ceil(width)), Math.max(1, Math.ceil(height)));
+  }
+
+  isPointInPath() {
+    return false;
+  }
+
+  setLineDash() {
+  }
+
+  getLineDash() {
+    return [];
+  }
+
+}
+
+DRAW_OPS.forEach(function(op) {
+  FakeContext2D.prototype[op] = function() {
+    this.ops[op] = (this.ops[op] || 0) + 1;
+  };
+});
+
+/**
+ * wx.createCanvas() 的返回值
+ * 注意 weapp-adapter 会改写 canvas.__proto__.__proto__，所以这里不能继承别的类
+ */
+class FakeCanvas {
+
+  constructor(width, height) {
+    this.width = width === undefined ? 300 : width;
+    this.height = height === undefined ? 150 : height;
+    this._context = null;
+  }
+
+  getContext(type) {
+    if (type !== '2d') {
+      return null;
+    }
+    if (!this._context) {
+      this._context = new FakeContext2D(this);
+    }
+    return this._context;
+  }
+
+  toDataURL() {
+    return 'data:image/png;base64,';
+  }
+
+  toTempFilePath(options) {
+    options && options.success && options.success({ tempFilePath: 'tmp/canvas.png' });
+  }
+
+}
+
+/**
+ * 读取 png / jpg 文件头里的尺寸，读不出来返回 null
+ */
+function imageSize(file) {
+  var buf;
+  try {
+    buf = fs.readFileSync(file);
+  } catch (e) {
+    return null;
+  }
+
+  // png: IHDR 紧跟在 8 字节签名之后
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  // jpg: 找到 SOF 段
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    var offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) {
+        return null;
+      }
+      var marker = buf[offset + 1];
+      var length = buf.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * wx.createImage() 的返回值
+ * 设置 src 后在下一个时钟回合触发 onload / onerror；
+ * 本地路径相对工程根目录解析，网络图片（头像）一律当作 132x132 加载成功
+ */
+function createImageClass(root, clock) {
+
+  return class FakeImage {
+
+    constructor() {
+      this.width = 0;
+      this.height = 0;
+      this.complete = false;
+      this.onload = null;
+      this.onerror = null;
+      this._src = '';
+    }
+
+    get src() {
+      return this._src;
+    }
+
+    set src(value) {
+      var self = this;
+      this._src = value;
+      this.complete = false;
+
+      var size;
+      if (/^data:/.test(value)) {
+        size = { width: 1, height: 1 };
+      } else if (/^(https?|wxfile):/.test(value)) {
+        size = { width: 132, height: 132 };
+      } else {
+        size = imageSize(path.join(root, value));
+      }
+
+      clock.setTimeout(function() {
+        if (size) {
+          self.width = self.naturalWidth = size.width;
+          self.height = self.naturalHeight = size.height;
+          self.complete = true;
+          self.onload && self.onload({ type: 'load' });
+        } else {
+          self.onerror && self.onerror({ type: 'error', errMsg: 'image not found: ' + value });
+        }
+      }, 0);
+    }
+
+  };
+
+}
+
+module.exports = {
+  FakeCanvas: FakeCanvas,
+  FakeContext2D: FakeContext2D,
+  createImageClass: createImageClass,
+  imageSize: imageSize,
+  measure: measure
+};
@@ -0,0 +1,114 @@
+/**
+ * 可手动推进的时钟
+ *
+ * 接管 Date.now、setTimeout、setInterval 和 requestAnimationFrame，
+ * 让 Phaser 的 Timer、Tween 和主循环完全由测试代码逐帧驱动，结果可复现。
+ */
+
+// 2018-05-27 00:00:00 UTC，和仓库的时间差不多，方便看日志
+var EPOCH = 1527379200000;
+
+var FRAME = 1000 / 60;
+
+class Clock {
+
+  constructor(now) {
+    this.now = now === undefined ? EPOCH : now;
+    this.frame = 0;
+    this._timers = [];
+    this._frames = [];
+    this._nextId = 1;
+  }
+
+  setTimeout(fn, delay) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    var id = this._nextId++;
+    this._timers.push({ id: id, at: this.now + (delay || 0), fn: fn, args: args, interval: 0 });
+    return id;
+  }
+
+  setInterval(fn, delay) {
+    var id = this.setTimeout.apply(this, arguments);
+    this._timers[this._timers.length - 1].interval = Math.max(1, delay || 0);
+    return id;
+  }
+
+  clearTimeout(id) {
+    this._timers = this._timers.filter(function(timer) {
+      return timer.id !== id;
+    });
+  }
+
+  clearInterval(id) {
+    this.clearTimeout(id);
+  }
+
+  requestAnimationFrame(fn) {
+    var id = this._nextId++;
+    this._frames.push({ id: id, fn: fn });
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this._frames = this._frames.filter(function(frame) {
+      return frame.id !== id;
+    });
+  }
+
+  /**
+   * 执行所有已经到期的定时器（包括执行过程中新加入的 0 延时定时器）
+   */
+  flush() {
+    var guard = 10000;
+    while (guard--) {
+      var due = null;
+      for (var i = 0; i < this._timers.length; i++) {
+        var timer = this._timers[i];
+        if (timer.at <= this.now && (!due || timer.at < due.at)) {
+          due = timer;
+        }
+      }
+      if (!due) {
+        return;
+      }
+      if (due.interval) {
+        due.at += due.interval;
+      } else {
+        this._timers.splice(this._timers.indexOf(due), 1);
+      }
+      due.fn.apply(null, due.args);
+    }
+    throw new Error('Clock.flush: timers keep rescheduling themselves');
+  }
+
+  /**
+   * 前进一帧：推进时间、触发到期定时器、执行本帧之前登记的 rAF 回调
+   */
+  step() {
+    this.now += FRAME;
+    this.frame++;
+    this.flush();
+
+    var frames = this._frames;
+    this._frames = [];
+    for (var i = 0; i < frames.length; i++) {
+      frames[i].fn(this.now);
+    }
+  }
+
+  /**
+   * 按 60fps 前进 ms 毫秒
+   */
+  tick(ms) {
+    var frames = Math.max(1, Math.round(ms / FRAME));
+    for (var i = 0; i < frames; i++) {
+      this.step();
+    }
+  }
+
+}
+
+Clock.EPOCH = EPOCH;
+Clock.FRAME = FRAME;
+
+module.exports = Clock;
@@ -0,0 +1,262 @@
+/**
+ * 无头运行小游戏
+ *
+ *   var createHarness = require('./harness');
+ *   var h = createHarness();
+ *   h.boot();
+ *   h.runUntilState('menu');
+ *   h.tap(126, 82);
+ *
+ * 同一时间只能有一个 harness，它会接管全局的 wx、canvas、Date.now 和定时器，
+ * 用完记得 destroy()。
+ */
+var path = require('path');
+var Clock = require('./clock.js');
+var loader = require('./loader.js');
+var canvasModule = require('./canvas.js');
+var createWx = require('./wx.js').createWx;
+
+var ROOT = path.resolve(__dirname, '..');
+
+// weapp-adapter 会把这些属性挂到全局，Node 里有一部分是只读的，先接管下来
+var ADAPTER_GLOBALS = [
+  'GameGlobal', 'wx', 'window', 'canvas', 'document', 'navigator', 'performance', 'screen',
+  'innerWidth', 'innerHeight', 'devicePixelRatio', 'ontouchstart', 'ontouchmove', 'ontouchend',
+  'HTMLElement', 'HTMLImageElement', 'HTMLCanvasElement', 'XMLHttpRequest', 'WebSocket',
+  'Image', 'Audio', 'FileReader', 'localStorage', 'location',
+  'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'top', 'parent'
+];
+
+var active = null;
+
+function createHarness(options) {
+  options = options || {};
+
+  if (active) {
+    throw new Error('createHarness: destroy() the previous harness first');
+  }
+
+  var clock = new Clock(options.now);
+  var Image = canvasModule.createImageClass(ROOT, clock);
+  var env = createWx(clock, Image, options);
+  var saved = {};
+  var savedNow = Date.now;
+  var touchId = 0;
+  var touches = {};
+  var requireMain = loader.createRequire(ROOT);
+  var requireOpen = loader.createRequire(ROOT, { wx: env.openWx });
+  var ownKeys = Object.getOwnPropertyNames(global);
+
+  ADAPTER_GLOBALS.concat(Object.keys(options.globals || {})).forEach(function(key) {
+    saved[key] = Object.getOwnPropertyDescriptor(global, key);
+    Object.defineProperty(global, key, { value: undefined, writable: true, configurable: true, enumerable: false });
+  });
+
+  global.GameGlobal = global;
+  global.wx = env.wx;
+  global.setTimeout = clock.setTimeout.bind(clock);
+  global.setInterval = clock.setInterval.bind(clock);
+  global.clearTimeout = clock.clearTimeout.bind(clock);
+  global.clearInterval = clock.clearInterval.bind(clock);
+  global.requestAnimationFrame = clock.requestAnimationFrame.bind(clock);
+  global.cancelAnimationFrame = clock.cancelAnimationFrame.bind(clock);
+  Object.assign(global, options.globals);
+  Date.now = function() {
+    return Math.floor(clock.now);
+  };
+
+  function emitTouch(listeners, changed) {
+    var list = Object.keys(touches).map(function(id) {
+      return touches[id];
+    });
+    listeners.emit({
+      touches: list,
+      changedTouches: changed,
+      timeStamp: Date.now()
+    });
+  }
+
+  function makeTouch(id, x, y) {
+    return { identifier: id, clientX: x, clientY: y, pageX: x, pageY: y, screenX: x, screenY: y, force: 1 };
+  }
+
+  var harness = {
+    root: ROOT,
+    clock: clock,
+    wx: env.wx,
+    openWx: env.openWx,
+    env: env,
+    game: null,
+    Phaser: null,
+
+    // 开放数据域的模块仓库，boot() 时按 game.json 的 openDataContext 加载
+    openData: null,
+
+    /**
+     * 按 game.js 的顺序加载 weapp-adapter 和 js/main.js，返回创建出来的 Phaser.Game
+     */
+    boot: function() {
+      if (options.openData !== false) {
+        harness.openData = requireOpen('/' + require(path.join(ROOT, 'game.json')).openDataContext + '/index.js');
+      }
+
+      requireMain('./game.js');
+
+      harness.Phaser = loader.interop(requireMain('js/libs/phaser-wx.js')).default;
+      harness.game = harness.Phaser.GAMES[harness.Phaser.GAMES.length - 1];
+      harness.states = [];
+      harness.game.state.onStateChange.add(function(key) {
+        harness.states.push(key);
+      });
+
+      // DOMContentLoaded 之类的启动流程在下一个回合完成
+      clock.flush();
+      return harness.game;
+    },
+
+    /**
+     * 用同一个模块仓库加载任意源码文件，路径相对工程根目录
+     */
+    require: function(file) {
+      return requireMain(file);
+    },
+
+    /**
+     * 用开放数据域的模块仓库加载文件，wx 是开放数据域那份
+     */
+    requireOpen: function(file) {
+      return requireOpen(file);
+    },
+
+    step: function(frames) {
+      for (var i = 0; i < (frames || 1); i++) {
+        clock.step();
+      }
+    },
+
+    advance: function(ms) {
+      clock.tick(ms);
+    },
+
+    /**
+     * 逐帧运行直到 predicate 返回真，超过 timeout 毫秒则抛错
+     */
+    runUntil: function(predicate, timeout) {
+      var limit = clock.now + (timeout || 10000);
+      while (!predicate()) {
+        if (clock.now > limit) {
+          throw new Error('runUntil: timed out after ' + (timeout || 10000) + 'ms');
+        }
+        clock.step();
+      }
+    },
+
+    /**
+     * 运行直到指定 state 完成 create
+     */
+    runUntilState: function(key, timeout) {
+      var game = harness.game;
+      harness.runUntil(function() {
+        return game.state.current === key && game.state.created;
+      }, timeout);
+      return game.state.getCurrentState();
+    },
+
+    touchStart: function(x, y) {
+      var id = touchId++;
+      touches[id] = makeTouch(id, x, y);
+      emitTouch(env.touch.start, [touches[id]]);
+      return id;
+    },
+
+    touchMove: function(id, x, y) {
+      touches[id] = makeTouch(id, x, y);
+      emitTouch(env.touch.move, [touches[id]]);
+    },
+
+    touchEnd: function(id) {
+      var touch = touches[id];
+      delete touches[id];
+      emitTouch(env.touch.end, [touch]);
+    },
+
+    /**
+     * 在 (x, y) 处按下、停一帧、抬起、再跑一帧让 Phaser 处理输入
+     */
+    tap: function(x, y) {
+      var id = harness.touchStart(x, y);
+      clock.step();
+      harness.touchEnd(id);
+      clock.step();
+    },
+
+    /**
+     * 从 (x1, y1) 拖到 (x2, y2)，duration 毫秒内逐帧移动
+     */
+    drag: function(x1, y1, x2, y2, duration) {
+      var frames = Math.max(1, Math.round((duration || 200) / Clock.FRAME));
+      var id = harness.touchStart(x1, y1);
+      clock.step();
+      for (var i = 1; i <= frames; i++) {
+        harness.touchMove(id, x1 + (x2 - x1) * i / frames, y1 + (y2 - y1) * i / frames);
+        clock.step();
+      }
+      harness.touchEnd(id);
+      clock.step();
+    },
+
+    /**
+     * 在弹出的键盘里输入，text 是输入框里的完整内容；confirm 模拟点键盘上的确认
+     */
+    type: function(text) {
+      env.keyboard.type(text);
+      clock.step();
+    },
+
+    confirmKeyboard: function() {
+      env.keyboard.confirm();
+      clock.step();
+    },
+
+    /**
+     * 模拟切到后台 / 回到前台
+     */
+    hide: function() {
+      env.hide.emit({});
+      clock.flush();
+    },
+
+    show: function(res) {
+      env.show.emit(res || { scene: 1001, query: {} });
+      clock.flush();
+    },
+
+    destroy: function() {
+      if (harness.game) {
+        harness.game.destroy();
+        harness.game = null;
+      }
+      Date.now = savedNow;
+      // adapter 注入的其它全局变量（包括 __isAdapterInjected）一并清掉
+      Object.getOwnPropertyNames(global).forEach(function(key) {
+        if (ownKeys.indexOf(key) === -1 && !saved.hasOwnProperty(key)) {
+          delete global[key];
+        }
+      });
+      Object.keys(saved).forEach(function(key) {
+        if (saved[key]) {
+          Object.defineProperty(global, key, saved[key]);
+        } else {
+          delete global[key];
+        }
+      });
+      active = null;
+    }
+  };
+
+  active = harness;
+  return harness;
+}
+
+module.exports = createHarness;
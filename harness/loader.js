@@ -0,0 +1,135 @@
+/**
+ * 小游戏模块加载器
+ *
+ * 微信开发者工具会把 ES6 模块编译成 CommonJS，并且按文件所在目录解析路径
+ * （main.js 里的 'libs/phaser-wx.js' 就是相对于 js/ 的）。这里用同样的规则
+ * 在 Node 里加载游戏源码，不依赖任何打包工具。
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var IMPORT_DEFAULT = /^\s*import\s+([\w$]+)\s+from\s+['"]([^'"]+)['"]\s*;?/;
+var IMPORT_NAMED = /^\s*import\s+\{([^}]*)\}\s+from\s+['"]([^'"]+)['"]\s*;?/;
+var IMPORT_BARE = /^\s*import\s+['"]([^'"]+)['"]\s*;?/;
+var EXPORT_DEFAULT_DECL = /^(\s*)export\s+default\s+(class|function)\s+([\w$]+)/;
+var EXPORT_DEFAULT = /^(\s*)export\s+default\s+/;
+var EXPORT_DECL = /^(\s*)export\s+(class|function|var|let|const)\s+([\w$]+)/;
+var EXPORT_LIST = /^\s*export\s+\{([^}]*)\}\s*;?/;
+
+/**
+ * 把一个 ES6 模块源码逐行转换成 CommonJS
+ * 只支持本仓库用到的写法：默认/具名导入、裸导入、默认/具名导出
+ */
+function compile(source) {
+  var lines = source.split('\n');
+  var header = [];
+  var footer = [];
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var m;
+
+    if ((m = line.match(IMPORT_DEFAULT))) {
+      header.push('var ' + m[1] + ' = __interop(require(' + JSON.stringify(m[2]) + ')).default;');
+      lines[i] = line.slice(m[0].length);
+    } else if ((m = line.match(IMPORT_NAMED))) {
+      var tmp = '__import' + i;
+      header.push('var ' + tmp + ' = require(' + JSON.stringify(m[2]) + ');');
+      m[1].split(',').forEach(function(spec) {
+        var parts = spec.trim().split(/\s+as\s+/);
+        if (parts[0]) {
+          header.push('var ' + (parts[1] || parts[0]) + ' = ' + tmp + '.' + parts[0] + ';');
+        }
+      });
+      lines[i] = line.slice(m[0].length);
+    } else if ((m = line.match(IMPORT_BARE))) {
+      header.push('require(' + JSON.stringify(m[1]) + ');');
+      lines[i] = line.slice(m[0].length);
+    } else if ((m = line.match(EXPORT_DEFAULT_DECL))) {
+      lines[i] = m[1] + m[2] + ' ' + m[3] + line.slice(m[0].length);
+      footer.push('exports.default = ' + m[3] + ';');
+    } else if ((m = line.match(EXPORT_DEFAULT))) {
+      lines[i] = m[1] + 'exports.default = ' + line.slice(m[0].length);
+    } else if ((m = line.match(EXPORT_DECL))) {
+      lines[i] = m[1] + m[2] + ' ' + m[3] + line.slice(m[0].length);
+      footer.push('exports.' + m[3] + ' = ' + m[3] + ';');
+    } else if ((m = line.match(EXPORT_LIST))) {
+      m[1].split(',').forEach(function(spec) {
+        var parts = spec.trim().split(/\s+as\s+/);
+        if (parts[0]) {
+          footer.push('exports.' + (parts[1] || parts[0]) + ' = ' + parts[0] + ';');
+        }
+      });
+      lines[i] = line.slice(m[0].length);
+    }
+  }
+
+  // 导入语句和开发者工具一样提升到文件头部，行数保持不变方便对照报错位置
+  return '"use strict";Object.defineProperty(exports, "__esModule", {value: true});' +
+    header.join('') + lines.join('\n') + '\n' + footer.join('\n');
+}
+
+function interop(obj) {
+  return obj && obj.__esModule ? obj : { default: obj };
+}
+
+/**
+ * 创建一个独立的模块仓库
+ * root 是小游戏工程根目录；globals 中的变量会作为每个模块的局部变量注入，
+ * 开放数据域就是靠它拿到自己的 wx
+ */
+function createRequire(root, globals) {
+  var cache = {};
+  var names = Object.keys(globals || {});
+  var values = names.map(function(name) {
+    return globals[name];
+  });
+
+  function resolve(from, request) {
+    var file = request.charAt(0) === '/' ?
+      path.join(root, request) :
+      path.resolve(path.dirname(from), request);
+    if (!path.extname(file)) {
+      file += '.js';
+    }
+    return file;
+  }
+
+  function load(file) {
+    if (cache[file]) {
+      return cache[file].exports;
+    }
+
+    var module = cache[file] = { id: file, exports: {} };
+    var source = fs.readFileSync(file, 'utf8');
+    var wrapper = vm.runInThisContext(
+      '(function (exports, require, module, __filename, __dirname, __interop' +
+      (names.length ? ', ' + names.join(', ') : '') + ') {' + compile(source) + '\n})',
+      { filename: file }
+    );
+
+    var localRequire = function(request) {
+      return load(resolve(file, request));
+    };
+
+    try {
+      wrapper.apply(module.exports, [module.exports, localRequire, module, file, path.dirname(file), interop].concat(values));
+    } catch (e) {
+      delete cache[file];
+      throw e;
+    }
+
+    return module.exports;
+  }
+
+  return function(request) {
+    return load(resolve(path.join(root, 'game.js'), request));
+  };
+}
+
+module.exports = {
+  compile: compile,
+  interop: interop,
+  createRequire: createRequire
+};
@@ -0,0 +1,56 @@
+/**
+ * 在 Node 里重演飞机大战的回放，检查最终得分和录制时是否一致
+ *
+ *   node harness/replay.js replay.json
+ *
+ * replay.json 是游戏存下的回放数据（本地存储 plane.replay 的值）。
+ * 也可以在脚本里用：
+ *
+ *   var runReplay = require('./harness/replay.js');
+ *   var result = runReplay(blob);   // {score, expected, frames, matched}
+ *
+ * 命令行方式得分一致时退出码为 0，否则为 1。
+ */
+var fs = require('fs');
+var createHarness = require('./index.js');
+
+// 回放时最长的慢动作倍数，用来估算超时
+var MAX_SLOW_MOTION = 3;
+
+function runReplay(blob, options) {
+  var data = JSON.parse(blob);
+  var harness = createHarness(options);
+
+  try {
+    harness.boot();
+    harness.runUntilState('menu');
+    harness.game.state.start('planePreload', true, false, 'game', {replay: blob});
+
+    var state = harness.runUntilState('planeGame');
+    harness.runUntil(function() {
+      return state.isOver;
+    }, (data.frames * MAX_SLOW_MOTION + 600) * 1000 / 60);
+
+    return {
+      score: state.score,
+      expected: data.score,
+      frames: state.replayPlugin.frame,
+      matched: state.score === data.score
+    };
+  } finally {
+    harness.destroy();
+  }
+}
+
+module.exports = runReplay;
+
+if (require.main === module) {
+  try {
+    var result = runReplay(fs.readFileSync(process.argv[2], 'utf8'));
+    console.log('score ' + result.score + ', expected ' + result.expected + ', frames ' + result.frames);
+    process.exit(result.matched ? 0 : 1);
+  } catch (e) {
+    console.error(e && e.stack || e);
+    process.exit(1);
+  }
+}
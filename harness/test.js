@@ -0,0 +1,19 @@
+/**
+ * 运行 harness/test 下所有的 *.test.js
+ *
+ *   node harness/test.js              全部
+ *   node harness/test.js replay       只跑文件名包含 replay 的
+ *
+ * 测试用 Node 自带的 node:test 和 assert 写，需要 Node 18 以上。有失败时退出码为 1。
+ */
+var fs = require('fs');
+var path = require('path');
+
+var dir = path.join(__dirname, 'test');
+var filter = process.argv[2] || '';
+
+fs.readdirSync(dir).filter(function(file) {
+  return /\.test\.js$/.test(file) && file.indexOf(filter) !== -1;
+}).sort().forEach(function(file) {
+  require(path.join(dir, file));
+});
@@ -0,0 +1,116 @@
+/**
+ * 云端成绩记录：max / min / latest 合并规则、跨周清零、旧 key 清理，云存储用 MockOpenDataApi
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+var DAY = 24 * 3600 * 1000;
+
+describe('CloudRecordStore', function() {
+  var harness;
+  var CloudRecordStore;
+  var MockOpenDataApi;
+
+  before(function() {
+    harness = createHarness();
+    CloudRecordStore = harness.requireOpen('js/openData/CloudRecordStore.js').default;
+    MockOpenDataApi = harness.requireOpen('js/openData/MockOpenDataApi.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  function setup(values, staleKeys) {
+    var api = new MockOpenDataApi({ self: { openid: 'me', nickname: 'me', avatarUrl: '', values: values || {} } });
+    var store = new CloudRecordStore(api, staleKeys);
+    return {
+      api: api,
+      store: store,
+      submit: function(score, rule, best) {
+        var reply = null;
+        store.submit('planeScore', score, best, 'normal', rule || 'max', function(error, result) {
+          reply = { error: error, result: result };
+        });
+        harness.clock.flush();
+        return reply;
+      },
+      saved: function() {
+        return JSON.parse(api.self.values.planeScore);
+      }
+    };
+  }
+
+  it('keeps the highest score with the max rule', function() {
+    var cloud = setup();
+    assert.strictEqual(cloud.submit(100).result.changed, true);
+    assert.strictEqual(cloud.submit(80).result.changed, false);
+    assert.strictEqual(cloud.saved().best, 100);
+    assert.strictEqual(cloud.submit(150).result.record.best, 150);
+    assert.strictEqual(cloud.saved().week, 150);
+  });
+
+  it('keeps the lowest score with the min rule', function() {
+    var cloud = setup();
+    cloud.submit(50, 'min');
+    assert.strictEqual(cloud.submit(70, 'min').result.changed, false);
+    cloud.submit(30, 'min');
+    assert.strictEqual(cloud.saved().best, 30);
+  });
+
+  it('always takes the newest score with the latest rule', function() {
+    var cloud = setup();
+    cloud.submit(100, 'latest');
+    cloud.submit(80, 'latest');
+    assert.strictEqual(cloud.saved().best, 80);
+  });
+
+  it('uses the local best to fill in a best the cloud never got', function() {
+    var cloud = setup();
+    cloud.submit(20, 'max', 90);
+    assert.strictEqual(cloud.saved().best, 90);
+    assert.strictEqual(cloud.saved().week, 20);
+  });
+
+  it('starts a new week score after the week is over', function() {
+    var cloud = setup();
+    var start = harness.clock.now;
+    try {
+      cloud.submit(100);
+      // 直接拨时钟，不用一帧一帧跑完一周
+      harness.clock.now = start + 7 * DAY;
+      var reply = cloud.submit(40);
+      assert.strictEqual(reply.result.changed, true);
+      assert.strictEqual(cloud.saved().best, 100);
+      assert.strictEqual(cloud.saved().week, 40);
+      assert.ok(cloud.saved().weekStart > start - 7 * DAY);
+    } finally {
+      harness.clock.now = start;
+    }
+  });
+
+  it('upgrades records stored as plain numbers', function() {
+    var cloud = setup({ planeScore: '90' });
+    var reply = cloud.submit(10);
+    assert.strictEqual(reply.result.changed, true);
+    assert.strictEqual(cloud.saved().v, 1);
+    assert.strictEqual(cloud.saved().best, 90);
+  });
+
+  it('removes stale keys after the first successful submit', function() {
+    var cloud = setup({ oldScore: '12', other: '1' }, ['oldScore']);
+    cloud.api.fail = true;
+    assert.ok(cloud.submit(300).error);
+    assert.ok(cloud.api.self.values.hasOwnProperty('oldScore'));
+
+    // 失败的成绩留在内存里，下次提交时一起写上去
+    cloud.api.fail = false;
+    cloud.submit(10);
+    assert.strictEqual(cloud.saved().best, 300);
+    assert.deepStrictEqual(Object.keys(cloud.api.self.values).sort(), ['other', 'planeScore']);
+  });
+});
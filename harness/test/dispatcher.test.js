@@ -0,0 +1,141 @@
+/**
+ * 开放数据域的消息分发：协议校验、错误回复和状态记录
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+describe('Dispatcher', function() {
+  var harness;
+  var Dispatcher;
+
+  before(function() {
+    harness = createHarness();
+    Dispatcher = harness.requireOpen('js/openData/Dispatcher.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  function message(id, action, payload, v) {
+    return { v: v === undefined ? 1 : v, id: id, action: action, payload: payload };
+  }
+
+  it('passes the payload with defaults filled in to the handler', function() {
+    var dispatcher = new Dispatcher();
+    var received = null;
+    dispatcher.register('SHOW_RANKING_LIST', function(payload, done) {
+      received = payload;
+      done(null, 'drawn');
+    });
+
+    var status = dispatcher.dispatch(message(1, 'SHOW_RANKING_LIST', { key: 'planeScore', page: 2 }));
+    assert.deepStrictEqual(received, { key: 'planeScore', page: 2, pageSize: 10, order: 'desc', field: 'best' });
+    assert.strictEqual(status.state, 'ok');
+    assert.strictEqual(status.result, 'drawn');
+    assert.strictEqual(dispatcher.getStatus(1), status);
+  });
+
+  it('replies with an error for invalid messages', function() {
+    var dispatcher = new Dispatcher();
+    var called = false;
+    dispatcher.register('SHOW_RANKING_LIST', function(payload, done) {
+      called = true;
+      done();
+    });
+    dispatcher.register('RANKING_TOUCH', function(payload, done) {
+      called = true;
+      done();
+    });
+
+    function errorOf(msg) {
+      var status = dispatcher.dispatch(msg);
+      assert.strictEqual(status.state, 'error');
+      assert.strictEqual(status.result, null);
+      return status.error;
+    }
+
+    assert.strictEqual(errorOf(null), 'message must be an object');
+    assert.match(errorOf(message(2, 'SHOW_RANKING_LIST', {}, 2)), /unsupported protocol version 2, expected 1/);
+    assert.match(errorOf(message(3, 'DELETE_EVERYTHING', {})), /unknown action DELETE_EVERYTHING/);
+    assert.match(errorOf(message(4, 'SHOW_RANKING_LIST', { color: 'red' })), /unknown field color/);
+    assert.match(errorOf(message(5, 'SHOW_RANKING_LIST', { pageSize: 100 })), /pageSize out of range/);
+    assert.match(errorOf(message(6, 'SHOW_RANKING_LIST', { page: 1.5, order: 'up' })), /page must be an integer; order must be one of desc, asc/);
+    assert.match(errorOf(message(7, 'SHOW_RANKING_LIST', { key: '1bad key' })), /key must match/);
+    assert.match(errorOf(message(8, 'RANKING_TOUCH', { type: 'start', x: 1 })), /y is required/);
+    assert.ok(!called, 'handler ran for an invalid message');
+  });
+
+  it('reports missing handlers, thrown errors and failed callbacks', function() {
+    var dispatcher = new Dispatcher();
+    var reported = [];
+    dispatcher.onStatus = function(status) {
+      reported.push(status.id + ':' + status.state);
+    };
+    dispatcher.register('GET_SCORE', function() {
+      throw new Error('boom');
+    });
+    dispatcher.register('GET_FRIEND_SCORE', function(payload, done) {
+      done('getFriendCloudStorage:fail');
+      // 只算第一次
+      done(null, 'late');
+    });
+
+    assert.strictEqual(dispatcher.dispatch(message(1, 'SHOW_COMPARISON', { score: 3 })).error, 'no handler for SHOW_COMPARISON');
+    assert.strictEqual(dispatcher.dispatch(message(2, 'GET_SCORE', {})).error, 'boom');
+    var status = dispatcher.dispatch(message(3, 'GET_FRIEND_SCORE', {}));
+    assert.strictEqual(status.error, 'getFriendCloudStorage:fail');
+    assert.strictEqual(status.result, null);
+    assert.deepStrictEqual(reported, ['1:error', '2:error', '3:error']);
+  });
+
+  it('keeps async messages pending until they finish', function() {
+    var dispatcher = new Dispatcher();
+    var finish = null;
+    dispatcher.register('GET_SCORE', function(payload, done) {
+      finish = done;
+    });
+
+    var status = dispatcher.dispatch(message(1, 'GET_SCORE', {}));
+    assert.strictEqual(status.state, 'pending');
+    finish(null, 42);
+    assert.strictEqual(status.state, 'ok');
+    assert.strictEqual(dispatcher.getStatus(1).result, 42);
+  });
+
+  it('switches the drawn language to the locale of the message', function() {
+    var locales = harness.requireOpen('js/openData/locales.js');
+    var dispatcher = new Dispatcher();
+    dispatcher.register('GET_SCORE', function(payload, done) {
+      done(null, locales.t('comparison.passed', { count: 1 }));
+    });
+
+    try {
+      assert.strictEqual(dispatcher.dispatch({ v: 1, id: 1, action: 'GET_SCORE', locale: 'en', payload: {} }).result, 'Passed 1 friend');
+      // 没带 locale 的消息沿用上一次的语言
+      assert.strictEqual(dispatcher.dispatch(message(2, 'GET_SCORE', {})).result, 'Passed 1 friend');
+      assert.strictEqual(dispatcher.dispatch({ v: 1, id: 3, action: 'GET_SCORE', locale: 'zh_CN', payload: {} }).result, '超过了 1 位好友');
+      assert.strictEqual(dispatcher.dispatch({ v: 1, id: 4, action: 'GET_SCORE', locale: 'fr', payload: {} }).result, '超过了 1 位好友');
+      assert.match(dispatcher.dispatch({ v: 1, id: 5, action: 'GET_SCORE', locale: 'en;drop', payload: {} }).error, /locale must match/);
+    } finally {
+      locales.setLocale('zh');
+    }
+  });
+
+  it('only remembers the latest 20 statuses', function() {
+    var dispatcher = new Dispatcher();
+    dispatcher.register('GET_SCORE', function(payload, done) {
+      done();
+    });
+    for (var id = 1; id <= 25; id++) {
+      dispatcher.dispatch(message(id, 'GET_SCORE', {}));
+    }
+    assert.strictEqual(dispatcher.getStatus(5), null);
+    assert.strictEqual(dispatcher.getStatus(6).id, 6);
+    assert.strictEqual(dispatcher.last.id, 25);
+  });
+});
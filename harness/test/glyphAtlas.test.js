@@ -0,0 +1,76 @@
+/**
+ * GlyphAtlas 的格子管理：满了淘汰最久没用的字，retain 住的字不淘汰，实在放不下时记进 dropped
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+describe('GlyphAtlas', function() {
+  var harness;
+  var GlyphAtlas;
+  var count = 0;
+
+  before(function() {
+    harness = createHarness();
+    harness.boot();
+    GlyphAtlas = harness.require('js/plugins/GlyphAtlas.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  // 正好四个格子的图集，其中一格一直留给空格
+  function smallAtlas() {
+    var style = { font: '16px Arial' };
+    var probe = new GlyphAtlas(harness.game, 'probe' + count++, style);
+    var atlas = new GlyphAtlas(harness.game, 'small' + count++, style, { width: probe.cellWidth * 2, height: probe.cellHeight * 2 });
+    assert.strictEqual(atlas.capacity, 4);
+    return atlas;
+  }
+
+  function chars(atlas) {
+    return Array.from(atlas.glyphs.keys()).join('');
+  }
+
+  it('evicts the least recently used glyph when full', function() {
+    var atlas = smallAtlas();
+    atlas.require('一二三');
+    atlas.require('一');
+    atlas.require('四');
+    assert.strictEqual(chars(atlas), ' 三一四');
+    assert.strictEqual(atlas.evicted, 1);
+    assert.ok(!atlas.data.font.chars['二'.charCodeAt(0)]);
+    assert.ok(atlas.data.font.chars['四'.charCodeAt(0)]);
+  });
+
+  it('keeps retained glyphs until they are released', function() {
+    var atlas = smallAtlas();
+    atlas.require('一二');
+    atlas.retain('一');
+    atlas.require('三四五');
+    assert.ok(atlas.glyphs.has('一'));
+    assert.strictEqual(chars(atlas), ' 一四五');
+
+    atlas.release('一');
+    atlas.require('六');
+    assert.ok(!atlas.glyphs.has('一'));
+  });
+
+  it('counts glyphs that do not fit when every cell is retained', function() {
+    var atlas = smallAtlas();
+    atlas.retain('一二三');
+    atlas.require('四');
+    assert.strictEqual(atlas.dropped, 1);
+    assert.ok(!atlas.glyphs.has('四'));
+    assert.strictEqual(atlas.evicted, 0);
+
+    atlas.release('二');
+    atlas.require('四');
+    assert.strictEqual(atlas.dropped, 1);
+    assert.strictEqual(chars(atlas), ' 一三四');
+  });
+});
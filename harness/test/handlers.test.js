@@ -0,0 +1,79 @@
+/**
+ * 开放数据域的消息处理，好友和群数据用 MockOpenDataApi 给，不依赖 wx 的云存储
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+describe('open data handlers', function() {
+  var harness;
+  var Dispatcher;
+  var MockOpenDataApi;
+  var registerHandlers;
+
+  before(function() {
+    harness = createHarness();
+    Dispatcher = harness.requireOpen('js/openData/Dispatcher.js').default;
+    MockOpenDataApi = harness.requireOpen('js/openData/MockOpenDataApi.js').default;
+    registerHandlers = harness.requireOpen('js/openData/handlers.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  function setup(data) {
+    var dispatcher = new Dispatcher();
+    registerHandlers(dispatcher, new MockOpenDataApi(data), harness.openWx.getSharedCanvas());
+    harness.clock.flush();
+    return function(action, payload) {
+      var status = dispatcher.dispatch({ v: 1, id: 1, action: action, payload: payload });
+      harness.clock.flush();
+      return status;
+    };
+  }
+
+  var people = {
+    self: { openid: 'me', nickname: '我', avatarUrl: '', values: { planeScore: '120' } },
+    friends: [
+      { openid: 'f1', nickname: '小明', avatarUrl: '', values: { planeScore: '200' } },
+      { openid: 'f2', nickname: '小红', avatarUrl: '', values: { planeScore: '80' } },
+      { openid: 'f3', nickname: '小刚', avatarUrl: '', values: {} }
+    ],
+    groups: { ticket1: ['me', 'f2'] }
+  };
+
+  it('ranks only the members of a group', function() {
+    var send = setup(people);
+    var status = send('SHOW_GROUP_RANKING', { shareTicket: 'ticket1', key: 'planeScore' });
+    assert.strictEqual(status.state, 'ok');
+    assert.deepStrictEqual(status.result.list.map(function(item) {
+      return item.openid + ':' + item.value;
+    }), ['me:120', 'f2:80']);
+  });
+
+  it('fails on an unknown share ticket', function() {
+    var send = setup(people);
+    var status = send('SHOW_GROUP_RANKING', { shareTicket: 'nope', key: 'planeScore' });
+    assert.strictEqual(status.state, 'error');
+    assert.match(status.error, /invalid shareTicket/);
+  });
+
+  it('compares a score with friends, leaving out yourself', function() {
+    var send = setup(people);
+    var status = send('SHOW_COMPARISON', { key: 'planeScore', score: 100 });
+    assert.strictEqual(status.state, 'ok');
+    assert.strictEqual(status.result.next.openid, 'f1');
+    assert.strictEqual(status.result.gap, 100);
+  });
+
+  it('passes api failures back as errors', function() {
+    var send = setup(Object.assign({ fail: true }, people));
+    var status = send('SHOW_RANKING_LIST', { key: 'planeScore' });
+    assert.strictEqual(status.state, 'error');
+    assert.strictEqual(status.error, 'getFriendCloudStorage:fail mock');
+  });
+});
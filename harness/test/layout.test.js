@@ -0,0 +1,43 @@
+/**
+ * LayoutPlugin 记下的摆放对象：切换 state 后销毁的对象要释放，来回导航不能越积越多
+ */
+var test = require('node:test');
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+test('navigating back and forth does not grow the placed list', function() {
+  var harness = createHarness({ storage: {} });
+  try {
+    harness.boot();
+    harness.runUntilState('menu');
+
+    var game = harness.game;
+    var Examples = harness.require('js/config/Examples.js').default;
+    var category = Examples.getCategories()[0];
+    function idle() {
+      harness.runUntil(function() {
+        return !game.transition.isBusy();
+      }, 10000);
+    }
+    function roundTrip() {
+      game.navigator.push('submenu', { effect: 'slide' }, category);
+      idle();
+      assert.strictEqual(game.state.current, 'submenu');
+      game.state.getCurrentState().backToMenu();
+      idle();
+      assert.strictEqual(game.state.current, 'menu');
+    }
+
+    roundTrip();
+    var placed = game.layout.placed.length;
+    for (var i = 0; i < 5; i++) {
+      roundTrip();
+    }
+    assert.strictEqual(game.layout.placed.length, placed);
+    assert.ok(game.layout.placed.every(function(entry) {
+      return !!entry.target.game;
+    }));
+  } finally {
+    harness.destroy();
+  }
+});
@@ -0,0 +1,87 @@
+/**
+ * 飞机大战的本地战绩：最高分和本周最高分，决定一局结束后要不要提交到云端
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+var DAY = 24 * 3600 * 1000;
+
+describe('PlaneRecord', function() {
+  var harness;
+  var PlaneRecord;
+  var PlaneCloud;
+
+  before(function() {
+    harness = createHarness({ storage: {} });
+    harness.boot();
+    PlaneRecord = harness.require('js/game/plane/data/PlaneRecord.js').default;
+    PlaneCloud = harness.require('js/game/plane/data/PlaneCloud.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  /**
+   * 换掉 PlaneCloud 的 OpenDataClient，记下提交了哪些分数
+   */
+  function cloudSpy() {
+    var cloud = new PlaneCloud();
+    var submitted = [];
+    cloud.client = {
+      submitScore: function(key, score, options) {
+        submitted.push(score + '/' + options.best);
+      }
+    };
+    cloud.submitted = submitted;
+    return cloud;
+  }
+
+  it('submits a run to the cloud only when it beats the best', function() {
+    var record = new PlaneRecord('test.record');
+    var cloud = cloudSpy();
+    [100, 60, 100, 150, 20].forEach(function(score) {
+      cloud.submitRun(record.addRun(score), record.best);
+    });
+    assert.deepStrictEqual(cloud.submitted, ['100/100', '150/150']);
+
+    var loaded = new PlaneRecord('test.record');
+    assert.strictEqual(loaded.best, 150);
+    assert.strictEqual(loaded.runs, 5);
+  });
+
+  it('also submits a run that beats the best of the week', function() {
+    var start = harness.clock.now;
+    try {
+      var record = new PlaneRecord('test.week');
+      var cloud = cloudSpy();
+      cloud.submitRun(record.addRun(100), record.best);
+
+      // 下一周：不到历史最高，但是本周第一局，要传上去给周排行
+      harness.clock.now = start + 7 * DAY;
+      [60, 50, 80, 70].forEach(function(score) {
+        cloud.submitRun(record.addRun(score), record.best);
+      });
+      assert.deepStrictEqual(cloud.submitted, ['100/100', '60/100', '80/100']);
+
+      var loaded = new PlaneRecord('test.week');
+      assert.strictEqual(loaded.best, 100);
+      assert.strictEqual(loaded.week, 80);
+    } finally {
+      harness.clock.now = start;
+    }
+  });
+
+  it('starts over when the saved record is broken', function() {
+    localStorage.setItem('test.broken', '{"best":');
+    var record = new PlaneRecord('test.broken');
+    assert.strictEqual(record.best, 0);
+    assert.deepStrictEqual(record.history, []);
+    assert.strictEqual(record.addRun(10).newBest, true);
+    assert.strictEqual(JSON.parse(localStorage.getItem('test.broken')).best, 10);
+  });
+});
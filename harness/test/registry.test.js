@@ -0,0 +1,173 @@
+/**
+ * ExampleRegistry 启动检查：重复的 state key、找不到的跳转目标都要直接报错
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+function State() {}
+
+// 只有 ExampleRegistry 用到的那部分 game.state
+function fakeGame(keys) {
+  var states = {};
+  (keys || []).forEach(function(key) {
+    states[key] = new State();
+  });
+  return {
+    state: {
+      states: states,
+      add: function(key, state) {
+        states[key] = state;
+      },
+      checkState: function(key) {
+        return !!states[key];
+      }
+    }
+  };
+}
+
+describe('ExampleRegistry', function() {
+  var harness;
+  var ExampleRegistry;
+
+  before(function() {
+    harness = createHarness();
+    harness.boot();
+    ExampleRegistry = harness.require('js/config/ExampleRegistry.js').default;
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  function registry(examples) {
+    var result = new ExampleRegistry();
+    result.addCategory({ key: 'cat', name: 'Cat', examples: examples });
+    return result;
+  }
+
+  it('installs a valid registry', function() {
+    var game = fakeGame(['menu']);
+    var examples = registry([{ key: 'a', name: 'a', state: State, states: { aNext: State }, targets: ['aNext', 'menu'] }]);
+    examples.requireStates('navigation', ['menu']);
+    examples.install(game);
+    assert.ok(game.state.checkState('a') && game.state.checkState('aNext'));
+    assert.strictEqual(examples.getExample('a').category, 'cat');
+  });
+
+  it('fails on a target that no state is registered for', function() {
+    var examples = registry([{ key: 'a', name: 'a', state: State, targets: ['aNext'] }]);
+    assert.throws(function() {
+      examples.install(fakeGame());
+    }, /dangling state keys "aNext" \(example "a"\)/);
+  });
+
+  it('fails on a required navigation state that is missing', function() {
+    var examples = registry([{ key: 'a', name: 'a', state: State }]);
+    examples.requireStates('navigation', ['menu', 'submenu']);
+    assert.throws(function() {
+      examples.install(fakeGame(['menu']));
+    }, /dangling state keys "submenu" \(navigation\)/);
+  });
+
+  it('fails when an extra state clashes with an example key', function() {
+    var examples = registry([
+      { key: 'a', name: 'a', state: State },
+      { key: 'b', name: 'b', state: State, states: { a: State } }
+    ]);
+    assert.throws(function() {
+      examples.install(fakeGame());
+    }, /example "b": state key "a" already used by example "a"/);
+  });
+
+  it('fails on duplicate example keys and core state keys', function() {
+    var examples = registry([
+      { key: 'menu', name: 'menu', state: State },
+      { key: 'a', name: 'a', state: State },
+      { key: 'a', name: 'a again', state: State }
+    ]);
+    assert.throws(function() {
+      examples.install(fakeGame(['menu']));
+    }, function(e) {
+      return /"menu" already used by core/.test(e.message) && /"a" already used by example "a"/.test(e.message);
+    });
+  });
+
+  it('loads declared assets before the state preload', function() {
+    var calls = [];
+    function PreloadState() {}
+    PreloadState.prototype.preload = function() {
+      calls.push('own preload');
+    };
+    var game = fakeGame();
+    var examples = registry([{ key: 'a', name: 'a', state: PreloadState, assets: [
+      { type: 'image', key: 'pic', url: 'pic.png' },
+      { type: 'spritesheet', key: 'boom', url: 'boom.png', frameWidth: 47, frameHeight: 64, frameMax: 19 }
+    ] }]);
+    examples.install(game);
+
+    var state = game.state.states.a;
+    state.game = { load: {
+      image: function() {
+        calls.push(['image'].concat(Array.prototype.slice.call(arguments)));
+      },
+      spritesheet: function() {
+        calls.push(['spritesheet'].concat(Array.prototype.slice.call(arguments)));
+      }
+    } };
+    state.preload();
+    assert.deepStrictEqual(calls, [
+      ['image', 'pic', 'pic.png'],
+      ['spritesheet', 'boom', 'boom.png', 47, 64, 19],
+      'own preload'
+    ]);
+  });
+
+  it('reports assets and states of the wrong type with the other errors', function() {
+    var examples = registry([
+      { key: 'a', name: 'a', state: State, assets: null },
+      { key: 'b', name: 'b', state: State, assets: 'pic.png', states: [State] },
+      { key: 'c', name: 'c', state: State, assets: [null], states: null },
+      { key: 'd', name: 'd', state: State, states: 'dNext' }
+    ]);
+    assert.throws(function() {
+      examples.install(fakeGame());
+    }, function(e) {
+      assert.match(e.message, /^Invalid example registry:/);
+      assert.match(e.message, /example "a": assets must be an array/);
+      assert.match(e.message, /example "b": assets must be an array/);
+      assert.match(e.message, /example "b": states must be an object/);
+      assert.match(e.message, /example "c": asset #0 needs type, key and url/);
+      assert.match(e.message, /example "c": states must be an object/);
+      assert.match(e.message, /example "d": states must be an object/);
+      return true;
+    });
+  });
+
+  it('has English names, descriptions and sources for every example', function() {
+    var Examples = harness.require('js/config/Examples.js').default;
+    var locales = harness.require('js/config/locales.js').default;
+    var missing = [];
+    Examples.getCategories().forEach(function(category) {
+      category.children.forEach(function(example) {
+        ['example.', 'description.', 'source.'].forEach(function(prefix) {
+          var declared = prefix === 'source.' ? example.source : true;
+          if (declared && locales.en[prefix + example.key] === undefined) {
+            missing.push(prefix + example.key);
+          }
+        });
+      });
+    });
+    assert.deepStrictEqual(missing, []);
+  });
+
+  it('fails on an asset type it cannot load', function() {
+    var examples = registry([{ key: 'a', name: 'a', state: State, assets: [{ type: 'video', key: 'v', url: 'v.mp4' }] }]);
+    assert.throws(function() {
+      examples.install(fakeGame());
+    }, /asset #0 has unknown type "video"/);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * 飞机大战的回放：录下一局，重演后得分一致；回放数据的编码和校验
+ */
+var test = require('node:test');
+var assert = require('assert');
+var createHarness = require('../index.js');
+var runReplay = require('../replay.js');
+
+/**
+ * 拖着飞机绕圈玩一局，第一次问续关时选继续，第二次放弃，返回存下的回放数据
+ */
+function playRun() {
+  var harness = createHarness({ storage: {} });
+  try {
+    harness.boot();
+    harness.runUntilState('menu');
+    harness.game.state.start('planePreload', true, false, 'game');
+    var state = harness.runUntilState('planeGame');
+
+    var frame = 0;
+    var prompts = 0;
+    var touch = -1;
+    harness.runUntil(function() {
+      frame++;
+      if (state.frozen && !state.isPaused) {
+        var dialog = harness.game.world.children[harness.game.world.children.length - 1];
+        var buttons = dialog.children.filter(function(child) {
+          return child.frameName === 'button';
+        });
+        var button = buttons[prompts++ === 0 ? 0 : 1];
+        button.events.onInputDown.dispatch(button);
+      } else if (state.hero.visible && frame % 3 === 0) {
+        if (touch >= 0) {
+          harness.touchEnd(touch);
+        }
+        touch = harness.touchStart(state.hero.x, state.hero.y);
+        harness.step();
+        harness.touchMove(touch, 187 + Math.sin(frame / 50) * 150.3, 560 + Math.cos(frame / 37) * 80.7);
+      }
+      return state.isOver;
+    }, 400 * 1000);
+
+    return { score: state.score, blob: localStorage.getItem('plane.replay') };
+  } finally {
+    harness.destroy();
+  }
+}
+
+test('a recorded run replays to the same score', function() {
+  var run = playRun();
+  assert.ok(run.blob, 'no replay saved');
+
+  var data = JSON.parse(run.blob);
+  assert.strictEqual(data.score, run.score);
+  assert.ok(data.frames > 60, 'run too short: ' + data.frames + ' frames');
+
+  var result = runReplay(run.blob);
+  assert.strictEqual(result.score, run.score);
+  assert.strictEqual(result.frames, data.frames);
+  assert.ok(result.matched);
+});
+
+test('replay data round-trips and rejects broken blobs', function() {
+  var harness = createHarness();
+  try {
+    harness.boot();
+    var Replay = harness.require('js/game/plane/data/Replay.js').default;
+
+    var replay = new Replay({ level: 'level1', seed: 'abc' });
+    [[10, 20], [10, 20], [12, 20], [14, 20], [16, 21]].forEach(function(point) {
+      replay.addFrame(point[0], point[1]);
+    });
+    // 匀速的两帧合成一段
+    assert.deepStrictEqual(replay.moves, [10, 20, 0, 0, 1, 2, 0, 2, 2, 1, 1]);
+
+    var copy = Replay.fromBlob(replay.toBlob());
+    assert.strictEqual(copy.frames, 5);
+    assert.deepStrictEqual(copy.getFrame(4), { x: 16, y: 21 });
+    assert.strictEqual(copy.getFrame(5), null);
+
+    assert.throws(function() {
+      Replay.fromBlob(JSON.stringify({ v: 99, moves: [0, 0] }));
+    }, /version not supported/);
+    assert.throws(function() {
+      Replay.fromBlob(JSON.stringify({ v: 1, moves: [0, 0, 1, 1, 3], frames: 10 }));
+    }, /expected 10 frames, got 4/);
+
+    // 本地存的回放坏了当作没有
+    localStorage.setItem('plane.replay', '{"v":99');
+    assert.strictEqual(Replay.load(), null);
+    localStorage.setItem('plane.replay', replay.toBlob());
+    assert.strictEqual(Replay.load().frames, 5);
+  } finally {
+    harness.destroy();
+  }
+});
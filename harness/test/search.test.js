@@ -0,0 +1,30 @@
+/**
+ * 搜索页的结果列表：左边有安全区留白（横屏刘海）时，结果行在安全区里居中
+ */
+var test = require('node:test');
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+test('search results are centered in a safe area with a left inset', function() {
+  var harness = createHarness({
+    storage: {},
+    systemInfo: { safeArea: { left: 40, top: 20, right: 375, bottom: 667, width: 335, height: 647 } }
+  });
+  try {
+    harness.boot();
+    harness.runUntilState('menu');
+    harness.game.state.start('search');
+    var state = harness.runUntilState('search');
+    state.filter('');
+    harness.step();
+
+    var safe = harness.game.layout.safeArea();
+    var rows = state.results.content.children;
+    assert.ok(rows.length > 0);
+    rows.forEach(function(row) {
+      assert.strictEqual(row.worldPosition.x, safe.x + safe.width / 2);
+    });
+  } finally {
+    harness.destroy();
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * 每个注册过的 state 都能从主菜单直接进入并完成 create
+ */
+var test = require('node:test');
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+// 直接进入时需要的参数，和菜单、深链接进来时传的一样
+function argsFor(key, Examples) {
+  var example = Examples.getExample(key);
+  if (example) {
+    return [example.category];
+  }
+  if (key === 'submenu') {
+    return [Examples.getCategories()[0]];
+  }
+  if (key === 'planePreload') {
+    return ['game'];
+  }
+  return [];
+}
+
+test('every registered state reaches create', function() {
+  var harness = createHarness();
+  try {
+    harness.boot();
+    harness.runUntilState('menu');
+
+    var game = harness.game;
+    var Examples = harness.require('js/config/Examples.js').default;
+    var keys = Object.keys(game.state.states).filter(function(key) {
+      // boot 会重复安装插件，启动时已经走过一遍
+      return key !== 'boot';
+    });
+    assert.ok(keys.length > 10, 'only ' + keys.length + ' states registered');
+
+    keys.forEach(function(key) {
+      // preload 这类 create 里马上跳走的 state 停留不到一帧，直接记下 create 有没有被调用
+      var state = game.state.states[key];
+      var created = false;
+      var create = state.create;
+      state.create = function() {
+        created = true;
+        return create && create.apply(this, arguments);
+      };
+
+      game.state.start.apply(game.state, [key, true, false].concat(argsFor(key, Examples)));
+      try {
+        harness.runUntil(function() {
+          return created;
+        });
+      } catch (e) {
+        assert.fail(key + ' never reached create');
+      } finally {
+        delete state.create;
+      }
+      harness.advance(500);
+    });
+  } finally {
+    harness.destroy();
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * TextLayout 排版：行首行尾禁则、行内标记、maxLines 省略号。
+ * 测试环境里 16px 的汉字宽 16，拉丁字母和省略号宽 8.8
+ */
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+var assert = require('assert');
+var createHarness = require('../index.js');
+
+describe('TextLayout', function() {
+  var harness;
+  var layout;
+
+  before(function() {
+    harness = createHarness();
+    harness.boot();
+    var TextLayout = harness.require('js/plugins/TextLayout.js').default;
+    layout = new TextLayout();
+  });
+
+  after(function() {
+    harness.destroy();
+  });
+
+  // 一行正好放下五个汉字
+  function wrap(text, extra) {
+    return layout.layout(text, Object.assign({ font: '16px Arial', wordWrap: true, wordWrapWidth: 80 }, extra));
+  }
+
+  it('keeps closing punctuation off the start of a line', function() {
+    assert.strictEqual(wrap('一二三四五，六七').text, '一二三四\n五，六七');
+    assert.strictEqual(wrap('一二三四五。」六').text, '一二三四\n五。」六');
+  });
+
+  it('keeps opening brackets off the end of a line', function() {
+    assert.strictEqual(wrap('一二三四（五六七').text, '一二三四\n（五六七');
+  });
+
+  it('wraps latin text between words', function() {
+    var result = wrap('hello world, a-b');
+    // 自动换行处的空格留在行尾，不算行宽；连字符后面可以断开
+    assert.deepStrictEqual(result.text.split('\n'), ['hello ', 'world, a-', 'b']);
+    assert.ok(result.lines[0].width < 50);
+  });
+
+  it('splits text into styled runs from markup', function() {
+    var result = layout.layout('a[color=#ff0000]红[b]粗[/b][/color][size=20]大[/size]', { font: '16px Arial', fill: '#ffffff', markup: true });
+    var runs = result.lines[0].runs.map(function(run) {
+      return [run.text, run.style.fill, run.style.size, run.style.weight];
+    });
+    assert.deepStrictEqual(runs, [
+      ['a', '#ffffff', 16, 'normal'],
+      ['红', '#ff0000', 16, 'normal'],
+      ['粗', '#ff0000', 16, 'bold'],
+      ['大', '#ffffff', 20, 'normal']
+    ]);
+    assert.strictEqual(result.text, 'a红粗大');
+    // 行高跟着最大的字号
+    assert.strictEqual(result.lines[0].height, 25);
+  });
+
+  it('shows unmatched or invalid tags as text', function() {
+    var result = layout.layout('[b=1]x[/b][/color][size=0]y', { font: '16px Arial', markup: true });
+    assert.strictEqual(result.text, '[b=1]x[/b][/color][size=0]y');
+    assert.strictEqual(result.lines[0].runs.length, 1);
+    assert.strictEqual(layout.layout('[b]x[/b]', { font: '16px Arial' }).text, '[b]x[/b]');
+  });
+
+  it('ends the last line with an ellipsis past maxLines', function() {
+    var result = wrap('一二三四五六七八九十一二三四五', { maxLines: 2 });
+    assert.strictEqual(result.text, '一二三四五\n六七八九…');
+    assert.strictEqual(result.truncated, true);
+    assert.ok(result.lines[1].width <= 80);
+
+    var fits = wrap('一二三四五六七', { maxLines: 2 });
+    assert.strictEqual(fits.text, '一二三四五\n六七');
+    assert.strictEqual(fits.truncated, false);
+  });
+});
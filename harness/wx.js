@@ -0,0 +1,477 @@
+/**
+ * 本地的 wx 替身
+ *
+ * 主域和开放数据域各有一个 wx 对象，它们共享同一个 sharedCanvas、同一份云存储。
+ * 所有异步接口都通过 Clock 回调，和真机一样在下一个时钟回合才返回结果。
+ */
+var canvasModule = require('./canvas.js');
+
+var FakeCanvas = canvasModule.FakeCanvas;
+
+var DEFAULT_SYSTEM_INFO = {
+  brand: 'devtools',
+  model: 'iPhone 6',
+  pixelRatio: 2,
+  devicePixelRatio: 2,
+  screenWidth: 375,
+  screenHeight: 667,
+  windowWidth: 375,
+  windowHeight: 667,
+  statusBarHeight: 20,
+  language: 'zh_CN',
+  version: '6.6.7',
+  system: 'iOS 11.0',
+  // 不能是 devtools，否则 weapp-adapter 会走开发者工具专用的注入分支
+  platform: 'ios',
+  fontSizeSetting: 16,
+  SDKVersion: '2.0.0',
+  benchmarkLevel: 1
+};
+
+var SELF = {
+  openid: 'self',
+  nickname: 'me',
+  avatarUrl: 'https://example.com/avatar/self.png'
+};
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 按 success / fail / complete 的约定异步回调
+ */
+function callback(clock, options, err, res) {
+  options = options || {};
+  clock.setTimeout(function() {
+    if (err) {
+      options.fail && options.fail({ errMsg: err });
+    } else {
+      options.success && options.success(res);
+    }
+    options.complete && options.complete(err ? { errMsg: err } : res);
+  }, 0);
+}
+
+/**
+ * 过滤出 keyList 里的键值对
+ */
+function pickKV(list, keyList) {
+  return (list || []).filter(function(kv) {
+    return !keyList || keyList.indexOf(kv.key) !== -1;
+  }).map(clone);
+}
+
+function createListeners() {
+  var list = [];
+  return {
+    on: function(fn) {
+      list.push(fn);
+    },
+    off: function(fn) {
+      var i = list.indexOf(fn);
+      if (i !== -1) {
+        list.splice(i, 1);
+      }
+    },
+    emit: function(res) {
+      list.slice().forEach(function(fn) {
+        fn(res);
+      });
+    },
+    get size() {
+      return list.length;
+    }
+  };
+}
+
+/**
+ * wx.createInnerAudioContext() 的返回值，只记录播放状态
+ */
+function createAudioContext(clock) {
+  var events = {};
+  ['Canplay', 'Play', 'Pause', 'Stop', 'Ended', 'Error', 'TimeUpdate', 'Waiting', 'Seeking', 'Seeked'].forEach(function(name) {
+    events[name] = createListeners();
+  });
+
+  var src = '';
+  var audio = {
+    startTime: 0,
+    autoplay: false,
+    loop: false,
+    obeyMuteSwitch: true,
+    volume: 1,
+    duration: 0,
+    currentTime: 0,
+    paused: true,
+    buffered: 0,
+    playCount: 0,
+
+    get src() {
+      return src;
+    },
+    set src(value) {
+      src = value;
+      clock.setTimeout(function() {
+        events.Canplay.emit();
+      }, 0);
+    },
+
+    play: function() {
+      audio.paused = false;
+      audio.playCount++;
+      events.Play.emit();
+    },
+    pause: function() {
+      audio.paused = true;
+      events.Pause.emit();
+    },
+    stop: function() {
+      audio.paused = true;
+      audio.currentTime = 0;
+      events.Stop.emit();
+    },
+    seek: function(position) {
+      audio.currentTime = position;
+    },
+    destroy: function() {
+      audio.paused = true;
+      audio.destroyed = true;
+    }
+  };
+
+  Object.keys(events).forEach(function(name) {
+    audio['on' + name] = events[name].on;
+    audio['off' + name] = events[name].off;
+  });
+
+  return audio;
+}
+
+/**
+ * 创建主域和开放数据域的 wx
+ *
+ * options.systemInfo  覆盖 getSystemInfoSync 的字段
+ * options.storage     本地存储初始值
+ * options.user        当前用户 { openid, nickname, avatarUrl, KVDataList }
+ * options.friends     好友列表，结构同 user
+ * options.groups      群成员，{ shareTicket: [openid, ...] }，getGroupCloudStorage 用
+ * options.launchOptions  getLaunchOptionsSync 的返回值
+ * options.offline     为 true 时云存储接口全部走 fail，模拟断网
+ */
+function createWx(clock, Image, options) {
+  options = options || {};
+
+  var systemInfo = Object.assign({}, DEFAULT_SYSTEM_INFO, options.systemInfo);
+  var storage = clone(options.storage) || {};
+  var user = Object.assign({ KVDataList: [] }, SELF, clone(options.user));
+  var friends = clone(options.friends) || [];
+  var groups = clone(options.groups) || {};
+  var shares = [];
+  var launchOptions = Object.assign({ scene: 1001, query: {} }, clone(options.launchOptions));
+
+  var touch = {
+    start: createListeners(),
+    move: createListeners(),
+    end: createListeners(),
+    cancel: createListeners()
+  };
+  var show = createListeners();
+  var hide = createListeners();
+  // 系统键盘，showKeyboard 之后用 type / confirm 模拟输入
+  var keyboard = {
+    visible: false,
+    value: '',
+    options: null,
+    input: createListeners(),
+    confirmed: createListeners(),
+    complete: createListeners(),
+
+    type: function(value) {
+      if (!keyboard.visible) {
+        throw new Error('keyboard is not shown');
+      }
+      var maxLength = keyboard.options.maxLength;
+      keyboard.value = maxLength > 0 ? value.slice(0, maxLength) : value;
+      keyboard.input.emit({ value: keyboard.value });
+    },
+
+    confirm: function() {
+      if (!keyboard.visible) {
+        throw new Error('keyboard is not shown');
+      }
+      keyboard.confirmed.emit({ value: keyboard.value });
+      if (!keyboard.options.confirmHold) {
+        keyboard.hide();
+      }
+    },
+
+    hide: function() {
+      if (keyboard.visible) {
+        keyboard.visible = false;
+        keyboard.complete.emit({ value: keyboard.value });
+      }
+    }
+  };
+  var messages = createListeners();
+  var audios = [];
+  var screenCanvas = null;
+
+  var sharedCanvas = new FakeCanvas(systemInfo.screenWidth, systemInfo.screenHeight);
+
+  function offline(name, options) {
+    if (cloud.offline) {
+      callback(clock, options, name + ':fail offline');
+      return true;
+    }
+    return false;
+  }
+
+  var cloud = {
+    user: user,
+    friends: friends,
+    // 运行中也可以切换
+    offline: !!options.offline,
+
+    setUserCloudStorage: function(options) {
+      if (offline('setUserCloudStorage', options)) {
+        return;
+      }
+      (options.KVDataList || []).forEach(function(kv) {
+        var found = user.KVDataList.filter(function(item) {
+          return item.key === kv.key;
+        })[0];
+        if (found) {
+          found.value = kv.value;
+        } else {
+          user.KVDataList.push({ key: kv.key, value: kv.value });
+        }
+      });
+      callback(clock, options, null, { errMsg: 'setUserCloudStorage:ok' });
+    },
+
+    removeUserCloudStorage: function(options) {
+      if (offline('removeUserCloudStorage', options)) {
+        return;
+      }
+      var keyList = options.keyList || [];
+      user.KVDataList = user.KVDataList.filter(function(kv) {
+        return keyList.indexOf(kv.key) === -1;
+      });
+      callback(clock, options, null, { errMsg: 'removeUserCloudStorage:ok' });
+    },
+
+    getUserCloudStorage: function(options) {
+      if (offline('getUserCloudStorage', options)) {
+        return;
+      }
+      callback(clock, options, null, { KVDataList: pickKV(user.KVDataList, options.keyList) });
+    },
+
+    getFriendCloudStorage: function(options) {
+      if (offline('getFriendCloudStorage', options)) {
+        return;
+      }
+      var data = [user].concat(friends).map(function(item) {
+        return {
+          openid: item.openid,
+          nickname: item.nickname,
+          avatarUrl: item.avatarUrl,
+          KVDataList: pickKV(item.KVDataList, options.keyList)
+        };
+      });
+      callback(clock, options, null, { data: data });
+    },
+
+    getGroupCloudStorage: function(options) {
+      if (offline('getGroupCloudStorage', options)) {
+        return;
+      }
+      var members = groups[options.shareTicket];
+      if (!members) {
+        callback(clock, options, 'getGroupCloudStorage:fail invalid shareTicket');
+        return;
+      }
+      var data = [user].concat(friends).filter(function(item) {
+        return members.indexOf(item.openid) !== -1;
+      }).map(function(item) {
+        return {
+          openid: item.openid,
+          nickname: item.nickname,
+          avatarUrl: item.avatarUrl,
+          KVDataList: pickKV(item.KVDataList, options.keyList)
+        };
+      });
+      callback(clock, options, null, { data: data });
+    }
+  };
+
+  var wx = {
+    getSystemInfoSync: function() {
+      return clone(systemInfo);
+    },
+    getSystemInfo: function(options) {
+      callback(clock, options, null, clone(systemInfo));
+    },
+    getLaunchOptionsSync: function() {
+      return clone(launchOptions);
+    },
+
+    createCanvas: function() {
+      // 和真机一样，第一次创建的是上屏 canvas
+      if (!screenCanvas) {
+        screenCanvas = new FakeCanvas(systemInfo.screenWidth, systemInfo.screenHeight);
+        return screenCanvas;
+      }
+      return new FakeCanvas();
+    },
+    createImage: function() {
+      return new Image();
+    },
+    createInnerAudioContext: function() {
+      var audio = createAudioContext(clock);
+      audios.push(audio);
+      return audio;
+    },
+
+    onTouchStart: touch.start.on,
+    offTouchStart: touch.start.off,
+    onTouchMove: touch.move.on,
+    offTouchMove: touch.move.off,
+    onTouchEnd: touch.end.on,
+    offTouchEnd: touch.end.off,
+    onTouchCancel: touch.cancel.on,
+    offTouchCancel: touch.cancel.off,
+
+    showKeyboard: function(options) {
+      keyboard.visible = true;
+      keyboard.options = Object.assign({}, options);
+      keyboard.value = keyboard.options.defaultValue || '';
+      callback(clock, options, null, {});
+    },
+    updateKeyboard: function(options) {
+      keyboard.value = options.value || '';
+      callback(clock, options, null, {});
+    },
+    hideKeyboard: function(options) {
+      keyboard.hide();
+      callback(clock, options, null, {});
+    },
+    onKeyboardInput: keyboard.input.on,
+    offKeyboardInput: keyboard.input.off,
+    onKeyboardConfirm: keyboard.confirmed.on,
+    offKeyboardConfirm: keyboard.confirmed.off,
+    onKeyboardComplete: keyboard.complete.on,
+    offKeyboardComplete: keyboard.complete.off,
+
+    onShow: show.on,
+    offShow: show.off,
+    onHide: hide.on,
+    offHide: hide.off,
+
+    getStorageSync: function(key) {
+      return storage.hasOwnProperty(key) ? clone(storage[key]) : '';
+    },
+    setStorageSync: function(key, value) {
+      storage[key] = clone(value);
+    },
+    removeStorageSync: function(key) {
+      delete storage[key];
+    },
+    clearStorageSync: function() {
+      Object.keys(storage).forEach(function(key) {
+        delete storage[key];
+      });
+    },
+    getStorageInfoSync: function() {
+      return { keys: Object.keys(storage), currentSize: JSON.stringify(storage).length / 1024, limitSize: 10240 };
+    },
+
+    getOpenDataContext: function() {
+      return {
+        canvas: sharedCanvas,
+        postMessage: function(data) {
+          data = clone(data);
+          clock.setTimeout(function() {
+            messages.emit(data);
+          }, 0);
+        }
+      };
+    },
+
+    setUserCloudStorage: cloud.setUserCloudStorage,
+    removeUserCloudStorage: cloud.removeUserCloudStorage,
+
+    request: function(options) {
+      callback(clock, options, 'request:fail offline');
+    },
+    updateShareMenu: function(options) {
+      callback(clock, options, null, {});
+    },
+    // 分享出去的内容记在 shares 里
+    shareAppMessage: function(options) {
+      shares.push(clone(options || {}));
+    },
+    showToast: function(options) {
+      callback(clock, options, null, {});
+    },
+    showModal: function(options) {
+      callback(clock, options, null, { confirm: true, cancel: false });
+    },
+    vibrateShort: function(options) {
+      callback(clock, options, null, {});
+    }
+  };
+
+  var openWx = {
+    getSystemInfoSync: wx.getSystemInfoSync,
+    getSharedCanvas: function() {
+      return sharedCanvas;
+    },
+    createCanvas: function() {
+      return new FakeCanvas();
+    },
+    createImage: wx.createImage,
+    onMessage: messages.on,
+    getUserCloudStorage: cloud.getUserCloudStorage,
+    getFriendCloudStorage: cloud.getFriendCloudStorage,
+    getGroupCloudStorage: cloud.getGroupCloudStorage,
+    getUserInfo: function(options) {
+      // 只支持查自己（openIdList 里的 'selfOpenId'）和好友列表里的人
+      var people = [user].concat(friends);
+      var data = (options.openIdList || []).map(function(id) {
+        var found = people.filter(function(item) {
+          return item.openid === (id === 'selfOpenId' ? user.openid : id);
+        })[0];
+        return found && { openId: found.openid, nickName: found.nickname, avatarUrl: found.avatarUrl };
+      }).filter(Boolean);
+      callback(clock, options, null, { data: data });
+    },
+    setUserCloudStorage: cloud.setUserCloudStorage,
+    removeUserCloudStorage: cloud.removeUserCloudStorage
+  };
+
+  return {
+    wx: wx,
+    openWx: openWx,
+    systemInfo: systemInfo,
+    storage: storage,
+    cloud: cloud,
+    sharedCanvas: sharedCanvas,
+    audios: audios,
+    shares: shares,
+    touch: touch,
+    keyboard: keyboard,
+    messages: messages,
+    show: show,
+    hide: hide,
+    get screenCanvas() {
+      return screenCanvas;
+    }
+  };
+}
+
+module.exports = {
+  createWx: createWx,
+  DEFAULT_SYSTEM_INFO: DEFAULT_SYSTEM_INFO
+};
@@ -9,12 +9,13 @@ export default class BackToMenuState extends Phaser.State {
   }
 
   create() {
-    this.arrowBack = new Arrow(this.game, 26, 26, 'arrowBack');
+    this.arrowBack = new Arrow(this.game, 0, 0, 'arrowBack');
+    this.game.layout.place(this.arrowBack, 'top-left', 26, 26);
     this.arrowBack.addClick(this.backToMenu, this);
   }
 
   backToMenu() {
-    this.game.state.start('menu');
+    this.game.navigator.back({effect: 'slide', direction: 'right'}, 'menu');
   }
 
 }
@@ -1,17 +1,14 @@
 import Phaser from '../libs/phaser-wx.js';
 import Arrow from '../objects/Arrow.js';
 import Examples from '../config/Examples.js';
+import I18n from '../config/I18n.js';
+import InfoPanel from '../objects/InfoPanel.js';
 
 export default class BackToSubMenuState extends Phaser.State {
   
   constructor(game) {
     super();
     this.game = game;
-
-    this.map = {};
-    for(var i=0; i<Examples.length; i++) {
-      this.map[Examples[i].key] = Examples[i];
-    }
   }
 
   init(key) {
@@ -19,13 +16,38 @@ export default class BackToSubMenuState extends Phaser.State {
   }
 
   create() {
-    this.arrowBack = new Arrow(this.game, 26, 26, 'arrowBack');
+    this.arrowBack = new Arrow(this.game, 0, 0, 'arrowBack');
+    this.game.layout.place(this.arrowBack, 'top-left', 26, 26);
     this.arrowBack.addClick(this.backToMenu, this);
+
+    // 右上角切换说明面板，init 里的 key 是分类，示例自己的 key 是当前 state
+    this.example = Examples.getExample(this.game.state.current);
+    this.infoPanel = null;
+    if (this.example) {
+      this.infoButton = this.game.add.text(0, 0, I18n.t('info.open'), { font: "16px Arial", fill: "#ffffff" });
+      this.infoButton.anchor.setTo(1, 0);
+      this.game.layout.place(this.infoButton, 'top-right', -12, 14);
+      this.infoButton.inputEnabled = true;
+      this.infoButton.events.onInputUp.add(this.toggleInfo, this);
+    }
+  }
+
+  toggleInfo() {
+    if (this.infoPanel && this.infoPanel.visible) {
+      this.infoPanel.hide();
+      this.infoButton.text = I18n.t('info.open');
+      return;
+    }
+    this.infoPanel = this.infoPanel || new InfoPanel(this.game, this.example);
+    this.infoPanel.show();
+    this.game.world.bringToTop(this.infoButton);
+    this.infoButton.text = I18n.t('info.close');
   }
 
   backToMenu() {
     this.game.renderType = Phaser.CANVAS;
-    this.game.state.start('submenu', true, false, this.map[this.key]);
+    // 没有历史时（从分享链接直接打开示例）回到示例所在的分类
+    this.game.navigator.back({effect: 'slide', direction: 'right'}, 'submenu', Examples.getCategory(this.key));
   }
 
 }
@@ -12,10 +12,6 @@ export default class basicImageFollowInputState extends BackToSubMenuState {
     super.init(key);
   }
 
-  preload() {
-    this.game.load.image('phaser', 'assets/basic/phaser.png');
-  }
-
   create() {
     super.create();
     
@@ -1,6 +1,5 @@
 import Phaser from '../libs/phaser-wx.js';
 import BackToSubMenuState from '../base/BackToSubMenuState.js';
-import runningBotAtlas from '../../assets/basic/running_bot.js';
 
 export default class BasicLoadAnAnimationState extends BackToSubMenuState {
   
@@ -13,11 +12,6 @@ export default class BasicLoadAnAnimationState extends BackToSubMenuState {
     super.init(key);
   }
 
-  preload() {
-    // 加载图集
-    this.game.load.atlasJSONHash('bot', 'assets/basic/running_bot.png', null, runningBotAtlas);
-  }
-
   create() {
     super.create();
     
@@ -0,0 +1,32 @@
+import Phaser from '../libs/phaser-wx.js';
+import BackToSubMenuState from '../base/BackToSubMenuState.js';
+
+export default class BasicRichTextState extends BackToSubMenuState {
+  
+  constructor(game) {
+    super();
+    this.game = game;
+  }
+
+  init(key) {
+    super.init(key);
+  }
+
+  create() {
+    super.create();
+    
+    var chinese = this.game.chineseText;
+    // 文字样式，wordWrapWidth 为折行宽度
+    var style = { font: "18px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: this.game.width - 40 };
+
+    // 行内标记：颜色、字号、粗体
+    chinese.richText(20, 100, '[b]富文本[/b]支持[color=#ffde00]颜色[/color]、[size=28]字号[/size]和[b]粗体[/b]，中英文混排时 English words 不会被拆开。', style);
+
+    // 标点不会出现在行首
+    chinese.richText(20, 220, '换行时，逗号、句号这样的标点不会出现在行首；左括号（也不会留在行尾）。', style);
+
+    // 最多显示两行，放不下的用省略号代替
+    chinese.richText(20, 320, '[color=#9cdcfe]maxLines[/color] 限制行数：这段文字很长很长，超过两行的部分不会显示出来，而是在第二行末尾加上省略号。', Object.assign({ maxLines: 2 }, style));
+  }
+
+}
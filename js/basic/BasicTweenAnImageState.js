@@ -12,11 +12,6 @@ export default class BasicTweenAnImageState extends BackToSubMenuState {
     super.init(key);
   }
 
-  preload() {
-    // 加载一个图片，之后可通过 einstein 来引用
-    this.game.load.image('einstein', 'assets/basic/ra_einstein.jpg');
-  }
-
   create() {
     super.create();
     
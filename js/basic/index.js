@@ -1,25 +1,144 @@
-import Phaser from '../libs/phaser-wx.js';
-
 import BasicLoadAnImageState from './BasicLoadAnImageState.js'
 import BasicClickOnAnImageState from './BasicClickOnAnImageState.js'
 import BasicMoveAnImageState from './BasicMoveAnImageState.js'
 import BasicImageFollowInputState from './BasicImageFollowInputState.js'
 import BasicLoadAnAnimationState from './BasicLoadAnAnimationState.js'
 import BasicRenderTextState from './BasicRenderTextState.js'
+import BasicRichTextState from './BasicRichTextState.js'
 import BasicTweenAnImageState from './BasicTweenAnImageState.js'
+import runningBotAtlas from '../../assets/basic/running_bot.js';
 
-export default class BasicExamples {
-  
-  constructor(game) {
-    
-    game.state.add('basicLoadAnImage', new BasicLoadAnImageState(game));
-    game.state.add('basicClickOnAnImageState', new BasicClickOnAnImageState(game));
-    game.state.add('basicMoveAnImageState', new BasicMoveAnImageState(game));
-    game.state.add('basicImageFollowInputState', new BasicImageFollowInputState(game));
-    game.state.add('basicLoadAnAnimationState', new BasicLoadAnAnimationState(game));
-    game.state.add('basicRenderTextState', new BasicRenderTextState(game));
-    game.state.add('basicTweenAnImageState', new BasicTweenAnImageState(game));
-
-  }
+var einstein = { type: 'image', key: 'einstein', url: 'assets/basic/ra_einstein.jpg' };
 
-}
+export default {
+  key: 'basic',
+  name: '基础',
+  examples: [
+    {
+      key: 'basicLoadAnImage',
+      name: 'load an image',
+      tags: ['图片', 'image', 'loader'],
+      state: BasicLoadAnImageState,
+      assets: [einstein],
+      description: '加载一张图片，并在指定位置显示出来',
+      source: [
+        '// 在 index.js 的 assets 里声明图片，key 为 einstein，进入示例时在 preload 阶段加载',
+        "{ type: 'image', key: 'einstein', url: 'assets/basic/ra_einstein.jpg' }",
+        '',
+        '// 在(100, 100)位置显示该图片',
+        "this.game.add.sprite(100, 100, 'einstein');"
+      ].join('\n')
+    },
+    {
+      key: 'basicClickOnAnImage',
+      name: 'click on an image',
+      tags: ['图片', '点击', 'input'],
+      state: BasicClickOnAnImageState,
+      assets: [einstein],
+      description: '让图片响应点击，并统计点击次数',
+      source: [
+        '// 允许图片响应输入',
+        'this.image.inputEnabled = true;',
+        '// 图片点击时回调listener，上下文为this',
+        'this.image.events.onInputDown.add(this.listener, this);',
+        '',
+        'listener() {',
+        '  this.counter++;',
+        '  this.text.text = "You clicked " + this.counter + " times!";',
+        '}'
+      ].join('\n')
+    },
+    {
+      key: 'basicMoveAnImage',
+      name: 'move an image',
+      tags: ['图片', '物理', 'physics'],
+      state: BasicMoveAnImageState,
+      assets: [einstein],
+      description: '给精灵开启物理引擎，用速度让图片移动',
+      source: [
+        "var sprite = this.game.add.sprite(0, 0, 'einstein');",
+        '// 精灵启动物理引擎',
+        'this.game.physics.enable(sprite, Phaser.Physics.ARCADE);',
+        '// 设置水平速度150',
+        'sprite.body.velocity.x = 150;'
+      ].join('\n')
+    },
+    {
+      key: 'basicImageFollowInput',
+      name: 'image follow input',
+      tags: ['触摸', '跟随', 'input'],
+      state: BasicImageFollowInputState,
+      assets: [{ type: 'image', key: 'phaser', url: 'assets/basic/phaser.png' }],
+      description: '精灵跟随手指移动，并打印输入的调试信息',
+      source: [
+        '// 精灵启动物理引擎，这样才会有body属性',
+        'this.game.physics.arcade.enable(this.sprite);',
+        '',
+        '// update 里每帧判断',
+        'if (this.game.physics.arcade.distanceToPointer(this.sprite, this.game.input.activePointer) > 8) {',
+        '  // 让精灵以300的速度靠近鼠标(或者Touch)',
+        '  this.game.physics.arcade.moveToPointer(this.sprite, 300);',
+        '} else {',
+        '  this.sprite.body.velocity.set(0);',
+        '}'
+      ].join('\n')
+    },
+    {
+      key: 'basicLoadAnAnimation',
+      name: 'load an animation',
+      tags: ['动画', '图集', 'atlas'],
+      state: BasicLoadAnAnimationState,
+      assets: [{ type: 'atlasJSONHash', key: 'bot', url: 'assets/basic/running_bot.png', data: runningBotAtlas }],
+      description: '加载图集，播放一段循环的帧动画',
+      source: [
+        '// 同样的方法创建精灵',
+        "this.bot = this.game.add.sprite(200, 200, 'bot');",
+        '// 添加一个动画，叫做run',
+        "this.bot.animations.add('run');",
+        '// 进行动画，每秒15帧，循环播放',
+        "this.bot.animations.play('run', 15, true);"
+      ].join('\n')
+    },
+    {
+      key: 'basicRenderText',
+      name: 'render text',
+      tags: ['文字', 'text'],
+      state: BasicRenderTextState,
+      description: '用指定的字体样式显示多行文字',
+      source: [
+        '// 文字样式',
+        'var style = { font: "32px Arial", fill: "#ff0044", align: "center" };',
+        '// 显示文字',
+        'this.game.add.text(this.game.world.centerX - 160, 300, text, style);'
+      ].join('\n')
+    },
+    {
+      key: 'basicRichText',
+      name: 'rich text',
+      tags: ['文字', 'text', '富文本', '折行'],
+      state: BasicRichTextState,
+      description: '用 ChineseTextPlugin 排版中英文混排的文字：行内颜色、字号、粗体标记，标点不出现在行首，超过行数加省略号',
+      source: [
+        'var style = { font: "18px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: this.game.width - 40 };',
+        '// 行内标记：颜色、字号、粗体',
+        "this.game.chineseText.richText(20, 100, '[color=#ffde00]颜色[/color]、[size=28]字号[/size]和[b]粗体[/b]', style);",
+        '// 最多显示两行，放不下的用省略号代替',
+        'this.game.chineseText.richText(20, 320, text, Object.assign({ maxLines: 2 }, style));'
+      ].join('\n')
+    },
+    {
+      key: 'basicTweenAnImage',
+      name: 'tween an image',
+      tags: ['补间', 'tween'],
+      state: BasicTweenAnImageState,
+      assets: [einstein],
+      description: '用 Tween 让图片在 5 秒内线性移动',
+      source: [
+        '// 添加一个Tween动画',
+        'this.tween = this.game.add.tween(this.sprite);',
+        '// 5秒内线性移动到x为100处',
+        "this.tween.to({ x: 100 }, 5000, 'Linear', true, 0);"
+      ].join('\n')
+    }
+  ]
+};
@@ -0,0 +1,286 @@
+import I18n from './I18n.js';
+
+// 各类资源调用的 Phaser.Loader 方法和参数，key 之后的参数按这个顺序从声明里取
+var LOADERS = {
+  image: ['url'],
+  spritesheet: ['url', 'frameWidth', 'frameHeight', 'frameMax'],
+  atlas: ['url', 'atlasURL', 'data'],
+  atlasJSONHash: ['url', 'atlasURL', 'data'],
+  audio: ['url']
+};
+
+/**
+ * 示例注册表
+ *
+ * 每个分类（js/basic、js/game、js/open）在自己的 index.js 里声明分类和示例，
+ * 主菜单、子菜单以及 game.state 的注册都从这里生成，不需要再维护两份列表。
+ *
+ * 分类声明：
+ * {
+ *   key: 'basic',              // 分类 key，子菜单和返回按钮用它找回分类
+ *   name: '基础',              // 主菜单上显示的名字，locales.js 里有 category.basic 时显示翻译
+ *   examples: [{
+ *     key: 'basicLoadAnImage', // state key，全局唯一
+ *     name: 'load an image',   // 子菜单上显示的名字，翻译为 example.basicLoadAnImage
+ *     tags: ['图片', 'loader'],  // 可选，搜索用的关键词
+ *     state: BasicLoadAnImageState,
+ *     // 需要的资源，进入示例时在 preload 阶段自动加载，state 里不用再调 game.load；
+ *     // type 对应 Phaser.Loader 的方法名，可用的 type 和字段见 LOADERS
+ *     assets: [{ type: 'image', key: 'einstein', url: 'assets/basic/ra_einstein.jpg' }],
+ *     description: '加载一张图片并显示出来',
+ *     source: "this.game.add.sprite(100, 100, 'einstein');",  // 可选，说明面板里显示的关键代码
+ *     states: { planeGame: PlaneGameState },  // 可选，示例内部跳转用到的其它 state
+ *     targets: ['planeGame', 'menu']           // 可选，示例里 state.start、navigator 直接跳转的 state key
+ *   }]
+ * }
+ *
+ * 示例以外的界面跳转用到的 state（返回按钮、深链接）用 requireStates 登记，
+ * install 时和各示例的 targets 一起检查，写错或忘了注册的 key 启动时就报错。
+ */
+export default class ExampleRegistry {
+
+  constructor() {
+    this.categories = [];
+    this.examples = {};
+    // { owner, key }，install 时确认都已注册
+    this.targets = [];
+  }
+
+  /**
+   * 登记 owner 会跳转到的 state，owner 只用于出错时说明是谁引用的
+   */
+  requireStates(owner, keys) {
+    for (var i = 0; i < keys.length; i++) {
+      this.targets.push({ owner: owner, key: keys[i] });
+    }
+  }
+
+  addCategory(category) {
+    this.categories.push({
+      key: category.key,
+      name: category.name,
+      children: (category.examples || []).map(function(example) {
+        return Object.assign({ category: category.key, assets: [], description: '', source: '', tags: [], states: {}, targets: [] }, example);
+      })
+    });
+  }
+
+  getCategories() {
+    return this.categories;
+  }
+
+  getCategory(key) {
+    for (var i = 0; i < this.categories.length; i++) {
+      if (this.categories[i].key === key) {
+        return this.categories[i];
+      }
+    }
+    return null;
+  }
+
+  getExample(key) {
+    return this.examples[key] || null;
+  }
+
+  /**
+   * 分类或示例在当前语言下的名字，没有翻译时用声明的 name
+   */
+  getName(item) {
+    var key = (item.category ? 'example.' : 'category.') + item.key;
+    return I18n.has(key) ? I18n.t(key) : item.name;
+  }
+
+  /**
+   * 当前语言的描述和关键代码，说明面板用；没有翻译时用 index.js 里声明的
+   */
+  getDescription(example) {
+    var key = 'description.' + example.key;
+    return I18n.has(key) ? I18n.t(key) : example.description;
+  }
+
+  getSource(example) {
+    var key = 'source.' + example.key;
+    return I18n.has(key) ? I18n.t(key) : example.source;
+  }
+
+  /**
+   * 按名字（声明的和当前语言的）、分类和标签搜索示例，不区分大小写。query 按空格分成多个词，每个词都要命中；
+   * 空的 query 返回全部示例。结果按注册顺序排列，名字里直接命中的排在前面
+   */
+  search(query) {
+    var words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    var named = [];
+    var others = [];
+
+    for (var i = 0; i < this.categories.length; i++) {
+      var category = this.categories[i];
+      for (var j = 0; j < category.children.length; j++) {
+        var example = category.children[j];
+        var name = this.getName(example).toLowerCase() + '\n' + example.name.toLowerCase();
+        var fields = [name, example.key.toLowerCase(), category.key.toLowerCase(), category.name.toLowerCase(), this.getName(category).toLowerCase()]
+          .concat(example.tags.map(function(tag) {
+            return String(tag).toLowerCase();
+          }));
+
+        var matched = words.every(function(word) {
+          return fields.some(function(field) {
+            return field.indexOf(word) !== -1;
+          });
+        });
+        if (!matched) {
+          continue;
+        }
+
+        var byName = words.length > 0 && words.every(function(word) {
+          return name.indexOf(word) !== -1;
+        });
+        (byName ? named : others).push(example);
+      }
+    }
+
+    return named.concat(others);
+  }
+
+  /**
+   * 检查声明是否完整、state key 是否重复，有问题直接抛错，错误信息列出所有问题
+   */
+  validate(game) {
+    var errors = [];
+    var categoryKeys = {};
+    var stateKeys = {};
+
+    for (var key in game.state.states) {
+      stateKeys[key] = 'core';
+    }
+
+    function claim(key, owner) {
+      if (!key) {
+        errors.push(owner + ': missing state key');
+      } else if (stateKeys[key]) {
+        errors.push(owner + ': state key "' + key + '" already used by ' + stateKeys[key]);
+      } else {
+        stateKeys[key] = owner;
+      }
+    }
+
+    for (var i = 0; i < this.categories.length; i++) {
+      var category = this.categories[i];
+
+      if (!category.key || !category.name) {
+        errors.push('category #' + i + ': key and name are required');
+      } else if (categoryKeys[category.key]) {
+        errors.push('category "' + category.key + '": duplicate category key');
+      }
+      categoryKeys[category.key] = true;
+
+      for (var j = 0; j < category.children.length; j++) {
+        var example = category.children[j];
+        var owner = 'example "' + (example.key || category.key + '#' + j) + '"';
+
+        claim(example.key, owner);
+
+        if (!example.name) {
+          errors.push(owner + ': missing name');
+        }
+        if (!Array.isArray(example.tags)) {
+          errors.push(owner + ': tags must be an array');
+        }
+        if (!Array.isArray(example.targets)) {
+          errors.push(owner + ': targets must be an array');
+        }
+        if (!Array.isArray(example.assets)) {
+          errors.push(owner + ': assets must be an array');
+        }
+        if (Object.prototype.toString.call(example.states) !== '[object Object]') {
+          errors.push(owner + ': states must be an object of state key -> Phaser.State class');
+        }
+        if (typeof example.description !== 'string' || typeof example.source !== 'string') {
+          errors.push(owner + ': description and source must be strings');
+        }
+        if (typeof example.state !== 'function') {
+          errors.push(owner + ': state must be a Phaser.State class');
+        }
+
+        var states = Object.prototype.toString.call(example.states) === '[object Object]' ? example.states : {};
+        for (var extra in states) {
+          claim(extra, owner);
+          if (typeof states[extra] !== 'function') {
+            errors.push(owner + ': state "' + extra + '" must be a Phaser.State class');
+          }
+        }
+
+        var assets = Array.isArray(example.assets) ? example.assets : [];
+        for (var k = 0; k < assets.length; k++) {
+          var asset = assets[k];
+          if (!asset || !asset.type || !asset.key || !asset.url) {
+            errors.push(owner + ': asset #' + k + ' needs type, key and url');
+          } else if (!LOADERS[asset.type]) {
+            errors.push(owner + ': asset #' + k + ' has unknown type "' + asset.type + '"');
+          }
+        }
+      }
+    }
+
+    if (errors.length) {
+      throw new Error('Invalid example registry:\n  ' + errors.join('\n  '));
+    }
+  }
+
+  /**
+   * 校验并把所有示例注册到 game.state，注册后再确认 requireStates 和 targets 引用的 key 都能找到 state
+   */
+  install(game) {
+    this.validate(game);
+
+    var targets = this.targets.slice();
+
+    for (var i = 0; i < this.categories.length; i++) {
+      var children = this.categories[i].children;
+      for (var j = 0; j < children.length; j++) {
+        var example = children[j];
+        game.state.add(example.key, this.withAssets(new example.state(game), example.assets));
+        for (var extra in example.states) {
+          game.state.add(extra, new example.states[extra](game));
+        }
+        this.examples[example.key] = example;
+        for (var k = 0; k < example.targets.length; k++) {
+          targets.push({ owner: 'example "' + example.key + '"', key: example.targets[k] });
+        }
+      }
+    }
+
+    var dangling = targets.filter(function(target) {
+      return !game.state.checkState(target.key);
+    }).map(function(target) {
+      return '"' + target.key + '" (' + target.owner + ')';
+    });
+
+    if (dangling.length) {
+      throw new Error('Invalid example registry: dangling state keys ' + dangling.join(', '));
+    }
+  }
+
+  /**
+   * 在 state 自己的 preload 之前加载声明的资源
+   */
+  withAssets(state, assets) {
+    if (!assets.length) {
+      return state;
+    }
+    var preload = state.preload;
+    state.preload = function() {
+      for (var i = 0; i < assets.length; i++) {
+        var asset = assets[i];
+        var args = [asset.key].concat(LOADERS[asset.type].map(function(field) {
+          return asset[field];
+        }));
+        this.game.load[asset.type].apply(this.game.load, args);
+      }
+      if (preload) {
+        preload.apply(this, arguments);
+      }
+    };
+    return state;
+  }
+
+}
@@ -0,0 +1,7 @@
+import LocaleManager from './LocaleManager.js';
+import locales from './locales.js';
+
+// 全局唯一的多语言，界面上的文字都从这里取
+var i18n = new LocaleManager(locales, 'zh');
+
+export default i18n;
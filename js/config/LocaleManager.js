@@ -0,0 +1,125 @@
+import Phaser from '../libs/phaser-wx.js';
+
+var STORAGE_KEY = 'menu.locale';
+
+// 复数规则：返回 zero 以外的形式名，没有列出的语言（比如中文）只有 other
+var PLURAL_RULES = {
+  en: function(count) {
+    return count === 1 ? 'one' : 'other';
+  }
+};
+
+/**
+ * 多语言：按当前语言查字符串表，切换语言时通知界面重画，选择保存在本地存储里
+ *
+ *   I18n.t('search.count', { count: 3 });  // 共 3 个示例 / 3 examples
+ *
+ * 字符串表的写法见 locales.js。没存过选择时按 wx.getSystemInfoSync().language 选语言，
+ * zh_CN、zh_TW 都归到 zh，找不到对应的表时用 fallback。当前语言缺的 key 去 fallback 的表里找，
+ * 都没有就原样返回 key，界面上一眼能看出漏翻了哪条。
+ */
+export default class LocaleManager {
+
+  constructor(tables, fallback, key) {
+    this.tables = tables;
+    this.fallback = fallback;
+    this.key = key || STORAGE_KEY;
+
+    // 切换语言后派发，参数为新的语言 key
+    this.onChange = new Phaser.Signal();
+
+    var saved = this.load();
+    this.locale = this.tables[saved] ? saved : this.detect();
+  }
+
+  load() {
+    // 没有存过时 getItem 返回空字符串
+    return localStorage.getItem(this.key) || '';
+  }
+
+  /**
+   * 按系统语言选择，zh_CN 先找 zh_cn 再找 zh
+   */
+  detect() {
+    var info = wx.getSystemInfoSync ? wx.getSystemInfoSync() : {};
+    var language = String(info.language || '').toLowerCase().replace('-', '_');
+    if (this.tables[language]) {
+      return language;
+    }
+    var base = language.split('_')[0];
+    return this.tables[base] ? base : this.fallback;
+  }
+
+  get() {
+    return this.locale;
+  }
+
+  /**
+   * 所有语言的 key，按声明顺序
+   */
+  keys() {
+    return Object.keys(this.tables);
+  }
+
+  has(key) {
+    return this.lookup(key) !== undefined;
+  }
+
+  /**
+   * 取 key 对应的字符串，params 里的值替换 {name} 占位符。
+   * 条目是 { zero, one, other } 这样的对象时按 params.count 选复数形式，zero 只在 count 为 0 时用
+   */
+  t(key, params) {
+    var value = this.lookup(key);
+    if (value === undefined) {
+      return key;
+    }
+    params = params || {};
+    if (typeof value === 'object') {
+      value = this.plural(value, params.count);
+    }
+    return String(value).replace(/\{(\w+)\}/g, function(match, name) {
+      return params[name] !== undefined ? String(params[name]) : match;
+    });
+  }
+
+  lookup(key) {
+    var table = this.tables[this.locale];
+    if (table[key] !== undefined) {
+      return table[key];
+    }
+    return this.tables[this.fallback][key];
+  }
+
+  plural(forms, count) {
+    if (count === 0 && forms.zero !== undefined) {
+      return forms.zero;
+    }
+    var rule = PLURAL_RULES[this.locale.split('_')[0]];
+    var form = rule && typeof count === 'number' ? rule(count) : 'other';
+    return forms[form] !== undefined ? forms[form] : forms.other;
+  }
+
+  /**
+   * 切换到 locale 并保存，locale 不存在时抛错
+   */
+  use(locale) {
+    if (!this.tables[locale]) {
+      throw new Error('Unknown locale "' + locale + '", expected one of ' + this.keys().join(', '));
+    }
+    localStorage.setItem(this.key, locale);
+    if (locale !== this.locale) {
+      this.locale = locale;
+      this.onChange.dispatch(locale);
+    }
+  }
+
+  /**
+   * 换到下一种语言，菜单上的切换按钮用
+   */
+  next() {
+    var keys = this.keys();
+    this.use(keys[(keys.indexOf(this.locale) + 1) % keys.length]);
+  }
+
+}
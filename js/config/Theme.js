@@ -0,0 +1,7 @@
+import ThemeManager from './ThemeManager.js';
+import themes from './themes.js';
+
+// 全局唯一的主题管理，菜单控件都从这里取颜色、字体和尺寸
+var theme = new ThemeManager(themes, 'light');
+
+export default theme;
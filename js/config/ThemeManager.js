@@ -0,0 +1,62 @@
+import Phaser from '../libs/phaser-wx.js';
+
+var STORAGE_KEY = 'menu.theme';
+
+/**
+ * 主题管理：记住当前主题，切换时通知所有控件重画，选择保存在本地存储里
+ *
+ * 控件在构造时用 get() 取当前主题，并订阅 onChange；主题的字段见 themes.js。
+ */
+export default class ThemeManager {
+
+  constructor(themes, fallback, key) {
+    this.themes = themes;
+    this.fallback = fallback;
+    this.key = key || STORAGE_KEY;
+
+    // 切换主题后派发，参数为新主题
+    this.onChange = new Phaser.Signal();
+
+    this.current = this.themes[this.load()] || this.themes[fallback];
+  }
+
+  load() {
+    // 没有存过时 getItem 返回空字符串
+    return localStorage.getItem(this.key) || this.fallback;
+  }
+
+  get() {
+    return this.current;
+  }
+
+  /**
+   * 所有主题的 key，按声明顺序
+   */
+  keys() {
+    return Object.keys(this.themes);
+  }
+
+  /**
+   * 切换到 key 对应的主题并保存，key 不存在时抛错
+   */
+  use(key) {
+    var theme = this.themes[key];
+    if (!theme) {
+      throw new Error('Unknown theme "' + key + '", expected one of ' + this.keys().join(', '));
+    }
+    localStorage.setItem(this.key, key);
+    if (theme !== this.current) {
+      this.current = theme;
+      this.onChange.dispatch(theme);
+    }
+  }
+
+  /**
+   * 换到下一个主题，菜单上的切换按钮用
+   */
+  next() {
+    var keys = this.keys();
+    this.use(keys[(keys.indexOf(this.current.key) + 1) % keys.length]);
+  }
+
+}
@@ -0,0 +1,272 @@
+/**
+ * 各语言的字符串表，key 按界面分组：
+ *
+ * locale.name  语言自己的名字，菜单上的切换按钮显示
+ * powerup.*    飞机大战道具上的字，* 为 js/game/plane/data/powerups.js 里的道具类型
+ * category.*   主菜单的分类名，* 为分类 key；example.* 为子菜单的示例名，* 为示例 key，
+ *              没有翻译的分类、示例显示 index.js 里声明的 name
+ * description.* 说明面板里示例的描述，source.* 为关键代码，* 为示例 key。index.js 里声明的就是中文，
+ *              只写在英文表里，缺的显示声明的
+ *
+ * 值可以带 {name} 占位符；要区分单复数时写成 { zero, one, other }，按 count 参数选，
+ * zero、one 可以省略。新加的 key 除了 description.*、source.* 两张表都要写，英文表缺的会显示中文。
+ */
+export default {
+  zh: {
+    'locale.name': '中文',
+
+    'menu.search': '搜索',
+    'menu.theme': '主题：{name}',
+    'theme.light': '浅色',
+    'theme.dark': '深色',
+    'theme.highContrast': '高对比度',
+
+    'search.placeholder': '搜索名称、分类或标签',
+    'search.count': { zero: '没有找到相关的示例', other: '共 {count} 个示例' },
+
+    'info.open': '说明',
+    'info.close': '关闭',
+    'info.empty': '暂无说明',
+
+    'category.basic': '基础',
+    'category.game': '游戏',
+    'category.open': '开放域',
+
+    'example.basicLoadAnImage': '加载图片',
+    'example.basicClickOnAnImage': '点击图片',
+    'example.basicMoveAnImage': '移动图片',
+    'example.basicImageFollowInput': '图片跟随触摸',
+    'example.basicLoadAnAnimation': '加载动画',
+    'example.basicRenderText': '显示文字',
+    'example.basicRichText': '富文本',
+    'example.basicTweenAnImage': '补间动画',
+    'example.planePreload': '飞机大战',
+    'example.openShowOpenCanvas': '显示开放数据域',
+    'example.openSetCloudScore': '提交分数',
+    'example.openGetCloudScore': '读取我的分数',
+    'example.openGetFriendCloudScore': '读取好友分数',
+    'example.openShowRankingList': '好友排行榜',
+    'example.openShowGroupRanking': '群排行榜',
+
+    'plane.pause': '暂停',
+    'plane.resume': '继续',
+    'plane.replay': '回放',
+    'plane.lives': '生命 {count}',
+    'plane.gameOver': '游戏结束',
+    'plane.score': '得分: {score}',
+    'plane.best': '最高: {best}',
+    'plane.newBest': '新纪录!',
+    'plane.back': '返回',
+    'plane.ranking': '排行',
+    'plane.close': '关闭',
+    'plane.replayMatched': '与录制一致',
+    'plane.replayMismatched': '与录制不符: {score}',
+    'plane.rewatch': '重看',
+    'plane.continuePrompt': '继续? 剩余 {count} 次',
+    'plane.continue': '继续',
+    'plane.giveUp': '放弃',
+
+    'open.shareTitle': '来比比谁的分数高',
+    'open.groupOnly': '从群里的分享卡片打开后才能看群排行',
+
+    'powerup.spread': '散',
+    'powerup.rapid': '速',
+    'powerup.homing': '导',
+    'powerup.shield': '盾',
+    'powerup.bomb': '爆'
+  },
+
+  en: {
+    'locale.name': 'English',
+
+    'menu.search': 'Search',
+    'menu.theme': 'Theme: {name}',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.highContrast': 'Contrast',
+
+    'search.placeholder': 'Search names, categories or tags',
+    'search.count': { zero: 'No matching examples', one: '{count} example', other: '{count} examples' },
+
+    'info.open': 'Info',
+    'info.close': 'Close',
+    'info.empty': 'No description',
+
+    'category.basic': 'Basics',
+    'category.game': 'Games',
+    'category.open': 'Open',
+
+    'example.basicLoadAnImage': 'load an image',
+    'example.basicClickOnAnImage': 'click on an image',
+    'example.basicMoveAnImage': 'move an image',
+    'example.basicImageFollowInput': 'image follow input',
+    'example.basicLoadAnAnimation': 'load an animation',
+    'example.basicRenderText': 'render text',
+    'example.basicRichText': 'rich text',
+    'example.basicTweenAnImage': 'tween an image',
+    'example.planePreload': 'plane',
+    'example.openShowOpenCanvas': 'show open canvas',
+    'example.openSetCloudScore': 'set your score',
+    'example.openGetCloudScore': 'get your score',
+    'example.openGetFriendCloudScore': 'get friend score',
+    'example.openShowRankingList': 'show ranking list',
+    'example.openShowGroupRanking': 'show group ranking',
+
+    'description.basicLoadAnImage': 'Load an image and show it at a given position',
+    'description.basicClickOnAnImage': 'Make an image respond to taps and count them',
+    'description.basicMoveAnImage': 'Enable physics on a sprite and move the image with a velocity',
+    'description.basicImageFollowInput': 'A sprite follows your finger while input debug info is printed',
+    'description.basicLoadAnAnimation': 'Load an atlas and play a looping frame animation',
+    'description.basicRenderText': 'Show several lines of text in a given font style',
+    'description.basicRichText': 'Lay out mixed Chinese and Latin text with ChineseTextPlugin: inline color, size and bold markup, no punctuation at line starts, and an ellipsis past the line limit',
+    'description.basicTweenAnImage': 'Move an image linearly over 5 seconds with a Tween',
+    'description.planePreload': 'Plane shooter: drag the plane to dodge enemies; it fires automatically and scores for every enemy shot down',
+    'description.openShowOpenCanvas': 'Show the open data context sharedCanvas as a texture in the main context',
+    'description.openSetCloudScore': 'Submit a random score; the open data context merges it with the cloud record by its rule before saving',
+    'description.openGetCloudScore': 'Ask the open data context to read your own cloud score',
+    'description.openGetFriendCloudScore': 'Ask the open data context to read your friends\' cloud scores',
+    'description.openShowRankingList': 'Draw the friend ranking in the open data context and show it in the main context',
+    'description.openShowGroupRanking': 'Share to a group, then open the game from the group card to see the group ranking through its shareTicket',
+
+    'source.basicLoadAnImage': [
+      '// Declare the image in the assets of index.js with the key einstein; it loads in preload when the example opens',
+      "{ type: 'image', key: 'einstein', url: 'assets/basic/ra_einstein.jpg' }",
+      '',
+      '// Show the image at (100, 100)',
+      "this.game.add.sprite(100, 100, 'einstein');"
+    ].join('\n'),
+    'source.basicClickOnAnImage': [
+      '// Let the image receive input',
+      'this.image.inputEnabled = true;',
+      '// Call listener with this as the context when the image is tapped',
+      'this.image.events.onInputDown.add(this.listener, this);',
+      '',
+      'listener() {',
+      '  this.counter++;',
+      '  this.text.text = "You clicked " + this.counter + " times!";',
+      '}'
+    ].join('\n'),
+    'source.basicMoveAnImage': [
+      "var sprite = this.game.add.sprite(0, 0, 'einstein');",
+      '// Enable physics on the sprite',
+      'this.game.physics.enable(sprite, Phaser.Physics.ARCADE);',
+      '// Horizontal velocity of 150',
+      'sprite.body.velocity.x = 150;'
+    ].join('\n'),
+    'source.basicImageFollowInput': [
+      '// Enable physics on the sprite so it gets a body',
+      'this.game.physics.arcade.enable(this.sprite);',
+      '',
+      '// Checked every frame in update',
+      'if (this.game.physics.arcade.distanceToPointer(this.sprite, this.game.input.activePointer) > 8) {',
+      '  // Move the sprite towards the mouse (or touch) at a speed of 300',
+      '  this.game.physics.arcade.moveToPointer(this.sprite, 300);',
+      '} else {',
+      '  this.sprite.body.velocity.set(0);',
+      '}'
+    ].join('\n'),
+    'source.basicLoadAnAnimation': [
+      '// Create the sprite the same way',
+      "this.bot = this.game.add.sprite(200, 200, 'bot');",
+      '// Add an animation called run',
+      "this.bot.animations.add('run');",
+      '// Play it at 15 frames per second, looping',
+      "this.bot.animations.play('run', 15, true);"
+    ].join('\n'),
+    'source.basicRenderText': [
+      '// Text style',
+      'var style = { font: "32px Arial", fill: "#ff0044", align: "center" };',
+      '// Show the text',
+      'this.game.add.text(this.game.world.centerX - 160, 300, text, style);'
+    ].join('\n'),
+    'source.basicRichText': [
+      'var style = { font: "18px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: this.game.width - 40 };',
+      '// Inline markup: color, size, bold',
+      "this.game.chineseText.richText(20, 100, '[color=#ffde00]颜色[/color]、[size=28]字号[/size]和[b]粗体[/b]', style);",
+      '// At most two lines; an ellipsis replaces the rest',
+      'this.game.chineseText.richText(20, 320, text, Object.assign({ maxLines: 2 }, style));'
+    ].join('\n'),
+    'source.basicTweenAnImage': [
+      '// Add a Tween',
+      'this.tween = this.game.add.tween(this.sprite);',
+      '// Move linearly to x = 100 within 5 seconds',
+      "this.tween.to({ x: 100 }, 5000, 'Linear', true, 0);"
+    ].join('\n'),
+    'source.planePreload': [
+      '// Drag the plane',
+      'this.hero.inputEnabled = true;',
+      'this.hero.input.enableDrag(true);',
+      '',
+      '// A bullet hits an enemy',
+      'this.game.physics.arcade.overlap(this.enemyGroup, this.gun.getBullets(), this.hit, null, this);'
+    ].join('\n'),
+    'source.openShowOpenCanvas': [
+      '// Refresh the texture every frame so later drawing in the open data context shows up',
+      'var openCanvas = new SharedCanvasSprite(this.game, 0, 100, { crop: { x: 0, y: 0, width: 375, height: 667 } });',
+      'this.game.world.add(openCanvas);'
+    ].join('\n'),
+    'source.openSetCloudScore': [
+      '// A score worse than the cloud record does not overwrite it; read it back to see what was saved',
+      "this.client.submitScore('score', this.score);",
+      "this.client.getScore('score');"
+    ].join('\n'),
+    'source.openGetCloudScore': [
+      '// The open data context draws the result on sharedCanvas',
+      'this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);',
+      'this.resultSprite.setDisplaySize(375, 200);',
+      'this.game.world.add(this.resultSprite);',
+      '',
+      "this.client.getScore('score');"
+    ].join('\n'),
+    'source.openGetFriendCloudScore': [
+      '// The open data context draws the result on sharedCanvas',
+      'this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);',
+      'this.resultSprite.setDisplaySize(375, 200);',
+      'this.game.world.add(this.resultSprite);',
+      '',
+      "this.client.getFriendScore('score');"
+    ].join('\n'),
+    'source.openShowRankingList': [
+      '// Drag the ranking to scroll; tap the bottom to turn pages',
+      "this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20 });",
+      'this.game.add.existing(this.panel);',
+      'this.panel.show();'
+    ].join('\n'),
+    'source.openShowGroupRanking': [
+      '// Shared cards must carry a shareTicket so others can open the group ranking',
+      'wx.updateShareMenu({ withShareTicket: true });',
+      '',
+      '// Opened from a group card, the launch options contain the shareTicket',
+      "this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20, shareTicket: this.shareTicket });",
+      'this.panel.show();'
+    ].join('\n'),
+
+    'plane.pause': 'Pause',
+    'plane.resume': 'Resume',
+    'plane.replay': 'Replay',
+    'plane.lives': 'Lives {count}',
+    'plane.gameOver': 'Game Over',
+    'plane.score': 'Score: {score}',
+    'plane.best': 'Best: {best}',
+    'plane.newBest': 'New best!',
+    'plane.back': 'Back',
+    'plane.ranking': 'Ranks',
+    'plane.close': 'Close',
+    'plane.replayMatched': 'Matches recording',
+    'plane.replayMismatched': 'Recorded: {score}',
+    'plane.rewatch': 'Again',
+    'plane.continuePrompt': { one: 'Continue? Last chance', other: 'Continue? {count} left' },
+    'plane.continue': 'Yes',
+    'plane.giveUp': 'No',
+
+    'open.shareTitle': 'Can you beat my score?',
+    'open.groupOnly': 'Open the game from a shared card in a group chat to see its ranking',
+
+    // 道具上只放得下一个字母
+    'powerup.spread': 'W',
+    'powerup.rapid': 'R',
+    'powerup.homing': 'M',
+    'powerup.shield': 'S',
+    'powerup.bomb': 'B'
+  }
+};
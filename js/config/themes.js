@@ -0,0 +1,111 @@
+/**
+ * 菜单控件的主题，字段含义：
+ *
+ * palette     颜色。background 为舞台背景；circleInner/circleOuter 为主菜单圆形按钮的径向渐变；
+ *             row 为子菜单条目的底色；arrow 为箭头的 tint
+ * typography  字体，css font 写法
+ * spacing     控件尺寸：circle 为圆形按钮直径，rowInset 为条目比屏幕窄多少，rowHeight 为条目高度
+ * radius      圆角半径
+ * pressScale  按下时放大的倍数
+ */
+export default {
+  light: {
+    key: 'light',
+    name: '浅色',
+    palette: {
+      background: '#4851ff',
+      circleInner: '#43d4d9',
+      circleOuter: '#4851ff',
+      circleText: '#000000',
+      row: '#ffffff',
+      rowText: '#000000',
+      text: '#ffffff',
+      arrow: 0xffffff
+    },
+    typography: {
+      circle: '32px Arial',
+      row: '20px Arial',
+      label: '16px Arial'
+    },
+    spacing: {
+      circle: 100,
+      rowInset: 100,
+      rowHeight: 30
+    },
+    radius: {
+      row: 0
+    },
+    pressScale: {
+      circle: 1.3,
+      row: 1,
+      arrow: 1.5
+    }
+  },
+
+  dark: {
+    key: 'dark',
+    name: '深色',
+    palette: {
+      background: '#15172b',
+      circleInner: '#3a3f8f',
+      circleOuter: '#15172b',
+      circleText: '#e8e8f0',
+      row: '#2a2d4a',
+      rowText: '#e8e8f0',
+      text: '#e8e8f0',
+      arrow: 0xb0b4ff
+    },
+    typography: {
+      circle: '32px Arial',
+      row: '20px Arial',
+      label: '16px Arial'
+    },
+    spacing: {
+      circle: 100,
+      rowInset: 100,
+      rowHeight: 30
+    },
+    radius: {
+      row: 8
+    },
+    pressScale: {
+      circle: 1.3,
+      row: 1.05,
+      arrow: 1.5
+    }
+  },
+
+  // 高对比度：黑底黄字，字更粗更大，按下时几乎不缩放，避免内容跳动
+  highContrast: {
+    key: 'highContrast',
+    name: '高对比度',
+    palette: {
+      background: '#000000',
+      circleInner: '#ffff00',
+      circleOuter: '#ffff00',
+      circleText: '#000000',
+      row: '#ffff00',
+      rowText: '#000000',
+      text: '#ffff00',
+      arrow: 0xffff00
+    },
+    typography: {
+      circle: 'bold 34px Arial',
+      row: 'bold 22px Arial',
+      label: 'bold 18px Arial'
+    },
+    spacing: {
+      circle: 104,
+      rowInset: 80,
+      rowHeight: 32
+    },
+    radius: {
+      row: 4
+    },
+    pressScale: {
+      circle: 1.1,
+      row: 1,
+      arrow: 1.2
+    }
+  }
+};
@@ -1,15 +1,41 @@
-import Phaser from '../libs/phaser-wx.js';
-
 import PlanePreloadState from './plane/states/PlanePreloadState.js'
 import PlaneGameState from './plane/states/PlaneGameState.js'
+import Common from './plane/atlas/common.js'
 
-export default class GameExamples {
-  
-  constructor(game) {
-    
-    game.state.add('planePreload', new PlanePreloadState(game));
-    game.state.add('planeGame', new PlaneGameState(game));
-
-  }
-
-}
+export default {
+  key: 'game',
+  name: '游戏',
+  examples: [
+    {
+      key: 'planePreload',
+      name: 'plane',
+      tags: ['飞机大战', '射击', 'shooter'],
+      state: PlanePreloadState,
+      assets: [
+        { type: 'image', key: 'bg', url: 'assets/plane/images/bg.jpg' },
+        { type: 'image', key: 'hero', url: 'assets/plane/images/hero.png' },
+        { type: 'image', key: 'enemy', url: 'assets/plane/images/enemy.png' },
+        { type: 'spritesheet', key: 'explosion', url: 'assets/plane/images/explosion.png', frameWidth: 47, frameHeight: 64, frameMax: 19 },
+        { type: 'image', key: 'bullet', url: 'assets/plane/images/bullet.png' },
+        { type: 'atlas', key: 'common', url: 'assets/plane/images/common.png', data: Common },
+        { type: 'audio', key: 'bgm', url: 'assets/plane/audio/bgm.mp3' },
+        { type: 'audio', key: 'boom', url: 'assets/plane/audio/boom.mp3' },
+        { type: 'audio', key: 'bullet', url: 'assets/plane/audio/bullet.mp3' }
+      ],
+      description: '飞机大战：拖动飞机躲避敌机，自动发射子弹击落敌机得分',
+      source: [
+        '// 拖动飞机',
+        'this.hero.inputEnabled = true;',
+        'this.hero.input.enableDrag(true);',
+        '',
+        '// 子弹打中敌机',
+        'this.game.physics.arcade.overlap(this.enemyGroup, this.gun.getBullets(), this.hit, null, this);'
+      ].join('\n'),
+      states: {
+        planeGame: PlaneGameState
+      },
+      // 预加载完进入 planeGame，结束后回主菜单
+      targets: ['planeGame', 'menu']
+    }
+  ]
+};
@@ -0,0 +1,59 @@
+import RankingPanel from '../../../open/RankingPanel.js'
+import OpenDataView from '../../../open/OpenDataView.js'
+import OpenDataClient from '../../../open/OpenDataClient.js'
+
+/**
+ * 飞机大战的云端成绩：一局结束刷新了最高分或本周最高分时提交给开放数据域合并保存，排行榜也交给开放数据域（js/openData/index.js）去画
+ *
+ * 好友的分数只有开放数据域能读到，主域只能把 sharedCanvas 当纹理显示出来。
+ * 从群分享卡片打开时排行显示这个群的成绩。
+ */
+var SCORE_KEY = 'planeScore';
+
+// 目前只有一种玩法，记录里的 mode 先固定
+var MODE = 'normal';
+
+export default class PlaneCloud {
+
+	constructor(key) {
+		this.key = key || SCORE_KEY;
+		this.client = new OpenDataClient();
+		var launchOptions = wx.getLaunchOptionsSync ? wx.getLaunchOptionsSync() : {};
+		this.shareTicket = launchOptions.shareTicket || null;
+	}
+
+	/**
+	 * 提交一局的成绩，由开放数据域和云端的记录合并（记录格式见 js/openData/record.js）
+	 *
+	 * 开放数据域没法回消息，这里不知道结果。同时带上本地的最高分，以前没传上去的下次提交时补上。
+	 */
+	submit(score, best) {
+		this.client.submitScore(this.key, score, { best: best, mode: MODE, rule: 'max' });
+	}
+
+	/**
+	 * 一局结束时调用，run 是 PlaneRecord#addRun 的返回值。刷新了最高分或本周最高分才提交：
+	 * 云端记录里还有本周成绩，周排行靠它，跨周后不到历史最高的成绩也要传上去；
+	 * 别的成绩按 max 规则不会改变云端的记录，不用每局都写云存储
+	 */
+	submitRun(run, best) {
+		if (run.newBest || run.newWeekBest) {
+			this.submit(run.score, best);
+		}
+	}
+
+	/**
+	 * 好友排行面板，加到显示列表后调用 show() 通知开放数据域去画
+	 */
+	createRankingPanel(game, x, y, width, height) {
+		return new RankingPanel(game, x, y, width, height, { key: this.key, pageSize: 10, shareTicket: this.shareTicket });
+	}
+
+	/**
+	 * 追赶提示和结算卡片，加到显示列表后用 showNextFriend、showComparison 传入分数
+	 */
+	createView(game, x, y, width, height) {
+		return new OpenDataView(game, x, y, width, height);
+	}
+
+}
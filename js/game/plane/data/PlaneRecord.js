@@ -0,0 +1,88 @@
+/**
+ * 飞机大战的本地战绩：最高分、本周最高分、总局数、最近几局的结果
+ *
+ * 通过 weapp-adapter 提供的 localStorage 保存，实际落到 wx.setStorageSync。
+ */
+var STORAGE_KEY = 'plane.record';
+
+// 保留最近多少局
+var HISTORY_SIZE = 10;
+
+export default class PlaneRecord {
+
+	constructor(key, historySize) {
+		this.key = key || STORAGE_KEY;
+		this.historySize = historySize || HISTORY_SIZE;
+		this.load();
+	}
+
+	load() {
+		var data = null;
+		try {
+			// 没有存过时 getItem 返回空字符串
+			data = JSON.parse(localStorage.getItem(this.key) || 'null');
+		} catch (e) {
+			// 存的数据坏了当作没有存过，下一局结束时整个覆盖掉
+		}
+		data = data || {};
+
+		this.best = data.best > 0 ? data.best : 0;
+		this.runs = data.runs > 0 ? data.runs : 0;
+		this.history = Array.isArray(data.history) ? data.history.slice(0, this.historySize) : [];
+		this.week = data.week > 0 ? data.week : 0;
+		this.weekStart = data.weekStart > 0 ? data.weekStart : 0;
+	}
+
+	save() {
+		localStorage.setItem(this.key, JSON.stringify({
+			best: this.best,
+			runs: this.runs,
+			history: this.history,
+			week: this.week,
+			weekStart: this.weekStart
+		}));
+	}
+
+	/**
+	 * 记录一局的得分并立即保存，返回这一局的记录，newBest、newWeekBest 表示是否刷新了最高分、本周最高分
+	 */
+	addRun(score) {
+		var now = Date.now();
+		var start = weekStart(now);
+		// 跨周了，本周最高分从零算
+		if (this.weekStart !== start) {
+			this.week = 0;
+			this.weekStart = start;
+		}
+
+		var run = {
+			score: score,
+			time: now,
+			newBest: score > this.best,
+			newWeekBest: score > this.week
+		};
+
+		this.runs++;
+		if (run.newBest) {
+			this.best = score;
+		}
+		if (run.newWeekBest) {
+			this.week = score;
+		}
+		this.history.unshift(run);
+		this.history.length = Math.min(this.history.length, this.historySize);
+
+		this.save();
+		return run;
+	}
+
+}
+
+/**
+ * now 所在周的周一零点（本地时间），和开放数据域 js/openData/record.js 的算法一致
+ */
+function weekStart(now) {
+	var date = new Date(now);
+	var day = (date.getDay() + 6) % 7;
+	return new Date(date.getFullYear(), date.getMonth(), date.getDate() - day).getTime();
+}
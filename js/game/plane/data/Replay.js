@@ -0,0 +1,144 @@
+/**
+ * 飞机大战的回放数据：随机种子、每个逻辑帧开始时飞机的坐标、续关选择和最终得分
+ *
+ * 坐标按帧差分后做游程编码，飞机不动或匀速拖动时一段只占三个数：
+ *   moves = [x0, y0, dx, dy, count, dx, dy, count, ...]
+ * toBlob() 得到的 JSON 字符串就是存档和提交问题时用的回放数据。
+ */
+var VERSION = 1;
+var STORAGE_KEY = 'plane.replay';
+
+export default class Replay {
+
+	constructor(data) {
+		data = data || {};
+		this.level = data.level || '';
+		this.seed = data.seed || '';
+		this.score = data.score === undefined ? null : data.score;
+		this.events = data.events ? data.events.slice() : [];
+
+		this.frames = 0;
+		this.moves = [];
+		this.xs = [];
+		this.ys = [];
+		this.lastX = 0;
+		this.lastY = 0;
+
+		if (data.moves) {
+			this.decode(data.moves, data.frames);
+		}
+	}
+
+	/**
+	 * 追加一帧的飞机坐标，坐标必须是整数
+	 */
+	addFrame(x, y) {
+		var moves = this.moves;
+
+		if (this.frames === 0) {
+			moves.push(x, y);
+		} else {
+			var dx = x - this.lastX;
+			var dy = y - this.lastY;
+			var n = moves.length;
+			if (n > 2 && moves[n - 3] === dx && moves[n - 2] === dy) {
+				moves[n - 1]++;
+			} else {
+				moves.push(dx, dy, 1);
+			}
+		}
+
+		this.xs.push(x);
+		this.ys.push(y);
+		this.lastX = x;
+		this.lastY = y;
+		this.frames++;
+	}
+
+	/**
+	 * 第 index 帧的坐标 {x, y}，超出录制范围返回 null
+	 */
+	getFrame(index) {
+		if (index < 0 || index >= this.frames) {
+			return null;
+		}
+		return { x: this.xs[index], y: this.ys[index] };
+	}
+
+	/**
+	 * 展开成逐帧的坐标表，回放时按下标取
+	 */
+	decode(moves, frames) {
+		var x = moves[0];
+		var y = moves[1];
+		var xs = [x];
+		var ys = [y];
+
+		for (var i = 2; i + 2 < moves.length; i += 3) {
+			for (var j = 0; j < moves[i + 2]; j++) {
+				x += moves[i];
+				y += moves[i + 1];
+				xs.push(x);
+				ys.push(y);
+			}
+		}
+
+		if (frames !== undefined && frames !== xs.length) {
+			throw new Error('replay broken: expected ' + frames + ' frames, got ' + xs.length);
+		}
+
+		this.moves = moves.slice();
+		this.xs = xs;
+		this.ys = ys;
+		this.frames = xs.length;
+		this.lastX = x;
+		this.lastY = y;
+	}
+
+	toBlob() {
+		return JSON.stringify({
+			v: VERSION,
+			level: this.level,
+			seed: this.seed,
+			score: this.score,
+			frames: this.frames,
+			moves: this.moves,
+			events: this.events
+		});
+	}
+
+	/**
+	 * 从 toBlob() 的结果还原，数据不对时抛错
+	 */
+	static fromBlob(blob) {
+		var data = typeof blob === 'string' ? JSON.parse(blob) : blob;
+
+		if (!data || data.v !== VERSION) {
+			throw new Error('replay version not supported: ' + (data && data.v));
+		}
+		if (!Array.isArray(data.moves) || data.moves.length < 2) {
+			throw new Error('replay broken: no moves');
+		}
+		return new Replay(data);
+	}
+
+	/**
+	 * 最近一局的回放存在本地，没有或者存的数据坏了（比如旧版本）时返回 null；要知道原因用 fromBlob
+	 */
+	static load() {
+		var blob = localStorage.getItem(STORAGE_KEY);
+		if (!blob) {
+			return null;
+		}
+		try {
+			return Replay.fromBlob(blob);
+		} catch (e) {
+			return null;
+		}
+	}
+
+	save() {
+		localStorage.setItem(STORAGE_KEY, this.toBlob());
+	}
+
+}
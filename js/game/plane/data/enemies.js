@@ -0,0 +1,74 @@
+/**
+ * 敌机类型表
+ *
+ * hp       生命值，复用 Phaser.Component.Health
+ * score    击落得分
+ * speed    关卡文件没有指定速度时使用的默认速度
+ * scale    贴图缩放，tint 为着色（0xffffff 为原色）
+ * fire     射击方式：pattern 为 aimed 瞄准英雄 | spread 扇形 | ring 环形，
+ *          interval 射击间隔毫秒，speed 子弹速度，count 子弹数量，spread 扇形总角度
+ * drops    掉落表：依次按 chance 掷骰，命中第一个即掉落该道具，道具见 data/powerups.js
+ * boss     是否为 boss；boss 出现时暂停出怪，并显示血条
+ * phases   boss 的阶段，血量比例低于 below 时切换到该阶段的 fire 和 sway（左右摆动）
+ */
+var enemies = {
+  small: {
+    texture: 'enemy',
+    hp: 1,
+    score: 1,
+    speed: 200,
+    scale: 0.7,
+    tint: 0xffffff,
+    fire: null,
+    drops: [{ item: 'spread', chance: 0.04 }, { item: 'rapid', chance: 0.04 }]
+  },
+  medium: {
+    texture: 'enemy',
+    hp: 3,
+    score: 3,
+    speed: 160,
+    scale: 0.9,
+    tint: 0x99ccff,
+    fire: { pattern: 'aimed', interval: 2000, speed: 250, count: 1 },
+    drops: [{ item: 'spread', chance: 0.1 }, { item: 'rapid', chance: 0.1 }, { item: 'shield', chance: 0.06 }]
+  },
+  large: {
+    texture: 'enemy',
+    hp: 8,
+    score: 8,
+    speed: 100,
+    scale: 1.2,
+    tint: 0xff9966,
+    fire: { pattern: 'spread', interval: 2500, speed: 220, count: 3, spread: 40 },
+    drops: [{ item: 'homing', chance: 0.25 }, { item: 'shield', chance: 0.15 }, { item: 'bomb', chance: 0.15 }]
+  },
+  boss: {
+    texture: 'enemy',
+    hp: 120,
+    score: 50,
+    speed: 60,
+    scale: 2.2,
+    tint: 0xff6666,
+    boss: true,
+    drops: [{ item: 'homing', chance: 1 }],
+    phases: [
+      {
+        below: 1,
+        fire: { pattern: 'spread', interval: 1500, speed: 220, count: 5, spread: 60 },
+        sway: { amplitude: 80, period: 4000 }
+      },
+      {
+        below: 0.6,
+        fire: { pattern: 'ring', interval: 1800, speed: 180, count: 12 },
+        sway: { amplitude: 110, period: 3000 }
+      },
+      {
+        below: 0.3,
+        fire: { pattern: 'aimed', interval: 500, speed: 320, count: 1 },
+        sway: { amplitude: 130, period: 2000 }
+      }
+    ]
+  }
+};
+
+export default enemies;
@@ -0,0 +1,21 @@
+/**
+ * 道具类型表
+ *
+ * label     道具上显示的字，是 locales.js 里的 key
+ * color     道具底色（tint）
+ * duration  持续时间毫秒，到时失效；再次拾取同类道具重新计时。0 表示拾取时立即生效
+ */
+var powerups = {
+  // 散弹：一次射出扇形的三发子弹
+  spread: { label: 'powerup.spread', color: 0xff9900, duration: 10000 },
+  // 速射：射击间隔缩短
+  rapid: { label: 'powerup.rapid', color: 0x33ccff, duration: 10000 },
+  // 导弹：额外发射追踪最近敌机的导弹
+  homing: { label: 'powerup.homing', color: 0xcc66ff, duration: 10000 },
+  // 护盾：期间碰到敌机和子弹不会死
+  shield: { label: 'powerup.shield', color: 0x33cc66, duration: 6000 },
+  // 炸弹：清空屏幕上的敌机和敌机子弹
+  bomb: { label: 'powerup.bomb', color: 0xff3333, duration: 0 }
+};
+
+export default powerups;
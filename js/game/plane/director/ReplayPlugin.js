@@ -0,0 +1,70 @@
+import Phaser from '../../../libs/phaser-wx.js'
+
+/**
+ * 录制或回放飞机的位置
+ *
+ * 做成插件是为了用 preUpdate：它在 stage.preUpdate 同步物理 body 之前执行，
+ * 不管拖动发生在帧间还是帧内，录到和回放时写入的都是这一帧碰撞检测实际用到的坐标。
+ * state 冻结（暂停、续关提示）和结束后的帧不参与模拟，也不计数。
+ *
+ *   game.plugins.add(ReplayPlugin, state, replay, 'record' | 'play')
+ */
+export default class ReplayPlugin extends Phaser.Plugin {
+
+	init(state, replay, mode) {
+		this.state = state;
+		this.replay = replay;
+		this.mode = mode;
+		this.frame = 0;
+		this.eventIndex = 0;
+	}
+
+	preUpdate() {
+		var state = this.state;
+		if (state.frozen || state.isOver) {
+			return;
+		}
+
+		var hero = state.hero;
+
+		if (this.mode === 'play') {
+			var position = this.replay.getFrame(this.frame);
+			if (position) {
+				hero.x = position.x;
+				hero.y = position.y;
+			}
+		} else {
+			// 坐标取整，回放数据才能用整数差分保存
+			hero.x = Math.round(hero.x);
+			hero.y = Math.round(hero.y);
+			this.replay.addFrame(hero.x, hero.y);
+		}
+
+		this.frame++;
+	}
+
+	/**
+	 * 录制时记下玩家的选择，回放时按顺序取出
+	 */
+	record(event) {
+		if (this.mode !== 'play') {
+			this.replay.events.push(event);
+		}
+	}
+
+	nextEvent() {
+		return this.replay.events[this.eventIndex++] || null;
+	}
+
+	isPlaying() {
+		return this.mode === 'play';
+	}
+
+	/**
+	 * 回放是否已经走完录制的帧
+	 */
+	isFinished() {
+		return this.frame >= this.replay.frames;
+	}
+
+}
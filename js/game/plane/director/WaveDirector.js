@@ -0,0 +1,217 @@
+import Phaser from '../../../libs/phaser-wx.js'
+
+/**
+ * 波次导演：按关卡文件（见 levels/level1.js）的时间表派发敌机，并控制敌机的飞行路线
+ *
+ * 时间只由 update 传进来的毫秒数推进，随机数用关卡自己的种子，
+ * 所以同样的输入每次播放结果完全一样。
+ */
+export default class WaveDirector {
+
+	/**
+	 * seed 不传时用关卡里写的种子，回放时传入录像记下的种子
+	 */
+	constructor(game, level, seed) {
+		this.game = game;
+		this.level = level;
+		this.seed = seed || level.seed || level.name;
+
+		// 每当需要出一架敌机时派发，参数为出怪信息 {x, y, enemy, path}
+		this.onSpawn = new Phaser.Signal();
+
+		this.rnd = new Phaser.RandomDataGenerator([this.seed]);
+		this.round = 0;
+		this.running = true;
+		this.held = false;
+		this.compile();
+	}
+
+	/**
+	 * 当前轮的速度倍数
+	 */
+	speedScale() {
+		var difficulty = this.level.difficulty || {};
+		return Math.min(1 + this.round * (difficulty.speedStep || 0), difficulty.maxSpeedScale || 1);
+	}
+
+	/**
+	 * 当前轮的时间倍数，越小出怪越密
+	 */
+	intervalScale() {
+		var difficulty = this.level.difficulty || {};
+		return Math.max(1 - this.round * (difficulty.intervalStep || 0), difficulty.minIntervalScale || 1);
+	}
+
+	/**
+	 * 把当前轮的所有波次展开成按时间排序的出怪列表
+	 */
+	compile() {
+		var timeScale = this.intervalScale();
+		var speedScale = this.speedScale();
+		var spawnY = this.level.spawnY || 0;
+		var spawns = [];
+
+		this.level.waves.forEach(function(wave, index) {
+			var count = wave.count || 1;
+			var at = (wave.at || 0) * timeScale;
+			var interval = (wave.interval || 0) * timeScale;
+			var spacing = wave.spacing || 0;
+			var x = wave.x === undefined ? 'random' : wave.x;
+			// 没写速度时用敌机类型的默认速度，见 launch
+			var path = {
+				type: wave.path || 'straight',
+				speed: wave.speed,
+				speedScale: speedScale,
+				angle: wave.angle || 0,
+				amplitude: wave.amplitude || 0,
+				period: wave.period || 1000,
+				diveAt: wave.diveAt || 0.5,
+				diveSpeed: wave.diveSpeed,
+				hoverY: wave.hoverY || 0.2
+			};
+
+			function add(time, x, offset) {
+				spawns.push({
+					time: time,
+					order: spawns.length,
+					wave: index,
+					x: x,
+					offset: offset,
+					y: wave.y === undefined ? spawnY : wave.y,
+					enemy: wave.enemy || 'small',
+					path: path
+				});
+			}
+
+			for (var i = 0; i < count; i++) {
+				switch (wave.formation) {
+				case 'line':
+					add(at, x, (i - (count - 1) / 2) * spacing);
+					break;
+				case 'column':
+				case 'random':
+					add(at + i * interval, wave.formation === 'random' ? 'random' : x, 0);
+					break;
+				case 'v':
+					// 0 号在中间，之后每两架一组分列两侧
+					var rank = Math.ceil(i / 2);
+					add(at + rank * interval, x, (i % 2 ? -1 : 1) * rank * spacing);
+					break;
+				default:
+					add(at, x, 0);
+				}
+			}
+		});
+
+		spawns.sort(function(a, b) {
+			return a.time - b.time || a.order - b.order;
+		});
+
+		this.spawns = spawns;
+		this.cursor = 0;
+		this.time = 0;
+		this.duration = (this.level.duration || 0) * timeScale;
+	}
+
+	/**
+	 * 推进 elapsed 毫秒，派发这段时间内到点的敌机
+	 */
+	update(elapsed) {
+		if (!this.running || this.held) {
+			return;
+		}
+
+		this.time += elapsed;
+
+		while (this.cursor < this.spawns.length && this.spawns[this.cursor].time <= this.time) {
+			this.onSpawn.dispatch(this.resolve(this.spawns[this.cursor++]));
+		}
+
+		if (this.cursor >= this.spawns.length && this.time >= this.duration) {
+			this.round++;
+			this.compile();
+		}
+	}
+
+	/**
+	 * 算出出怪的实际坐标，随机位置在这里才取随机数，保证顺序固定
+	 */
+	resolve(spawn) {
+		var margin = this.level.margin || 0;
+		var x = spawn.x === 'random' ?
+			this.rnd.integerInRange(margin, this.game.width - margin) :
+			spawn.x * this.game.width;
+
+		return {
+			x: Phaser.Math.clamp(x + spawn.offset, margin, this.game.width - margin),
+			y: spawn.y,
+			enemy: spawn.enemy,
+			path: spawn.path
+		};
+	}
+
+	/**
+	 * 敌机出现时调用，设置初速度并记下路线；baseSpeed 是敌机类型的默认速度
+	 */
+	launch(enemy, path, baseSpeed) {
+		var angle = Phaser.Math.degToRad(path.angle);
+		var speed = (path.speed || baseSpeed) * path.speedScale;
+
+		enemy.path = Object.create(path);
+		enemy.path.time = 0;
+		enemy.path.dived = false;
+		enemy.path.hovering = false;
+		enemy.path.speed = speed;
+		enemy.path.diveSpeed = (path.diveSpeed || path.speed || baseSpeed) * path.speedScale;
+
+		enemy.body.velocity.x = path.type === 'straight' ? Math.sin(angle) * speed : 0;
+		enemy.body.velocity.y = path.type === 'straight' ? Math.cos(angle) * speed : speed;
+	}
+
+	/**
+	 * 每帧调用，按路线调整敌机速度
+	 */
+	steer(enemy, hero, elapsed) {
+		var path = enemy.path;
+		if (!path) {
+			return;
+		}
+
+		path.time += elapsed;
+
+		if (path.type === 'sine') {
+			var omega = Math.PI * 2 / path.period;
+			enemy.body.velocity.x = path.amplitude * omega * 1000 * Math.cos(omega * path.time);
+		} else if (path.type === 'dive' && !path.dived && enemy.y >= this.game.height * path.diveAt) {
+			path.dived = true;
+			this.game.physics.arcade.moveToObject(enemy, hero, path.diveSpeed);
+		} else if (path.type === 'hover') {
+			// 下降到 hoverY 后停住，之后左右摆动
+			if (!path.hovering && enemy.y >= this.game.height * path.hoverY) {
+				path.hovering = true;
+				path.time = 0;
+				enemy.body.velocity.y = 0;
+			}
+			if (path.hovering) {
+				var sway = Math.PI * 2 / path.period;
+				enemy.body.velocity.x = path.amplitude * sway * 1000 * Math.cos(sway * path.time);
+			}
+		}
+	}
+
+	/**
+	 * 暂停派发新的敌机，比如 boss 战期间
+	 */
+	hold() {
+		this.held = true;
+	}
+
+	release() {
+		this.held = false;
+	}
+
+	stop() {
+		this.running = false;
+	}
+
+}
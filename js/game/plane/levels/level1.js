@@ -0,0 +1,44 @@
+/**
+ * 飞机大战第一关
+ *
+ * 时间单位都是毫秒；x 是相对屏幕宽度的比例（0~1），写 'random' 表示随机位置。
+ * formation: single 单架 | line 横排同时出现 | column 同一位置依次出现
+ *            | v 人字形，先出中间再两侧成对出现 | random 随机位置依次出现
+ * path: straight 直线（angle 为偏离竖直方向的角度）
+ *       | sine 正弦摆动（amplitude 摆幅像素，period 周期）
+ *       | dive 先直线下落，到 diveAt（屏幕高度比例）后朝英雄俯冲（diveSpeed）
+ *       | hover 下降到 hoverY（屏幕高度比例）后停住左右摆动，适合 boss
+ * enemy: 敌机类型，见 data/enemies.js，默认 small；speed 不写时用类型的默认速度
+ */
+var level = {
+  name: '第一关',
+  // 随机数种子，同一个种子每次出怪完全一样
+  seed: 'plane-level-1',
+  // 一轮的时长，所有波次播完且到达该时长后进入下一轮
+  duration: 40000,
+  // 敌机出现的高度
+  spawnY: 40,
+  // 敌机中心离屏幕左右边缘的最小距离
+  margin: 42,
+  // 每过一轮难度提升
+  difficulty: {
+    speedStep: 0.15,
+    maxSpeedScale: 2,
+    intervalStep: 0.1,
+    minIntervalScale: 0.5
+  },
+  waves: [
+    { at: 0, formation: 'random', count: 5, interval: 2000, path: 'straight', speed: 200 },
+    { at: 10000, formation: 'line', count: 3, x: 0.5, spacing: 100, path: 'straight', enemy: 'medium' },
+    { at: 12500, formation: 'column', count: 4, x: 0.25, interval: 500, path: 'sine', speed: 150, amplitude: 60, period: 2000 },
+    { at: 15000, formation: 'column', count: 4, x: 0.75, interval: 500, path: 'sine', speed: 150, amplitude: 60, period: 2000 },
+    { at: 19000, formation: 'v', count: 5, x: 0.5, spacing: 60, interval: 300, path: 'straight', speed: 220 },
+    { at: 23000, formation: 'random', count: 3, interval: 1200, path: 'dive', speed: 120, diveAt: 0.3, diveSpeed: 360 },
+    { at: 27000, formation: 'single', x: 0.5, path: 'straight', enemy: 'large' },
+    { at: 28000, formation: 'line', count: 2, x: 0.5, spacing: 180, path: 'straight', speed: 200, angle: 15 },
+    { at: 30000, formation: 'random', count: 4, interval: 1500, path: 'straight', speed: 240 },
+    { at: 37000, formation: 'single', x: 0.5, path: 'hover', hoverY: 0.2, enemy: 'boss' }
+  ]
+};
+
+export default level;
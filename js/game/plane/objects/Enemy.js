@@ -0,0 +1,146 @@
+import Phaser from '../../../libs/phaser-wx.js'
+
+/**
+ * 敌机，属性来自 data/enemies.js 的类型表
+ *
+ * 生命值用 Sprite 自带的 Phaser.Component.Health：damage 扣血，扣到 0 会自动 kill。
+ */
+export default class Enemy extends Phaser.Sprite {
+
+	constructor(game, x, y, type) {
+		super(game, x, y, type.texture);
+		this.game = game;
+
+		this.anchor.setTo(0.5, 0.5);
+		this.outOfBoundsKill = true;
+		this.checkWorldBounds = true;
+
+		this.setType(type);
+	}
+
+	/**
+	 * 切换类型并回满血，对象池复用时调用
+	 */
+	setType(type) {
+		this.enemyType = type;
+		this.loadTexture(type.texture);
+		this.scale.setTo(type.scale, type.scale);
+		this.tint = type.tint === undefined ? 0xffffff : type.tint;
+
+		this.maxHealth = type.hp;
+		this.health = type.hp;
+
+		this.phase = undefined;
+		this.updatePhase();
+	}
+
+	spawn(type, x, y) {
+		this.reset(x, y);
+		this.setType(type);
+	}
+
+	/**
+	 * 被击中，扣血并闪一下，返回是否被击落
+	 */
+	hit(amount) {
+		this.damage(amount);
+
+		if (this.alive) {
+			this.flash();
+			this.updatePhase();
+		}
+
+		return !this.alive;
+	}
+
+	flash() {
+		var type = this.enemyType;
+		this.tint = 0xff3333;
+		this.game.time.events.add(80, function() {
+			// 闪烁期间可能已经被对象池换成别的类型
+			if (this.enemyType === type) {
+				this.tint = type.tint === undefined ? 0xffffff : type.tint;
+			}
+		}, this);
+	}
+
+	/**
+	 * 按剩余血量切换 boss 阶段，射击冷却从新阶段重新开始；
+	 * 已经有飞行路线时同时套用该阶段的摆动参数
+	 */
+	updatePhase() {
+		var phases = this.enemyType.phases;
+		var current = null;
+
+		if (phases) {
+			var ratio = this.health / this.maxHealth;
+			for (var i = 0; i < phases.length; i++) {
+				if (ratio <= phases[i].below) {
+					current = phases[i];
+				}
+			}
+		}
+
+		if (current !== this.phase) {
+			this.phase = current;
+			var fire = this.getFire();
+			this.fireCooldown = fire ? fire.interval : 0;
+		}
+
+		if (current && current.sway && this.path) {
+			this.path.amplitude = current.sway.amplitude;
+			this.path.period = current.sway.period;
+		}
+	}
+
+	getFire() {
+		return this.phase ? this.phase.fire : this.enemyType.fire;
+	}
+
+	/**
+	 * 推进射击冷却，到点时返回本次射击的子弹角度（弧度）列表，否则返回 null
+	 */
+	updateFire(elapsed, target) {
+		var fire = this.getFire();
+		if (!fire || !this.alive) {
+			return null;
+		}
+
+		this.fireCooldown -= elapsed;
+		if (this.fireCooldown > 0) {
+			return null;
+		}
+		this.fireCooldown += fire.interval;
+
+		var aim = Phaser.Math.angleBetween(this.x, this.y, target.x, target.y);
+		var count = fire.count || 1;
+		var angles = [];
+
+		for (var i = 0; i < count; i++) {
+			if (fire.pattern === 'ring') {
+				angles.push(aim + Math.PI * 2 * i / count);
+			} else if (fire.pattern === 'spread' && count > 1) {
+				var spread = Phaser.Math.degToRad(fire.spread || 30);
+				angles.push(aim - spread / 2 + spread * i / (count - 1));
+			} else {
+				angles.push(aim);
+			}
+		}
+
+		return angles;
+	}
+
+	/**
+	 * 按掉落表掷骰，返回掉落的道具 key 或 null
+	 */
+	rollDrop(rnd) {
+		var drops = this.enemyType.drops || [];
+		for (var i = 0; i < drops.length; i++) {
+			if (rnd.frac() < drops[i].chance) {
+				return drops[i].item;
+			}
+		}
+		return null;
+	}
+
+}
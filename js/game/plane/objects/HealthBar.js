@@ -0,0 +1,34 @@
+import Phaser from '../../../libs/phaser-wx.js'
+
+/**
+ * 血条，boss 战时显示在屏幕顶部
+ */
+export default class HealthBar extends Phaser.Graphics {
+
+	constructor(game, x, y, width, height) {
+		super(game, x, y);
+		this.game = game;
+		this.game.world.add(this);
+
+		this.barWidth = width;
+		this.barHeight = height;
+		this.setRatio(1);
+	}
+
+	/**
+	 * 按剩余血量比例（0~1）重画
+	 */
+	setRatio(ratio) {
+		ratio = Phaser.Math.clamp(ratio, 0, 1);
+
+		this.clear();
+		this.beginFill(0x000000, 0.5);
+		this.drawRect(0, 0, this.barWidth, this.barHeight);
+		this.endFill();
+
+		this.beginFill(ratio > 0.3 ? 0xff3333 : 0xffde00);
+		this.drawRect(1, 1, (this.barWidth - 2) * ratio, this.barHeight - 2);
+		this.endFill();
+	}
+
+}
@@ -0,0 +1,159 @@
+import Phaser from '../../../libs/phaser-wx.js'
+
+// 普通射击和速射的间隔
+var FIRE_INTERVAL = 500;
+var RAPID_INTERVAL = 200;
+// 散弹两侧子弹偏开的角度
+var SPREAD_ANGLE = 12;
+// 导弹的发射间隔、速度、每秒最多转多少弧度、伤害
+var MISSILE_INTERVAL = 900;
+var MISSILE_SPEED = 400;
+var MISSILE_TURN = Math.PI * 2;
+var MISSILE_POWER = 2;
+
+/**
+ * 英雄的武器，子弹和导弹各用一个 Phaser.Weapon
+ *
+ * 射击节奏按 update 传进来的毫秒数累计，而不是用 Weapon.fireRate（它按 game.time.now 算，
+ * 暂停期间也在走），所以 Weapon 的 fireRate 设为 0，这样一次齐射可以连续 fire 多发。
+ * spread / rapid / homing 由道具打开，见 data/powerups.js。
+ */
+export default class HeroGun {
+
+	constructor(game, hero) {
+		this.game = game;
+		this.hero = hero;
+
+		this.weapon = this.game.add.weapon(30, 'bullet');
+		this.weapon.bulletKillType = Phaser.Weapon.KILL_WORLD_BOUNDS;
+		this.weapon.bulletSpeed = 600;
+		this.weapon.fireRate = 0;
+		// 子弹贴图朝上，fireAngle 朝上时要转回来
+		this.weapon.bulletAngleOffset = 90;
+		this.weapon.trackSprite(hero, 0, -20);
+		this.weapon.bullets.setAll('scale.x', 0.4);
+		this.weapon.bullets.setAll('scale.y', 0.4);
+		this.weapon.bullets.setAll('power', 1);
+
+		this.missiles = this.game.add.weapon(10, 'bullet');
+		this.missiles.bulletKillType = Phaser.Weapon.KILL_WORLD_BOUNDS;
+		this.missiles.bulletSpeed = MISSILE_SPEED;
+		this.missiles.fireRate = 0;
+		this.missiles.bulletAngleOffset = 90;
+		this.missiles.trackSprite(hero, 0, -10);
+		this.missiles.bullets.setAll('scale.x', 0.6);
+		this.missiles.bullets.setAll('scale.y', 0.6);
+		this.missiles.bullets.setAll('tint', 0xcc66ff);
+		this.missiles.bullets.setAll('power', MISSILE_POWER);
+
+		this.spread = false;
+		this.rapid = false;
+		this.homing = false;
+
+		this.cooldown = 0;
+		this.missileCooldown = 0;
+		this.firing = true;
+	}
+
+	/**
+	 * 需要和敌机做碰撞检测的子弹组
+	 */
+	getBullets() {
+		return [this.weapon.bullets, this.missiles.bullets];
+	}
+
+	/**
+	 * 推进 elapsed 毫秒，到点就射击，并让导弹追踪 enemies 里最近的敌机；返回这一帧是否开过火
+	 */
+	update(elapsed, enemies) {
+		var fired = false;
+
+		this.steerMissiles(elapsed, enemies);
+
+		if (!this.firing) {
+			return fired;
+		}
+
+		this.cooldown -= elapsed;
+		if (this.cooldown <= 0) {
+			this.cooldown += this.rapid ? RAPID_INTERVAL : FIRE_INTERVAL;
+			this.fire();
+			fired = true;
+		}
+
+		if (this.homing) {
+			this.missileCooldown -= elapsed;
+			if (this.missileCooldown <= 0) {
+				this.missileCooldown += MISSILE_INTERVAL;
+				this.missiles.fireAngle = Phaser.ANGLE_UP - 30;
+				this.missiles.fire();
+				this.missiles.fireAngle = Phaser.ANGLE_UP + 30;
+				this.missiles.fire();
+				fired = true;
+			}
+		}
+
+		return fired;
+	}
+
+	fire() {
+		var angles = this.spread ? [-SPREAD_ANGLE, 0, SPREAD_ANGLE] : [0];
+		for (var i = 0; i < angles.length; i++) {
+			this.weapon.fireAngle = Phaser.ANGLE_UP + angles[i];
+			this.weapon.fire();
+		}
+	}
+
+	/**
+	 * 导弹的速度方向每帧朝最近的敌机转一点，转角受 MISSILE_TURN 限制，附近没有敌机就直飞
+	 */
+	steerMissiles(elapsed, enemies) {
+		var maxTurn = MISSILE_TURN * elapsed / 1000;
+
+		this.missiles.bullets.forEachAlive(function(missile) {
+			var target = null;
+			var nearest = Infinity;
+
+			enemies.forEachAlive(function(enemy) {
+				var distance = Phaser.Math.distanceSq(missile.x, missile.y, enemy.x, enemy.y);
+				if (distance < nearest) {
+					nearest = distance;
+					target = enemy;
+				}
+			});
+
+			if (!target) {
+				return;
+			}
+
+			var velocity = missile.body.velocity;
+			var current = Math.atan2(velocity.y, velocity.x);
+			var wanted = Phaser.Math.angleBetween(missile.x, missile.y, target.x, target.y);
+			var turn = Phaser.Math.wrapAngle(wanted - current, true);
+			var angle = current + Phaser.Math.clamp(turn, -maxTurn, maxTurn);
+
+			this.game.physics.arcade.velocityFromRotation(angle, MISSILE_SPEED, velocity);
+			missile.rotation = angle + Math.PI / 2;
+		}, this);
+	}
+
+	/**
+	 * 停火并让场上的子弹停住，游戏结束时调用
+	 */
+	stop() {
+		this.firing = false;
+		this.getBullets().forEach(function(bullets) {
+			bullets.setAll('body.velocity.x', 0);
+			bullets.setAll('body.velocity.y', 0);
+		});
+	}
+
+	/**
+	 * Weapon 是插件，不会随 state 切换销毁，离开 state 时必须调用
+	 */
+	destroy() {
+		this.weapon.destroy();
+		this.missiles.destroy();
+	}
+
+}
@@ -0,0 +1,53 @@
+import Phaser from '../../../libs/phaser-wx.js'
+import I18n from '../../../config/I18n.js'
+
+// 所有道具共用一张白色圆形贴图，按类型着色
+var TEXTURE_KEY = 'plane.powerup';
+var RADIUS = 16;
+
+/**
+ * 敌机掉落的道具，缓缓下落，出屏幕后回收
+ */
+export default class PowerUp extends Phaser.Sprite {
+
+	constructor(game, x, y, kind, type) {
+		super(game, x, y, PowerUp.texture(game));
+		this.game = game;
+
+		this.anchor.setTo(0.5, 0.5);
+		this.outOfBoundsKill = true;
+		this.checkWorldBounds = true;
+
+		this.label = this.game.make.text(0, 2, '', {font: "18px", fill: "#ffffff"});
+		this.label.anchor.setTo(0.5, 0.5);
+		this.addChild(this.label);
+
+		this.setKind(kind, type);
+	}
+
+	/**
+	 * 贴图只画一次，存在 cache 里，切换 state 后还能复用
+	 */
+	static texture(game) {
+		if (!game.cache.checkBitmapDataKey(TEXTURE_KEY)) {
+			var bmd = game.make.bitmapData(RADIUS * 2, RADIUS * 2);
+			bmd.circle(RADIUS, RADIUS, RADIUS, '#ffffff');
+			bmd.circle(RADIUS, RADIUS, RADIUS - 3, 'rgba(0,0,0,0.35)');
+			game.cache.addBitmapData(TEXTURE_KEY, bmd);
+		}
+		return game.cache.getBitmapData(TEXTURE_KEY);
+	}
+
+	setKind(kind, type) {
+		this.kind = kind;
+		this.powerType = type;
+		this.tint = type.color;
+		this.label.text = I18n.t(type.label);
+	}
+
+	spawn(kind, type, x, y) {
+		this.reset(x, y);
+		this.setKind(kind, type);
+	}
+
+}
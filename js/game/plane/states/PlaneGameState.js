@@ -1,4 +1,30 @@
 import Phaser from '../../../libs/phaser-wx.js'
+import PlaneRecord from '../data/PlaneRecord.js'
+import PlaneCloud from '../data/PlaneCloud.js'
+import WaveDirector from '../director/WaveDirector.js'
+import Level1 from '../levels/level1.js'
+import Enemies from '../data/enemies.js'
+import Enemy from '../objects/Enemy.js'
+import HealthBar from '../objects/HealthBar.js'
+import HeroGun from '../objects/HeroGun.js'
+import PowerUp from '../objects/PowerUp.js'
+import PowerUps from '../data/powerups.js'
+import Replay from '../data/Replay.js'
+import ReplayPlugin from '../director/ReplayPlugin.js'
+import I18n from '../../../config/I18n.js'
+
+// 炸弹对每架敌机造成的伤害，boss 血厚，只会掉一截血
+var BOMB_DAMAGE = 20;
+// 护盾剩余多少毫秒时开始闪烁提示
+var SHIELD_BLINK = 1500;
+// 每局的命数、可以续关的次数
+var LIVES = 3;
+var CONTINUES = 1;
+// 被击落后的慢动作倍数和持续时间（游戏内毫秒，实际时长要乘以倍数）
+var DEATH_SLOW_MOTION = 3;
+var DEATH_DURATION = 500;
+// 复活后的无敌时间
+var INVULNERABLE = 2000;
 
 export default class GameState extends Phaser.State {
 
@@ -7,6 +33,13 @@ export default class GameState extends Phaser.State {
 		this.game = game;
 	}
 
+	/**
+	 * options.replay 为回放数据（Replay#toBlob 的结果）时进入回放模式
+	 */
+	init(options) {
+		this.options = options || {};
+	}
+
 	preload() {
 
 	}
@@ -22,16 +55,22 @@ export default class GameState extends Phaser.State {
     this.enemyGroup = this.game.add.group();
     this.enemyGroup.enableBody = true;
 
-    // 子弹
-    this.bulletGroup = this.game.add.group();
-    this.bulletGroup.enableBody = true;
+    // 敌机子弹
+    this.enemyBulletGroup = this.game.add.group();
+    this.enemyBulletGroup.enableBody = true;
 
     // 爆炸
     this.explosionGroup = this.game.add.group();
     this.explosionGroup.enableBody = true;
 
-    // 飞机
-    this.hero = this.game.add.sprite(this.game.width / 2, this.game.height - 50, 'hero');
+    // 道具
+    this.powerUpGroup = this.game.add.group();
+    this.powerUpGroup.enableBody = true;
+
+    // 飞机，出生点在安全区底部往上一点，避开底部横条
+    var layout = this.game.layout;
+    var start = layout.anchor('bottom-center', 0, -50);
+    this.hero = this.game.add.sprite(start.x, start.y, 'hero');
     this.hero.anchor.setTo(0.5, 0.5);
     this.hero.scale.setTo(0.5, 0.5);
     this.hero.inputEnabled = true;
@@ -39,20 +78,49 @@ export default class GameState extends Phaser.State {
     this.game.physics.arcade.enable(this.hero);
     this.hero.body.collideWorldBounds = true;
 
+    // 护盾，挂在飞机上跟着移动
+    this.shield = this.game.make.graphics(0, 0);
+    this.shield.lineStyle(6, 0x33cc66, 0.8);
+    this.shield.beginFill(0x33cc66, 0.2);
+    this.shield.drawCircle(0, 0, 220);
+    this.shield.endFill();
+    this.shield.visible = false;
+    this.hero.addChild(this.shield);
+
+    // 武器，子弹组建在飞机之后，把飞机提到最上层
+    this.gun = new HeroGun(this.game, this.hero);
+    this.hero.bringToTop();
+
+    // 道具效果的剩余时间，key 见 data/powerups.js
+    this.buffs = {};
+
     // 分数
     var style = {font: "32px", fill: "#ffffff"};
     this.score = 0;
-    this.scoreText = this.game.add.text(10, 10, this.score + '', style);
-
-    // 生成敌机
-    this.enemyTimer = this.game.time.events.loop(Phaser.Timer.SECOND * 2, function() {
-    	this.generateOneEnemy();
-    }, this);
-
-    // 发射子弹
-    this.bulletTimer = this.game.time.events.loop(Phaser.Timer.SECOND * 0.5, function() {
-    	this.shoot();
-    }, this);
+    // 分数每次击中都会变，用字形图集显示，不用每次重画文字纹理
+    this.game.glyphFonts.add('planeScore', style);
+    this.scoreText = layout.place(this.game.glyphFonts.text(0, 0, 'planeScore', this.score + ''), 'top-left', 10, 10);
+    this.buffText = layout.place(this.game.add.text(0, 0, '', {font: "16px", fill: "#ffffff"}), 'top-left', 10, 48);
+
+    // 命数
+    this.lives = LIVES;
+    this.continues = CONTINUES;
+    this.dying = 0;
+    this.invulnerable = 0;
+    this.livesText = layout.place(this.game.add.text(0, 0, '', {font: "16px", fill: "#ffffff"}), 'top-right', -10, 50);
+    this.livesText.anchor.setTo(1, 0);
+    this.updateLivesText();
+
+    // 按关卡文件生成敌机
+    var replay = this.options.replay ? Replay.fromBlob(this.options.replay) : null;
+    this.director = new WaveDirector(this.game, Level1, replay ? replay.seed : undefined);
+    this.director.onSpawn.add(this.generateOneEnemy, this);
+
+    // 敌机被击落时派发，参数为 (enemy, drop)，drop 是掉落表掷出的道具 key
+    this.onEnemyDestroyed = new Phaser.Signal();
+    this.onEnemyDestroyed.add(this.dropPowerUp, this);
+    this.boss = null;
+    this.bossBar = null;
 
     // 声音，如果要用循环，需要给定totalDuration的值，音频长度
     this.soundBgm = this.game.add.audio('bgm', 1, {loop: true, totalDuration: 62});
@@ -61,77 +129,360 @@ export default class GameState extends Phaser.State {
     this.soundBullet = this.game.add.audio('bullet');
     this.soundBoom = this.game.add.audio('boom');
 
+    // 本地战绩
+    this.record = new PlaneRecord();
+    this.cloud = new PlaneCloud();
+    this.rankingPanel = null;
+
+    // 暂停按钮
+    this.isPaused = false;
+    this.isOver = false;
+    this.frozen = false;
+    this.pauseButton = layout.place(this.createButton(0, 0, I18n.t('plane.pause'), this.pause), 'top-right', -40, 26);
+
+    // 切到后台时自动暂停，否则回来时计时器会一次性补发积压的事件
+    this.hideHandler = this.pause.bind(this);
+    wx.onHide(this.hideHandler);
+
+    // 录下这一局，或者按回放数据重演
+    this.replay = replay || new Replay({level: Level1.name, seed: this.director.seed});
+    this.replayPlugin = this.game.plugins.add(ReplayPlugin, this, this.replay, replay ? 'play' : 'record');
+    if(replay) {
+    	var replayText = layout.place(this.game.add.text(0, 0, I18n.t('plane.replay'), {font: "16px", fill: "#ffde00"}), 'top-center', 0, 26);
+    	replayText.anchor.setTo(0.5, 0.5);
+    }
+
+    // 顶部的追赶提示：下一个要超过的好友，回放时不显示
+    this.nextFriendView = null;
+    this.comparisonCard = null;
+    if(!replay) {
+    	this.nextFriendView = layout.place(this.cloud.createView(this.game, 0, 0, 140, 36), 'top-center', 0, 8);
+    	this.nextFriendView.anchor.setTo(0.5, 0);
+    	this.game.world.add(this.nextFriendView);
+    	this.nextFriendView.showNextFriend(this.cloud.key, this.score);
+    }
+
+	}
+
+	shutdown() {
+		wx.offHide && wx.offHide(this.hideHandler);
+		// Weapon 是插件，不随 state 销毁
+		this.gun.destroy();
+		// 慢动作是全局的，别带到其它 state
+		this.game.time.slowMotion = 1;
+		this.game.plugins.remove(this.replayPlugin);
 	}
 
 	update() {
+		if(this.frozen) {
+			return;
+		}
+		var elapsed = this.game.time.physicsElapsedMS;
+		this.director.update(elapsed);
+		this.updateBuffs(elapsed);
+		this.updateLife(elapsed);
+		if(this.gun.update(elapsed, this.enemyGroup)) {
+			this.soundBullet.play();
+		}
+		this.enemyGroup.forEachAlive(function(enemy) {
+			this.director.steer(enemy, this.hero, elapsed);
+			var angles = enemy.updateFire(elapsed, this.hero);
+			if(angles) {
+				this.enemyShoot(enemy, angles);
+			}
+		}, this);
+
 		this.game.physics.arcade.overlap(this.hero, this.enemyGroup, this.dead, null, this);
-		this.game.physics.arcade.overlap(this.enemyGroup, this.bulletGroup, this.hit, null, this);
+		this.game.physics.arcade.overlap(this.hero, this.enemyBulletGroup, this.dead, null, this);
+		this.game.physics.arcade.overlap(this.enemyGroup, this.gun.getBullets(), this.hit, null, this);
+		this.game.physics.arcade.overlap(this.hero, this.powerUpGroup, this.collect, null, this);
 	}
 
 	render() {
 	}
 
-	randomEnemyX() {
-		var halfW = 120 * 0.7;
-		return this.game.rnd.integerInRange(halfW, this.game.width - halfW);
-	}
-
-	generateOneEnemy() {
+	generateOneEnemy(spawn) {
 
+		var type = Enemies[spawn.enemy];
 		var enemy = this.enemyGroup.getFirstExists(false);
     if(enemy) {
-    	enemy.reset(this.randomEnemyX(), 79 * 0.5);
-    	enemy.body.velocity.y = 200;
+    	enemy.spawn(type, spawn.x, spawn.y);
     } else {
-    	enemy = this.enemyGroup.create(this.randomEnemyX(), 79 * 0.5, 'enemy');
-    	enemy.outOfBoundsKill = true;
-    	enemy.checkWorldBounds = true;
-    	enemy.anchor.setTo(0.5, 0.5);
-    	enemy.scale.setTo(0.7, 0.7);
-    	enemy.body.velocity.y = 200;
+    	enemy = new Enemy(this.game, spawn.x, spawn.y, type);
+    	this.enemyGroup.add(enemy);
+    }
+    this.director.launch(enemy, spawn.path, type.speed);
+    enemy.updatePhase();
+
+    if(type.boss) {
+    	this.startBoss(enemy);
     }
 
 	}
 
-	shoot() {
+	startBoss(boss) {
+		// boss 战期间不再出新的敌机
+		this.boss = boss;
+		this.director.hold();
+		var safe = this.game.layout.safeArea();
+		this.bossBar = this.game.layout.place(new HealthBar(this.game, 0, 0, safe.width - 80, 10), 'top-left', 40, 60);
+	}
 
-		var bullet = this.bulletGroup.getFirstExists(false);
-    if(bullet) {
-    	bullet.reset(this.hero.x, this.hero.y);
-    	bullet.body.velocity.y = -600;
-    } else {
-    	bullet = this.bulletGroup.create(this.hero.x, this.hero.y, 'bullet');
-    	bullet.outOfBoundsKill = true;
-    	bullet.checkWorldBounds = true;
-    	bullet.anchor.setTo(0.5, 0.5);
-    	bullet.scale.setTo(0.4, 0.4);
-    	bullet.body.velocity.y = -600;
-    }
+	endBoss() {
+		this.boss = null;
+		this.director.release();
+		this.bossBar.destroy();
+		this.bossBar = null;
+	}
 
-    this.soundBullet.play();
+	enemyShoot(enemy, angles) {
+		var fire = enemy.getFire();
+
+		for(var i = 0; i < angles.length; i++) {
+			var bullet = this.enemyBulletGroup.getFirstExists(false);
+			if(bullet) {
+				bullet.reset(enemy.x, enemy.y);
+			} else {
+				bullet = this.enemyBulletGroup.create(enemy.x, enemy.y, 'bullet');
+				bullet.outOfBoundsKill = true;
+				bullet.checkWorldBounds = true;
+				bullet.anchor.setTo(0.5, 0.5);
+				bullet.scale.setTo(0.3, 0.3);
+				bullet.tint = 0xff6666;
+			}
+			// 子弹贴图朝上，转到飞行方向
+			bullet.rotation = angles[i] + Math.PI / 2;
+			this.game.physics.arcade.velocityFromRotation(angles[i], fire.speed, bullet.body.velocity);
+		}
+	}
 
+	/**
+	 * 飞机碰到敌机或敌机子弹；护盾和复活后的无敌时间内不算
+	 */
+	dead(hero, other) {
+		if(this.isOver || this.dying > 0 || this.invulnerable > 0) {
+			return;
+		}
+		if(this.buffs.shield > 0) {
+			this.absorb(other);
+			return;
+		}
+
+		// 撞上来的普通敌机同归于尽
+		if(!other.enemyType) {
+			other.kill();
+		} else if(!other.enemyType.boss) {
+			this.damageEnemy(other, other.health);
+		}
+
+		this.lives--;
+		this.updateLivesText();
+		this.explode(this.hero.x, this.hero.y, 1.5);
+
+		this.hero.visible = false;
+		this.hero.input.disableDrag();
+		this.gun.firing = false;
+
+		// 慢动作只是降低逻辑帧的频率，每帧的 elapsed 不变
+		this.dying = DEATH_DURATION;
+		this.game.time.slowMotion = DEATH_SLOW_MOTION;
 	}
 
-	dead(hero) {
-		this.stopAll();
-		this.gameOver();
+	/**
+	 * 推进击落后的慢动作和复活后的无敌时间
+	 */
+	updateLife(elapsed) {
+		if(this.dying > 0) {
+			this.dying -= elapsed;
+			if(this.dying <= 0) {
+				this.game.time.slowMotion = 1;
+				if(this.lives > 0) {
+					this.respawn();
+				} else if(this.continues > 0) {
+					this.promptContinue();
+				} else {
+					this.stopAll();
+					this.gameOver();
+				}
+			}
+		}
+
+		if(this.invulnerable > 0) {
+			this.invulnerable -= elapsed;
+			this.hero.alpha = this.invulnerable > 0 && Math.floor(this.invulnerable / 100) % 2 ? 0.3 : 1;
+		}
+	}
+
+	respawn() {
+		var start = this.game.layout.anchor('bottom-center', 0, -50);
+		this.hero.x = start.x;
+		this.hero.y = start.y;
+		this.hero.body.reset(this.hero.x, this.hero.y);
+		this.hero.visible = true;
+		this.hero.input.enableDrag(true);
+		this.gun.firing = true;
+		this.invulnerable = INVULNERABLE;
+	}
+
+	updateLivesText() {
+		this.livesText.text = I18n.t('plane.lives', {count: this.lives});
+	}
+
+	/**
+	 * 护盾挡下敌机子弹，撞上来的敌机每帧受 1 点伤害
+	 */
+	absorb(other) {
+		if(other.enemyType) {
+			this.damageEnemy(other, 1);
+		} else {
+			other.kill();
+		}
 	}
 
 	hit(enemy, bullet) {
-		enemy.kill();
 		bullet.kill();
+		this.damageEnemy(enemy, bullet.power || 1);
+	}
+
+	damageEnemy(enemy, amount) {
+		var destroyed = enemy.hit(amount);
+
+		if(enemy === this.boss) {
+			this.bossBar.setRatio(enemy.health / enemy.maxHealth);
+		}
+
+		if(destroyed) {
+			this.destroyEnemy(enemy);
+		}
+	}
 
+	destroyEnemy(enemy) {
 		// 加分
-		this.score++;
+		this.score += enemy.enemyType.score;
 		this.scoreText.text = this.score + '';
+		if(this.nextFriendView) {
+			this.nextFriendView.showNextFriend(this.cloud.key, this.score);
+		}
+
+		this.explode(enemy.x, enemy.y, enemy.enemyType.boss ? 3 : 1);
+
+		if(enemy === this.boss) {
+			this.endBoss();
+		}
+
+		this.onEnemyDestroyed.dispatch(enemy, enemy.rollDrop(this.director.rnd));
+	}
+
+	/**
+	 * 按掉落表掉出道具，onEnemyDestroyed 的监听
+	 */
+	dropPowerUp(enemy, drop) {
+		if(!drop) {
+			return;
+		}
+		var powerUp = this.powerUpGroup.getFirstExists(false);
+		if(powerUp) {
+			powerUp.spawn(drop, PowerUps[drop], enemy.x, enemy.y);
+		} else {
+			powerUp = new PowerUp(this.game, enemy.x, enemy.y, drop, PowerUps[drop]);
+			this.powerUpGroup.add(powerUp);
+		}
+		powerUp.body.velocity.y = 100;
+	}
+
+	collect(hero, powerUp) {
+		var kind = powerUp.kind;
+		powerUp.kill();
+
+		if(kind === 'bomb') {
+			this.bomb();
+			return;
+		}
+
+		// 同类道具重新计时
+		this.buffs[kind] = PowerUps[kind].duration;
+		this.applyBuff(kind, true);
+		this.updateBuffText();
+	}
+
+	applyBuff(kind, active) {
+		if(kind === 'shield') {
+			this.shield.visible = active;
+		} else {
+			this.gun[kind] = active;
+		}
+	}
 
+	/**
+	 * 推进道具计时，到时失效；和其它逻辑一样只在 update 里走，暂停时自然冻结
+	 */
+	updateBuffs(elapsed) {
+		var changed = false;
+
+		for(var kind in this.buffs) {
+			if(this.buffs[kind] <= 0) {
+				continue;
+			}
+			var before = Math.ceil(this.buffs[kind] / 1000);
+			this.buffs[kind] -= elapsed;
+			if(this.buffs[kind] <= 0) {
+				this.applyBuff(kind, false);
+				changed = true;
+			} else if(Math.ceil(this.buffs[kind] / 1000) !== before) {
+				changed = true;
+			}
+		}
+
+		if(this.buffs.shield > 0) {
+			this.shield.visible = this.buffs.shield > SHIELD_BLINK || Math.floor(this.buffs.shield / 150) % 2 === 0;
+		}
+
+		if(changed) {
+			this.updateBuffText();
+		}
+	}
+
+	/**
+	 * 分数下面列出生效中的道具和剩余秒数
+	 */
+	updateBuffText() {
+		var parts = [];
+		for(var kind in this.buffs) {
+			if(this.buffs[kind] > 0) {
+				parts.push(I18n.t(PowerUps[kind].label) + ' ' + Math.ceil(this.buffs[kind] / 1000));
+			}
+		}
+		this.buffText.text = parts.join('  ');
+	}
+
+	/**
+	 * 炸弹：清掉所有敌机子弹，所有敌机受 BOMB_DAMAGE 伤害
+	 */
+	bomb() {
+		this.game.camera.flash(0xffffff, 300);
+		this.enemyBulletGroup.forEachAlive(function(bullet) {
+			bullet.kill();
+		});
+
+		// 先收集再处理，击落时会派发 onEnemyDestroyed
+		var enemies = [];
+		this.enemyGroup.forEachAlive(function(enemy) {
+			enemies.push(enemy);
+		});
+		for(var i = 0; i < enemies.length; i++) {
+			this.damageEnemy(enemies[i], BOMB_DAMAGE);
+		}
+	}
+
+	explode(x, y, scale) {
 		var explosion = this.explosionGroup.getFirstExists(false);
     if(!explosion) {
-    	explosion = this.explosionGroup.create(enemy.x, enemy.y, 'explosion');
+    	explosion = this.explosionGroup.create(x, y, 'explosion');
     	explosion.anchor.setTo(0.5, 0.5);
     } else {
-    	explosion.reset(enemy.x, enemy.y);
+    	explosion.reset(x, y);
     }
+    explosion.scale.setTo(scale, scale);
     var anim = explosion.animations.add('explosion');
     anim.play('explosion', 20);
     anim.onComplete.add(function() {
@@ -141,17 +492,247 @@ export default class GameState extends Phaser.State {
     this.soundBoom.play();
 	}
 
+	createButton(x, y, label, callback) {
+		var button = this.game.add.sprite(x, y, 'common', 'button');
+		button.anchor.setTo(0.5, 0.5);
+		button.scale.setTo(1.5, 1.2);
+
+		var text = this.game.add.text(0, 2, label, {font: "16px", fill: "#ffffff"});
+		text.anchor.setTo(0.5, 0.5);
+		text.scale.setTo(0.8/1.5, 0.8/1.2);
+		button.addChild(text);
+
+		button.inputEnabled = true;
+		button.events.onInputDown.add(callback, this);
+		return button;
+	}
+
+	/**
+	 * 冻结计时器、物理、动画、背景和音乐，unfreeze 时原样恢复；暂停和续关提示都用它
+	 */
+	freeze() {
+		this.frozen = true;
+		this.game.time.events.pause();
+		this.game.physics.arcade.isPaused = true;
+		this.game.tweens.pauseAll();
+		this.explosionGroup.forEachAlive(function(explosion) {
+			explosion.animations.paused = true;
+		});
+		this.bg.stopScroll();
+		this.hero.input.disableDrag();
+		this.soundBgm.pause();
+		this.pauseButton.visible = false;
+	}
+
+	unfreeze() {
+		this.frozen = false;
+		this.game.time.events.resume();
+		this.game.physics.arcade.isPaused = false;
+		this.game.tweens.resumeAll();
+		this.explosionGroup.forEachAlive(function(explosion) {
+			explosion.animations.paused = false;
+		});
+		this.bg.autoScroll(0, 80);
+		if(this.hero.visible) {
+			this.hero.input.enableDrag(true);
+		}
+		this.soundBgm.resume();
+		this.pauseButton.visible = true;
+	}
+
+	pause() {
+		if(this.frozen || this.isOver) {
+			return;
+		}
+		this.isPaused = true;
+		this.freeze();
+
+		// 半透明遮罩
+		this.pauseOverlay = this.game.add.group();
+		var mask = this.game.add.graphics(0, 0, this.pauseOverlay);
+		mask.beginFill(0x000000, 0.5);
+		mask.drawRect(0, 0, this.game.width, this.game.height);
+
+		var style = {font: "32px", fill: "#ffffff"};
+		var pausedText = this.game.add.text(this.game.width / 2, this.game.height / 2 - 40, I18n.t('plane.pause'), style, this.pauseOverlay);
+		pausedText.anchor.setTo(0.5, 0.5);
+
+		this.pauseOverlay.add(this.createButton(this.game.width / 2, this.game.height / 2 + 20, I18n.t('plane.resume'), this.resume));
+	}
+
+	resume() {
+		if(!this.isPaused) {
+			return;
+		}
+		this.isPaused = false;
+
+		this.pauseOverlay.destroy();
+		this.pauseOverlay = null;
+
+		this.unfreeze();
+	}
+
 	stopAll() {
+		this.isOver = true;
+		this.pauseButton.visible = false;
+		this.enemyGroup.setAll('body.velocity.x', 0);
 		this.enemyGroup.setAll('body.velocity.y', 0);
-		this.bulletGroup.setAll('body.velocity.y', 0);
-		this.game.time.events.remove(this.enemyTimer);
-		this.game.time.events.remove(this.bulletTimer);
+		this.gun.stop();
+		this.powerUpGroup.setAll('body.velocity.y', 0);
+		this.enemyBulletGroup.setAll('body.velocity.x', 0);
+		this.enemyBulletGroup.setAll('body.velocity.y', 0);
+		this.director.stop();
 		this.bg.stopScroll();
     this.hero.input.disableDrag();
     this.soundBgm.stop();
 	}
 
 	gameOver() {
+		if(this.replayPlugin.isPlaying()) {
+			this.replayOver();
+			return;
+		}
+
+		var run = this.record.addRun(this.score);
+		this.replay.score = this.score;
+		this.replay.save();
+		this.cloud.submitRun(run, this.record.best);
+
+		// sharedCanvas 只有一块，追赶提示让给结算卡片
+		this.nextFriendView.destroy();
+		this.nextFriendView = null;
+
+		var dialog = this.createDialog();
+		this.showComparison(dialog);
+
+    // 最高分，刷新纪录时高亮显示
+    var style = {font: "16px", fill: "#ffffff"};
+    var bestText = run.newBest ?
+      this.game.add.text(0, -2, I18n.t('plane.newBest'), {font: "16px", fill: "#ffde00"}) :
+      this.game.add.text(0, -2, I18n.t('plane.best', {best: this.record.best}), style);
+    bestText.anchor.setTo(0.5, 0.5);
+    bestText.scale.setTo(0.5, 0.5);
+    dialog.addChild(bestText);
+
+    this.createDialogButton(dialog, -34, 0.7, I18n.t('plane.back'), this.restart);
+    this.createDialogButton(dialog, 0, 0.7, I18n.t('plane.replay'), this.playReplay);
+    var rankingButton = this.createDialogButton(dialog, 34, 0.7, I18n.t('plane.ranking'), function() {
+    	this.toggleRanking(dialog, rankingButton);
+    });
+
+	}
+
+	/**
+	 * 在结算框里显示或收起好友排行，和结算卡片轮流占用 sharedCanvas
+	 */
+	toggleRanking(dialog, button) {
+		var label = button.getChildAt(0);
+
+		if(this.rankingPanel) {
+			this.rankingPanel.destroy();
+			this.rankingPanel = null;
+			label.text = I18n.t('plane.ranking');
+			this.showComparison(dialog);
+			return;
+		}
+
+		this.comparisonCard.destroy();
+		this.comparisonCard = null;
+
+		// 面板盖住标题和分数，留出下面的按钮；面板自己按屏幕像素设缩放，所以不挂在对话框下面
+		this.rankingPanel = this.cloud.createRankingPanel(this.game, dialog.x, dialog.y - 14 * dialog.scale.y, 200, 140);
+		this.rankingPanel.anchor.setTo(0.5, 0.5);
+		this.game.world.add(this.rankingPanel);
+		this.rankingPanel.show();
+		label.text = I18n.t('plane.close');
+	}
+
+	/**
+	 * 在对话框上方显示本局分数在好友里的排名
+	 */
+	showComparison(dialog) {
+		this.comparisonCard = this.cloud.createView(this.game, dialog.x, dialog.y - dialog.height / 2 - 8, 200, 110);
+		this.comparisonCard.anchor.setTo(0.5, 1);
+		this.game.world.add(this.comparisonCard);
+		this.comparisonCard.showComparison(this.cloud.key, this.score);
+	}
+
+	/**
+	 * 回放结束，不计入战绩，显示得分是否和录制时一致
+	 */
+	replayOver() {
+		var dialog = this.createDialog();
+		var matched = this.score === this.replay.score;
+
+    var resultText = this.game.add.text(0, -2, matched ? I18n.t('plane.replayMatched') : I18n.t('plane.replayMismatched', {score: this.replay.score}), {font: "16px", fill: matched ? "#ffffff" : "#ff3333"});
+    resultText.anchor.setTo(0.5, 0.5);
+    resultText.scale.setTo(0.5, 0.5);
+    dialog.addChild(resultText);
+
+    this.createDialogButton(dialog, -22, 0.9, I18n.t('plane.back'), this.restart);
+    this.createDialogButton(dialog, 22, 0.9, I18n.t('plane.rewatch'), this.playReplay);
+	}
+
+	playReplay() {
+		this.game.navigator.replace('planeGame', {}, {replay: this.replay.toBlob()});
+	}
+
+	/**
+	 * 命用完时询问是否续关。整局冻结在原地，续关后分数、波次、道具都接着来
+	 */
+	promptContinue() {
+		this.freeze();
+
+		// 回放时照录像里的选择走
+		if(this.replayPlugin.isPlaying()) {
+			if(this.replayPlugin.nextEvent() === 'continue') {
+				this.continueRun();
+			} else {
+				this.giveUp();
+			}
+			return;
+		}
+
+		var dialog = this.createDialog();
+
+    var continueText = this.game.add.text(0, -2, I18n.t('plane.continuePrompt', {count: this.continues}), {font: "16px", fill: "#ffde00"});
+    continueText.anchor.setTo(0.5, 0.5);
+    continueText.scale.setTo(0.5, 0.5);
+    dialog.addChild(continueText);
+
+    this.createDialogButton(dialog, -22, 0.9, I18n.t('plane.continue'), function() {
+    	dialog.destroy();
+    	this.replayPlugin.record('continue');
+    	this.continueRun();
+    });
+    this.createDialogButton(dialog, 22, 0.9, I18n.t('plane.giveUp'), function() {
+    	dialog.destroy();
+    	this.replayPlugin.record('giveUp');
+    	this.giveUp();
+    });
+	}
+
+	giveUp() {
+		this.unfreeze();
+		this.stopAll();
+		this.gameOver();
+	}
+
+	continueRun() {
+		this.continues--;
+		this.lives = LIVES;
+		this.updateLivesText();
+		this.enemyBulletGroup.forEachAlive(function(bullet) {
+			bullet.kill();
+		});
+		this.respawn();
+		this.unfreeze();
+	}
+
+	/**
+	 * 结算对话框，带标题和本局得分
+	 */
+	createDialog() {
 		var dialog = this.game.add.sprite(this.game.width / 2, this.game.height / 2, 'common', 'dialog');
 		dialog.anchor.setTo(0.5, 0.5);
 		dialog.scale.setTo(2.5, 2.5);
@@ -159,33 +740,37 @@ export default class GameState extends Phaser.State {
 		// 文字
     var style = {font: "16px", fill: "#ffffff"};
     // 游戏结束
-    var gameOverText = this.game.add.text(2, -35, '游戏结束', style);
+    var gameOverText = this.game.add.text(2, -35, I18n.t('plane.gameOver'), style);
     gameOverText.anchor.setTo(0.5, 0.5);
     gameOverText.scale.setTo(0.7, 0.7);
     dialog.addChild(gameOverText);
 
-    var gameOverScoreText = this.game.add.text(0, -8, '得分: ' + this.score, style);
+    var gameOverScoreText = this.game.add.text(0, -16, I18n.t('plane.score', {score: this.score}), style);
     gameOverScoreText.anchor.setTo(0.5, 0.5);
     gameOverScoreText.scale.setTo(0.6, 0.6);
     dialog.addChild(gameOverScoreText);
 
-    var restartButton = this.game.add.sprite(0, 16, 'common', 'button');
-    restartButton.anchor.setTo(0.5, 0.5);
-    restartButton.scale.setTo(1.2, 0.7);
-    dialog.addChild(restartButton);
+    return dialog;
+	}
 
-    var restartText = this.game.add.text(0, 2, '返回', style);
-    restartText.anchor.setTo(0.5, 0.5);
-    restartText.scale.setTo(0.55/1.2, 0.55/0.7);
-    restartButton.addChild(restartText);
+	createDialogButton(dialog, x, width, label, callback) {
+    var button = this.game.add.sprite(x, 20, 'common', 'button');
+    button.anchor.setTo(0.5, 0.5);
+    button.scale.setTo(width, 0.7);
+    dialog.addChild(button);
 
-    restartButton.inputEnabled = true;
-    restartButton.events.onInputDown.add(this.restart, this);
+    var text = this.game.add.text(0, 2, label, {font: "16px", fill: "#ffffff"});
+    text.anchor.setTo(0.5, 0.5);
+    text.scale.setTo(0.55/width, 0.55/0.7);
+    button.addChild(text);
 
+    button.inputEnabled = true;
+    button.events.onInputDown.add(callback, this);
+    return button;
 	}
 
 	restart() {
-		this.game.state.start('menu');
+		this.game.navigator.back({}, 'menu');
 	}
 
 }
@@ -5,7 +5,10 @@ import PreloadState from 'states/PreloadState.js'
 import AnimationState from 'states/AnimationState.js'
 import MenuState from 'states/MenuState.js'
 import SubMenuState from 'states/SubMenuState.js'
+import SearchState from 'states/SearchState.js'
+import HiDPI from 'plugins/HiDPI.js'
 
+import Examples from 'config/Examples.js';
 import BasicExamples from 'basic/index.js';
 import GameExamples from 'game/index.js';
 import OpenExamples from 'open/index.js';
@@ -13,21 +16,27 @@ import OpenExamples from 'open/index.js';
 // 保存原始的canvas
 wx.originContext = canvas.getContext('2d');
 
-var game = new Phaser.Game({
+// hiDPI：canvas 按设备像素比放大，高分屏上文字不发虚
+var game = new Phaser.Game(HiDPI.config({
   width: 375,
   height: 667,
   renderer: Phaser.CANVAS,
-  canvas: canvas
-});
+  canvas: canvas,
+  hiDPI: true
+}));
 
 game.state.add('boot', new BootState(game));
 game.state.add('preload', new PreloadState(game));
 game.state.add('animation', new AnimationState(game));
 game.state.add('menu', new MenuState(game));
 game.state.add('submenu', new SubMenuState(game));
+game.state.add('search', new SearchState(game));
 
-new BasicExamples(game);
-new GameExamples(game);
-new OpenExamples(game);
+Examples.addCategory(BasicExamples);
+Examples.addCategory(GameExamples);
+Examples.addCategory(OpenExamples);
+// 返回按钮、菜单和深链接跳转用到的 state
+Examples.requireStates('navigation', ['menu', 'submenu', 'search']);
+Examples.install(game);
 
 game.state.start('boot');
@@ -1,9 +1,10 @@
 import Phaser from '../libs/phaser-wx.js';
+import Theme from '../config/Theme.js';
 
 export default class Arrow extends Phaser.Sprite {
-  
+
   constructor(game, x, y, texture) {
-    
+
     super(game, x, y, texture);
     this.game = game;
     this.game.world.add(this);
@@ -12,13 +13,24 @@ export default class Arrow extends Phaser.Sprite {
 
     this.inputEnabled = true;
 
+    this.applyTheme(Theme.get());
+    Theme.onChange.add(this.applyTheme, this);
+
     this.events.onInputDown.add(this.onDown, this);
     this.events.onInputUp.add(this.onUp, this);
 
   }
 
+  /**
+   * 箭头图片是白色的，用 tint 染成主题色
+   */
+  applyTheme(theme) {
+    this.tint = theme.palette.arrow;
+    this.pressScale = theme.pressScale.arrow;
+  }
+
   onDown() {
-    this.scale.setTo(1.5, 1.5);
+    this.scale.setTo(this.pressScale, this.pressScale);
   }
 
   onUp() {
@@ -41,4 +53,9 @@ export default class Arrow extends Phaser.Sprite {
     }
   }
 
+  destroy(destroyChildren) {
+    Theme.onChange.remove(this.applyTheme, this);
+    super.destroy(destroyChildren);
+  }
+
 }
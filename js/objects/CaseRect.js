@@ -1,24 +1,65 @@
 import Phaser from '../libs/phaser-wx.js';
+import Theme from '../config/Theme.js';
+import Examples from '../config/Examples.js';
 
 export default class CaseRect extends Phaser.Sprite {
-  
+
   constructor(game, x, y, properties) {
-    
-    var bmd = game.add.bitmapData(game.width - 100, 30);
 
-    bmd.ctx.fillStyle = "#fff";
-    bmd.ctx.fillRect(0, 0, game.width - 100, 30);
+    // 按游戏的分辨率生成纹理，高分屏上边缘不发虚
+    var bmd = game.add.bitmapData(1, 1).setResolution(game.resolution);
 
     super(game, x, y, bmd);
     this.game = game;
+    this.bmd = bmd;
 
     this.anchor.setTo(0.5, 0.5);
 
-    var style = { font: "20px Arial", fill: "#000", align: "center" };
-    var text = this.game.make.text(0, 0, properties.name, style);
-    text.anchor.setTo(0.5, 0.5);
-    this.addChild(text);
+    this.text = this.game.make.text(0, 0, Examples.getName(properties), {});
+    this.text.anchor.setTo(0.5, 0.5);
+    this.addChild(this.text);
+
+    this.applyTheme(Theme.get());
+    Theme.onChange.add(this.applyTheme, this);
+
+    this.events.onInputDown.add(this.onDown, this);
+    this.events.onInputUp.add(this.onUp, this);
+
+  }
+
+  /**
+   * 按主题重画条目底色和文字，宽度随屏幕宽度
+   */
+  applyTheme(theme) {
+    var width = this.game.width - theme.spacing.rowInset;
+    var height = theme.spacing.rowHeight;
+    var radius = Math.min(theme.radius.row, height / 2);
+    var bmd = this.bmd;
+
+    bmd.resize(width, height);
+    bmd.clear();
+    bmd.ctx.fillStyle = theme.palette.row;
+    bmd.ctx.beginPath();
+    bmd.ctx.moveTo(radius, 0);
+    bmd.ctx.arcTo(width, 0, width, height, radius);
+    bmd.ctx.arcTo(width, height, 0, height, radius);
+    bmd.ctx.arcTo(0, height, 0, 0, radius);
+    bmd.ctx.arcTo(0, 0, width, 0, radius);
+    bmd.ctx.closePath();
+    bmd.ctx.fill();
+    bmd.dirty = true;
+    this.loadTexture(bmd);
 
+    this.text.setStyle({ font: theme.typography.row, fill: theme.palette.rowText, align: "center" });
+    this.pressScale = theme.pressScale.row;
+  }
+
+  onDown() {
+    this.scale.setTo(this.pressScale, this.pressScale);
+  }
+
+  onUp() {
+    this.scale.setTo(1, 1);
   }
 
   addClick(clickFn, context) {
@@ -27,4 +68,9 @@ export default class CaseRect extends Phaser.Sprite {
 
   }
 
+  destroy(destroyChildren) {
+    Theme.onChange.remove(this.applyTheme, this);
+    super.destroy(destroyChildren);
+  }
+
 }
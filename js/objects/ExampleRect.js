@@ -1,48 +1,85 @@
 import Phaser from '../libs/phaser-wx.js';
+import Theme from '../config/Theme.js';
+import I18n from '../config/I18n.js';
+import Examples from '../config/Examples.js';
 
 export default class ExampleRect extends Phaser.Sprite {
-  
+
   constructor(game, x, y, properties) {
-    
-    var bmd = game.add.bitmapData(100, 100);
 
-    bmd.ctx.beginPath();
-    bmd.ctx.arc(50, 50, 50, 0, Math.PI * 2);
-    var radialGradient = bmd.ctx.createRadialGradient(50, 50, 40, 50, 50, 50);
-    radialGradient.addColorStop(0, '#43d4d9');
-    radialGradient.addColorStop(1, '#4851ff');
-    bmd.ctx.fillStyle = radialGradient;
-    bmd.ctx.fill();
+    // 按游戏的分辨率生成纹理，高分屏上边缘不发虚
+    var bmd = game.add.bitmapData(1, 1).setResolution(game.resolution);
 
     super(game, x, y, bmd);
     this.game = game;
+    this.bmd = bmd;
 
     this.anchor.setTo(0.5, 0.5);
+    this.properties = properties;
 
-    var style = { font: "32px Arial", fill: "#000", align: "center" };
-    var text = this.game.make.text(0, 0, properties.name, style);
-    text.anchor.setTo(0.5, 0.5);
-    this.addChild(text);
+    this.text = this.game.make.text(0, 0, Examples.getName(properties), {});
+    this.text.anchor.setTo(0.5, 0.5);
+    this.addChild(this.text);
+
+    this.applyTheme(Theme.get());
+    Theme.onChange.add(this.applyTheme, this);
+    I18n.onChange.add(this.applyLocale, this);
 
     this.events.onInputDown.add(this.onDown, this);
     this.events.onInputUp.add(this.onUp, this);
 
   }
 
+  /**
+   * 按主题重画圆形底图和文字
+   */
+  applyTheme(theme) {
+    var size = theme.spacing.circle;
+    var radius = size / 2;
+    var bmd = this.bmd;
+
+    bmd.resize(size, size);
+    bmd.clear();
+    bmd.ctx.beginPath();
+    bmd.ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+    var radialGradient = bmd.ctx.createRadialGradient(radius, radius, radius * 0.8, radius, radius, radius);
+    radialGradient.addColorStop(0, theme.palette.circleInner);
+    radialGradient.addColorStop(1, theme.palette.circleOuter);
+    bmd.ctx.fillStyle = radialGradient;
+    bmd.ctx.fill();
+    bmd.dirty = true;
+    this.loadTexture(bmd);
+
+    this.text.setStyle({ font: theme.typography.circle, fill: theme.palette.circleText, align: "center" });
+    this.pressScale = theme.pressScale.circle;
+  }
+
+  /**
+   * 切换语言后换成新语言的分类名
+   */
+  applyLocale() {
+    this.text.text = Examples.getName(this.properties);
+  }
+
   onDown() {
-    this.scale.setTo(1.3, 1.3);
+    this.scale.setTo(this.pressScale, this.pressScale);
   }
 
   onUp() {
     this.scale.setTo(1, 1);
   }
 
-  
+
   addClick(clickFn, context) {
 
     this.events.onInputUp.add(clickFn, context);
 
   }
 
+  destroy(destroyChildren) {
+    Theme.onChange.remove(this.applyTheme, this);
+    I18n.onChange.remove(this.applyLocale, this);
+    super.destroy(destroyChildren);
+  }
 
 }
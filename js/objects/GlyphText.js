@@ -0,0 +1,44 @@
+import Phaser from '../libs/phaser-wx.js';
+
+/**
+ * 用 GlyphFontPlugin 的图集显示的 BitmapText
+ *
+ * 改 text 时先把新字画进图集，并一直占着这些字直到文字换掉或销毁，图集满了也不会淘汰正在显示的字。
+ */
+export default class GlyphText extends Phaser.BitmapText {
+
+  constructor(game, x, y, key, text, size, align) {
+    var atlas = game.glyphFonts.get(key);
+    text = String(text === undefined ? '' : text);
+    // BitmapText 的构造函数里就会排版，字要先准备好
+    atlas.retain(text);
+
+    super(game, x, y, key, text, size || atlas.size, align);
+    this.game = game;
+    this.atlas = atlas;
+  }
+
+  get text() {
+    return this._text;
+  }
+
+  set text(value) {
+    value = String(value);
+    if (value === this._text) {
+      return;
+    }
+    // 先占住新字再放掉旧字，两边都有的字不会在中间被淘汰
+    this.atlas.retain(value);
+    this.atlas.release(this._text);
+    super.text = value;
+  }
+
+  destroy(destroyChildren) {
+    if (this.atlas) {
+      this.atlas.release(this._text);
+      this.atlas = null;
+    }
+    super.destroy(destroyChildren);
+  }
+
+}
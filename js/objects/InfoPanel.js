@@ -0,0 +1,64 @@
+import Phaser from '../libs/phaser-wx.js';
+import ScrollView from './ScrollView.js';
+import Examples from '../config/Examples.js';
+import I18n from '../config/I18n.js';
+
+var TOP = 52;
+var PADDING = 20;
+
+/**
+ * 示例的说明面板：名字、描述和关键代码，内容太长时可以上下拖动
+ *
+ * 盖在示例上面，背景吃掉点击，示例里的精灵点不到。文字用 ChineseTextPlugin 按宽度强制折行，
+ * 中文没有空格也能换行。
+ */
+export default class InfoPanel extends Phaser.Group {
+
+  constructor(game, example) {
+    super(game, game.world, 'infoPanel');
+
+    var width = game.width - PADDING * 2;
+    // 面板从返回按钮下面开始，刘海屏上跟着安全区往下挪
+    var safe = game.layout.safeArea();
+    var top = safe.y + TOP;
+    var bottom = safe.bottom;
+
+    this.background = new Phaser.Graphics(game, 0, 0);
+    this.background.beginFill(0x000000, 0.85);
+    this.background.drawRect(0, top, game.width, game.height - top);
+    this.background.endFill();
+    this.background.hitArea = new Phaser.Rectangle(0, top, game.width, game.height - top);
+    this.background.inputEnabled = true;
+    this.add(this.background);
+
+    this.title = new Phaser.Text(game, PADDING, top + 12, Examples.getName(example), { font: "bold 20px Arial", fill: "#ffffff" });
+    this.add(this.title);
+
+    this.scroller = new ScrollView(game, PADDING, top + 48, width, bottom - top - 48 - PADDING);
+    this.add(this.scroller);
+
+    var chinese = game.chineseText;
+    var description = chinese.forceWrap(0, 0, Examples.getDescription(example) || I18n.t('info.empty'), { font: "16px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: width });
+    this.scroller.addItem(description);
+
+    var code = Examples.getSource(example);
+    if (code) {
+      var source = chinese.forceWrap(0, description.height + 16, code, { font: "13px Courier", fill: "#9cdcfe", wordWrap: true, wordWrapWidth: width });
+      this.scroller.addItem(source);
+    }
+  }
+
+  /**
+   * 显示时放到最上层，示例在打开面板之后加的精灵也会被盖住
+   */
+  show() {
+    this.visible = true;
+    this.parent.bringToTop(this);
+    this.scroller.scrollTo(0, false);
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+}
@@ -0,0 +1,72 @@
+import Phaser from '../libs/phaser-wx.js';
+
+/**
+ * 富文本：用 ChineseTextPlugin 排版，画到一张 BitmapData 上显示
+ *
+ * style 同 TextLayout，默认解析标记。一次排版只生成一张纹理，字号、颜色不同的片段也不会拆成多个 Text。
+ * 高分屏下按游戏的分辨率生成纹理。
+ */
+export default class RichText extends Phaser.Sprite {
+
+  constructor(game, x, y, text, style) {
+
+    var bmd = game.make.bitmapData(1, 1).setResolution(game.resolution);
+
+    super(game, x, y, bmd);
+    this.game = game;
+    this.bmd = bmd;
+
+    this.style = Object.assign({ markup: true }, style);
+    this._text = '';
+    this.result = null;
+
+    this.setText(text);
+
+  }
+
+  setText(text) {
+    this._text = String(text);
+    this.redraw();
+    return this;
+  }
+
+  setStyle(style) {
+    this.style = Object.assign({ markup: true }, style);
+    this.redraw();
+    return this;
+  }
+
+  /**
+   * 是否因为超出 maxLines 被截断
+   */
+  get truncated() {
+    return this.result.truncated;
+  }
+
+  redraw() {
+    var result = this.result = this.game.chineseText.layout(this._text, this.style);
+    var bmd = this.bmd;
+    var ctx = bmd.ctx;
+
+    bmd.resize(Math.max(1, Math.ceil(result.width)), Math.max(1, Math.ceil(result.height)));
+    bmd.clear();
+    ctx.textBaseline = 'alphabetic';
+    for (var i = 0; i < result.lines.length; i++) {
+      var line = result.lines[i];
+      for (var j = 0; j < line.runs.length; j++) {
+        var run = line.runs[j];
+        ctx.font = run.style.font;
+        ctx.fillStyle = run.style.fill;
+        ctx.fillText(run.text, line.x + run.x, line.baseline);
+      }
+    }
+    bmd.dirty = true;
+    this.loadTexture(bmd);
+  }
+
+  destroy(destroyChildren) {
+    super.destroy(destroyChildren);
+    this.bmd.destroy();
+  }
+
+}
@@ -0,0 +1,298 @@
+import Phaser from '../libs/phaser-wx.js';
+
+// 默认参数，构造时传的 options 覆盖这里
+var DEFAULTS = {
+  // vertical | horizontal
+  direction: 'vertical',
+  // 大于 0 时松手后停在整页上，单位为像素
+  pageSize: 0,
+  // 移动超过这个距离才算拖动，拖动过的这次触摸不算点击
+  slop: 8,
+  // 拖出边界时的阻尼，越小越拖不动
+  resistance: 0.4,
+  // 松手速度超过这个值（像素/毫秒）就翻到下一页
+  flingSpeed: 0.3,
+  // 惯性滑动每 16ms 保留的速度比例
+  friction: 0.95,
+  // 回弹、对齐页的快慢，越大越慢
+  settle: 90
+};
+
+/**
+ * 可以拖动、甩动的滚动容器，内容超出可视区域的部分被遮住，也点不到
+ *
+ *   var view = new ScrollView(game, 0, 64, game.width, 543, { pageSize: 544 });
+ *   view.addItem(caseRect);
+ *   view.onPageChange.add(function(page) { ... });
+ *
+ * 内容放在 content 里，x/y 是可视区域在父容器里的左上角。触摸通过 game.input 的全局事件处理，
+ * 不需要子项关掉输入；子项的点击回调里用 isTap() 排除拖动。
+ */
+export default class ScrollView extends Phaser.Group {
+
+  constructor(game, x, y, width, height, options) {
+    super(game, game.world, 'scrollView');
+    this.x = x;
+    this.y = y;
+    this.viewWidth = width;
+    this.viewHeight = height;
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.vertical = this.options.direction !== 'horizontal';
+
+    // 页码变化时派发，参数为从 1 开始的页码
+    this.onPageChange = new Phaser.Signal();
+
+    this.content = new Phaser.Group(game, this, 'scrollContent');
+    this.viewMask = new Phaser.Graphics(game, 0, 0);
+    this.viewMask.beginFill(0xffffff);
+    this.viewMask.drawRect(0, 0, width, height);
+    this.viewMask.endFill();
+    this.add(this.viewMask);
+    this.content.mask = this.viewMask;
+
+    this.extent = 0;
+    this.offset = 0;
+    this.velocity = 0;
+    this.target = null;
+    this.touch = null;
+    this.dragged = false;
+    this.page = 1;
+
+    this.game.input.onDown.add(this.onDown, this);
+    this.game.input.onUp.add(this.onUp, this);
+    this.game.input.addMoveCallback(this.onMove, this);
+  }
+
+  /**
+   * 加入一个子项，坐标相对于内容左上角。子项的点击区域被裁到可视区域以内
+   */
+  addItem(child) {
+    var view = this;
+    this.content.add(child);
+
+    var far = this.vertical ?
+      child.y + child.height * (1 - child.anchor.y) :
+      child.x + child.width * (1 - child.anchor.x);
+    this.extent = Math.max(this.extent, far);
+
+    child.hitArea = {
+      contains: function(x, y) {
+        return view.hitItem(child, x, y);
+      }
+    };
+    return child;
+  }
+
+  /**
+   * 销毁所有子项并回到顶部，用于重新填充内容
+   */
+  clear() {
+    this.content.removeAll(true);
+    this.extent = 0;
+    this.touch = null;
+    this.scrollTo(0, false);
+  }
+
+  /**
+   * 子项自身范围内、并且落在可视区域里才算点中，x、y 为子项的本地坐标
+   */
+  hitItem(child, x, y) {
+    var width = child.texture.frame.width;
+    var height = child.texture.frame.height;
+    var left = -width * child.anchor.x;
+    var top = -height * child.anchor.y;
+
+    if (x < left || x >= left + width || y < top || y >= top + height) {
+      return false;
+    }
+    return this.contains(this.toLocal(new Phaser.Point(x, y), child));
+  }
+
+  /**
+   * point 为本容器的本地坐标
+   */
+  contains(point) {
+    return point.x >= 0 && point.x < this.viewWidth && point.y >= 0 && point.y < this.viewHeight;
+  }
+
+  viewLength() {
+    return this.vertical ? this.viewHeight : this.viewWidth;
+  }
+
+  /**
+   * 最大滚动距离，分页时补齐到整页
+   */
+  maxOffset() {
+    var max = Math.max(0, this.extent - this.viewLength());
+    var pageSize = this.options.pageSize;
+    return pageSize > 0 ? Math.ceil(max / pageSize - 0.001) * pageSize : max;
+  }
+
+  pageCount() {
+    var pageSize = this.options.pageSize;
+    return pageSize > 0 ? Math.round(this.maxOffset() / pageSize) + 1 : 1;
+  }
+
+  /**
+   * 滚到第 page 页，animate 为 false 时直接跳过去
+   */
+  scrollToPage(page, animate) {
+    page = Phaser.Math.clamp(page, 1, this.pageCount());
+    this.scrollTo((page - 1) * this.options.pageSize, animate);
+  }
+
+  scrollTo(offset, animate) {
+    offset = Phaser.Math.clamp(offset, 0, this.maxOffset());
+    this.velocity = 0;
+    if (animate === false) {
+      this.target = null;
+      this.setOffset(offset);
+    } else {
+      this.target = offset;
+    }
+  }
+
+  /**
+   * 最近一次触摸是不是点击，子项的点击回调里用它排除拖动
+   */
+  isTap() {
+    return !this.dragged;
+  }
+
+  setOffset(offset) {
+    this.offset = offset;
+    if (this.vertical) {
+      this.content.y = -offset;
+    } else {
+      this.content.x = -offset;
+    }
+
+    var pageSize = this.options.pageSize;
+    if (pageSize > 0) {
+      var page = Phaser.Math.clamp(Math.round(offset / pageSize) + 1, 1, this.pageCount());
+      if (page !== this.page) {
+        this.page = page;
+        this.onPageChange.dispatch(page);
+      }
+    }
+  }
+
+  along(pointer) {
+    return this.vertical ? pointer.y : pointer.x;
+  }
+
+  onDown(pointer) {
+    this.dragged = false;
+    if (!this.worldVisible || !this.contains(this.toLocal(pointer.position))) {
+      return;
+    }
+    this.touch = {
+      id: pointer.id,
+      x: pointer.x,
+      y: pointer.y,
+      start: this.along(pointer),
+      last: this.along(pointer),
+      offset: this.offset,
+      time: this.game.time.now
+    };
+    this.target = null;
+    this.velocity = 0;
+  }
+
+  onMove(pointer) {
+    var touch = this.touch;
+    if (!touch || pointer.id !== touch.id || !pointer.isDown) {
+      return;
+    }
+
+    // 横着、竖着移动超过 slop 都不再算点击，但只沿滚动方向滚
+    var position = this.along(pointer);
+    var slop = this.options.slop;
+    if (!this.dragged && Math.abs(pointer.x - touch.x) <= slop && Math.abs(pointer.y - touch.y) <= slop) {
+      return;
+    }
+    this.dragged = true;
+
+    // 速度取最近几次移动的平滑值，单位像素/毫秒
+    var now = this.game.time.now;
+    var elapsed = Math.max(now - touch.time, 1);
+    this.velocity = this.velocity * 0.2 + (touch.last - position) / elapsed * 0.8;
+    touch.last = position;
+    touch.time = now;
+
+    // 拖出边界的部分按阻尼缩小
+    var offset = touch.offset - (position - touch.start);
+    var max = this.maxOffset();
+    if (offset < 0) {
+      offset *= this.options.resistance;
+    } else if (offset > max) {
+      offset = max + (offset - max) * this.options.resistance;
+    }
+    this.setOffset(offset);
+  }
+
+  onUp(pointer) {
+    var touch = this.touch;
+    if (!touch || pointer.id !== touch.id) {
+      return;
+    }
+    this.touch = null;
+
+    // 停顿一会儿再松手不算甩
+    if (this.game.time.now - touch.time > 100) {
+      this.velocity = 0;
+    }
+
+    var pageSize = this.options.pageSize;
+    if (pageSize > 0) {
+      var from = Math.round(touch.offset / pageSize);
+      var page = Math.round(this.offset / pageSize);
+      if (page === from && Math.abs(this.velocity) > this.options.flingSpeed) {
+        page += this.velocity > 0 ? 1 : -1;
+      }
+      this.scrollToPage(page + 1);
+    } else if (this.offset < 0 || this.offset > this.maxOffset()) {
+      this.scrollTo(this.offset);
+    }
+  }
+
+  update() {
+    super.update();
+    if (this.touch) {
+      return;
+    }
+
+    var elapsed = this.game.time.elapsedMS;
+    var max = this.maxOffset();
+
+    if (this.target !== null) {
+      // 回弹和对齐页都是按指数逼近目标
+      var offset = this.target + (this.offset - this.target) * Math.exp(-elapsed / this.options.settle);
+      if (Math.abs(offset - this.target) < 0.5) {
+        offset = this.target;
+        this.target = null;
+      }
+      this.setOffset(offset);
+    } else if (this.velocity !== 0) {
+      this.velocity *= Math.pow(this.options.friction, elapsed / 16);
+      this.setOffset(this.offset + this.velocity * elapsed);
+      if (this.offset < 0 || this.offset > max) {
+        // 惯性冲出边界，停下来弹回去
+        this.scrollTo(this.offset);
+      } else if (Math.abs(this.velocity) < 0.01) {
+        this.velocity = 0;
+      }
+    }
+  }
+
+  destroy(destroyChildren, soft) {
+    if (this.game) {
+      this.game.input.onDown.remove(this.onDown, this);
+      this.game.input.onUp.remove(this.onUp, this);
+      this.game.input.deleteMoveCallback(this.onMove, this);
+      this.onPageChange.dispose();
+    }
+    super.destroy(destroyChildren, soft);
+  }
+
+}
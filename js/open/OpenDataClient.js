@@ -0,0 +1,100 @@
+import I18n from '../config/I18n.js';
+
+/**
+ * 主域给开放数据域发消息的客户端，协议见 js/openData/protocol.js
+ *
+ * 开放数据域的文件主域不能 require，VERSION 和 action 名在这里另写一份，两边要保持一致。
+ * 每条消息带上当前语言，开放数据域画的字跟着主域切换。
+ * 开放数据域没法回消息，处理结果和错误都画在 sharedCanvas 上，用 getCanvas() 拿来当纹理显示。
+ */
+var VERSION = 1;
+
+var ACTIONS = [
+  'GET_SCORE', 'GET_FRIEND_SCORE', 'SHOW_RANKING_LIST', 'RANKING_TOUCH',
+  'SHOW_GROUP_RANKING', 'SHOW_NEXT_FRIEND', 'SHOW_COMPARISON', 'SUBMIT_SCORE'
+];
+
+// 所有客户端共用一个序号，面板、卡片各自的消息在开放数据域那边不会撞 id
+var nextId = 1;
+
+export default class OpenDataClient {
+
+  constructor(context) {
+    this.context = context || wx.getOpenDataContext();
+  }
+
+  /**
+   * 发送一条消息，返回消息 id；参数由开放数据域校验，这里只挡掉拼错的 action
+   */
+  send(action, payload) {
+    if (ACTIONS.indexOf(action) === -1) {
+      throw new Error('OpenDataClient: unknown action ' + action);
+    }
+
+    var id = nextId++;
+    this.context.postMessage({
+      v: VERSION,
+      id: id,
+      action: action,
+      locale: I18n.get(),
+      payload: payload || {}
+    });
+    return id;
+  }
+
+  getScore(key) {
+    return this.send('GET_SCORE', { key: key });
+  }
+
+  getFriendScore(key) {
+    return this.send('GET_FRIEND_SCORE', { key: key });
+  }
+
+  /**
+   * options: { key, page, pageSize, order }，都可以不传
+   */
+  showRankingList(options) {
+    return this.send('SHOW_RANKING_LIST', options);
+  }
+
+  /**
+   * 群排行，options 同 showRankingList，shareTicket 来自群分享卡片的启动参数
+   */
+  showGroupRanking(shareTicket, options) {
+    return this.send('SHOW_GROUP_RANKING', Object.assign({ shareTicket: shareTicket }, options));
+  }
+
+  /**
+   * 显示分数刚好比 score 高的好友和还差多少分
+   */
+  showNextFriend(key, score) {
+    return this.send('SHOW_NEXT_FRIEND', { key: key, score: score });
+  }
+
+  /**
+   * 显示 score 在好友里的名次和超过了几位好友
+   */
+  showComparison(key, score) {
+    return this.send('SHOW_COMPARISON', { key: key, score: score });
+  }
+
+  /**
+   * 提交一局的成绩，开放数据域按 rule 和云端的记录合并后再写
+   * options: { best, mode, rule }，best 是本地记的最好成绩，rule 为 max | min | latest，默认 max
+   */
+  submitScore(key, score, options) {
+    return this.send('SUBMIT_SCORE', Object.assign({ key: key, score: score }, options));
+  }
+
+  /**
+   * 转发触摸给排行榜，type 为 start | move | end，x、y 是 sharedCanvas 上的坐标
+   */
+  forwardTouch(type, x, y) {
+    return this.send('RANKING_TOUCH', { type: type, x: x, y: y });
+  }
+
+  getCanvas() {
+    return this.context.canvas;
+  }
+
+}
@@ -0,0 +1,36 @@
+import SharedCanvasSprite from './SharedCanvasSprite.js';
+import OpenDataClient from './OpenDataClient.js';
+
+/**
+ * 显示开放数据域画的追赶提示或结算卡片，不需要转发触摸
+ *
+ * 记住最后一次请求，窗口缩放导致 sharedCanvas 尺寸变化后重新请求一次，让开放数据域按新尺寸重画。
+ */
+export default class OpenDataView extends SharedCanvasSprite {
+
+  constructor(game, x, y, width, height) {
+    super(game, x, y);
+    this.client = new OpenDataClient();
+    this.request = null;
+
+    this.setDisplaySize(width, height);
+    this.onResize.add(this.redraw, this);
+  }
+
+  showNextFriend(key, score) {
+    this.request = { method: 'showNextFriend', key: key, score: score };
+    this.redraw();
+  }
+
+  showComparison(key, score) {
+    this.request = { method: 'showComparison', key: key, score: score };
+    this.redraw();
+  }
+
+  redraw() {
+    if (this.request) {
+      this.client[this.request.method](this.request.key, this.request.score);
+    }
+  }
+
+}
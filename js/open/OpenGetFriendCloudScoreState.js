@@ -1,5 +1,7 @@
 import Phaser from '../libs/phaser-wx.js';
 import BackToSubMenuState from '../base/BackToSubMenuState.js';
+import OpenDataClient from './OpenDataClient.js';
+import SharedCanvasSprite from './SharedCanvasSprite.js';
 
 export default class OpenGetFriendCloudScoreState extends BackToSubMenuState {
   
@@ -27,15 +29,23 @@ export default class OpenGetFriendCloudScoreState extends BackToSubMenuState {
     this.t.inputEnabled = true;
     // 文字点击时回调listener，上下文为this
     this.t.events.onInputDown.add(this.listener, this);
+    this.resultSprite = null;
 
   }
 
   listener() {
 
-    let openDataContext = wx.getOpenDataContext()
-    openDataContext.postMessage({
-      action: 'GET_FRIEND_SCORE'
-    })
+    this.client = this.client || new OpenDataClient();
+
+    // 结果由开放数据域画在 sharedCanvas 上
+    if(!this.resultSprite) {
+      // 排行榜面板可能改过 sharedCanvas 的尺寸，改回这里要用的大小
+      this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);
+      this.resultSprite.setDisplaySize(375, 200);
+      this.game.world.add(this.resultSprite);
+    }
+
+    this.client.getFriendScore('score');
 
   }
 
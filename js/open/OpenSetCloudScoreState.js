@@ -1,5 +1,7 @@
 import Phaser from '../libs/phaser-wx.js';
 import BackToSubMenuState from '../base/BackToSubMenuState.js';
+import OpenDataClient from './OpenDataClient.js';
+import SharedCanvasSprite from './SharedCanvasSprite.js';
 
 export default class OpenSetCloudScoreState extends BackToSubMenuState {
   
@@ -30,28 +32,23 @@ export default class OpenSetCloudScoreState extends BackToSubMenuState {
     this.t.inputEnabled = true;
     // 文字点击时回调listener，上下文为this
     this.t.events.onInputDown.add(this.listener, this);
+    this.resultSprite = null;
 
   }
 
   listener() {
 
-    var scoreValue = this.score;
-
-    wx.setUserCloudStorage({
-      KVDataList: [{
-        key: "score",
-        value: scoreValue + ""
-      }],
-      success: function() {
-        console.log('save score ' + scoreValue + ' success');
-      },
-      fail: function() {
-        console.log('save score ' + scoreValue + ' fail');
-      },
-      complete: function() {
-        console.log('save score ' + scoreValue + ' complete');
-      }
-    });
+    this.client = this.client || new OpenDataClient();
+
+    // 分数比云端记录差时不会覆盖，提交后读回来看实际存下的记录
+    if(!this.resultSprite) {
+      this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);
+      this.resultSprite.setDisplaySize(375, 200);
+      this.game.world.add(this.resultSprite);
+    }
+
+    this.client.submitScore('score', this.score);
+    this.client.getScore('score');
   }
 
 }
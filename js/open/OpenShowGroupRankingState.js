@@ -0,0 +1,82 @@
+import Phaser from '../libs/phaser-wx.js';
+import BackToSubMenuState from '../base/BackToSubMenuState.js';
+import RankingPanel from './RankingPanel.js';
+import I18n from '../config/I18n.js';
+
+/**
+ * 群排行：先把小游戏分享到群里，再从群里的分享卡片打开，启动参数里才有 shareTicket
+ */
+export default class OpenShowGroupRankingState extends BackToSubMenuState {
+  
+  constructor(game) {
+    super();
+    this.game = game;
+  }
+
+  init(key) {
+    super.init(key);
+  }
+
+  preload() {
+  }
+
+  create() {
+    super.create();
+
+    var launchOptions = wx.getLaunchOptionsSync ? wx.getLaunchOptionsSync() : {};
+    this.shareTicket = launchOptions.shareTicket || null;
+    // 小游戏在后台时从群卡片切回来，shareTicket 在 onShow 里给
+    this.showHandler = this.onShow.bind(this);
+    wx.onShow(this.showHandler);
+    // 转发出去的卡片要带 shareTicket，别人点开才能看群排行
+    wx.updateShareMenu && wx.updateShareMenu({ withShareTicket: true });
+
+    // 文字样式
+    var style = { font: "32px Arial", fill: "#ff0044", align: "center" };
+    // 显示文字
+    this.shareText = this.game.add.text(this.game.world.centerX - 160, 220, "share to group", style);
+    this.shareText.inputEnabled = true;
+    this.shareText.events.onInputDown.add(this.share, this);
+
+    this.t = this.game.add.text(this.game.world.centerX - 160, 300, "group ranking", style);
+    // 开启输入
+    this.t.inputEnabled = true;
+    // 文字点击时回调listener，上下文为this
+    this.t.events.onInputDown.add(this.listener, this);
+
+    this.hint = this.game.add.text(this.game.world.centerX - 160, 360, '', { font: "16px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: 320 });
+    this.panel = null;
+
+  }
+
+  onShow(res) {
+    if (res && res.shareTicket) {
+      this.shareTicket = res.shareTicket;
+    }
+  }
+
+  share() {
+    wx.shareAppMessage({ title: I18n.t('open.shareTitle'), query: 'from=groupRanking' });
+  }
+
+  listener() {
+
+    if (!this.shareTicket) {
+      this.hint.text = I18n.t('open.groupOnly');
+      return;
+    }
+
+    this.hint.text = '';
+    if (!this.panel) {
+      this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20, shareTicket: this.shareTicket });
+      this.game.add.existing(this.panel);
+    }
+    this.panel.show();
+
+  }
+
+  shutdown() {
+    wx.offShow && wx.offShow(this.showHandler);
+  }
+
+}
@@ -1,5 +1,6 @@
 import Phaser from '../libs/phaser-wx.js';
 import BackToSubMenuState from '../base/BackToSubMenuState.js';
+import SharedCanvasSprite from './SharedCanvasSprite.js';
 
 export default class OpenShowOpenCanvasState extends BackToSubMenuState {
   
@@ -32,10 +33,9 @@ export default class OpenShowOpenCanvasState extends BackToSubMenuState {
 
   listener() {
 
-    var openDataContext = wx.getOpenDataContext();
-    var sharedCanvas = openDataContext.canvas;
-
-    var openCanvas = this.game.add.sprite(0, 100, Phaser.XTexture(sharedCanvas, 0, 0, 375, 667));
+    // 每帧刷新纹理，开放数据域之后画的内容也能显示出来
+    var openCanvas = new SharedCanvasSprite(this.game, 0, 100, { crop: { x: 0, y: 0, width: 375, height: 667 } });
+    this.game.world.add(openCanvas);
 
   }
 
@@ -1,5 +1,6 @@
 import Phaser from '../libs/phaser-wx.js';
 import BackToSubMenuState from '../base/BackToSubMenuState.js';
+import RankingPanel from './RankingPanel.js';
 
 export default class OpenShowRankingListState extends BackToSubMenuState {
   
@@ -30,6 +31,7 @@ export default class OpenShowRankingListState extends BackToSubMenuState {
     this.t.inputEnabled = true;
     // 文字点击时回调listener，上下文为this
     this.t.events.onInputDown.add(this.listener, this);
+    this.panel = null;
 
   }
 
@@ -42,14 +44,12 @@ export default class OpenShowRankingListState extends BackToSubMenuState {
 
   listener() {
     
-    var openDataContext = wx.getOpenDataContext();
-    var sharedCanvas = openDataContext.canvas;
-
-    var openCanvas = this.game.add.sprite(0, 100, Phaser.XTexture(sharedCanvas, 0, 0, 375, 667));
-
-    this.openDataContext.postMessage({
-      action: 'SHOW_RANKING_LIST'
-    });
+    // 排行榜可以拖动，点底部翻页
+    if(!this.panel) {
+      this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20 });
+      this.game.add.existing(this.panel);
+    }
+    this.panel.show();
 
   }
 
@@ -0,0 +1,88 @@
+import SharedCanvasSprite from './SharedCanvasSprite.js';
+import OpenDataClient from './OpenDataClient.js';
+
+/**
+ * 显示开放数据域画的好友排行，并把落在面板上的触摸转发过去，拖动滚动、点底部翻页都由排行榜自己处理
+ *
+ * sharedCanvas 按面板在屏幕上的实际像素设尺寸，开放数据域按 canvas 的尺寸布局；
+ * 窗口缩放后 canvas 尺寸会变，已经显示的排行会按新尺寸重画。
+ * options 原样作为 SHOW_RANKING_LIST 的参数：{ key, page, pageSize, order }；
+ * 另外传了 shareTicket 时显示这个群的排行。
+ */
+export default class RankingPanel extends SharedCanvasSprite {
+
+  constructor(game, x, y, width, height, options) {
+    super(game, x, y);
+    this.client = new OpenDataClient();
+    this.options = options || {};
+    this.dragging = false;
+    this.shown = false;
+
+    this.setDisplaySize(width, height);
+    this.onResize.add(function() {
+      if (this.shown) {
+        this.show();
+      }
+    }, this);
+
+    this.inputEnabled = true;
+    this.events.onInputDown.add(this.onDown, this);
+    this.events.onInputUp.add(this.onUp, this);
+    this.game.input.addMoveCallback(this.onMove, this);
+  }
+
+  show() {
+    this.shown = true;
+    var options = Object.assign({}, this.options);
+    var shareTicket = options.shareTicket;
+    delete options.shareTicket;
+    if (shareTicket) {
+      this.client.showGroupRanking(shareTicket, options);
+    } else {
+      this.client.showRankingList(options);
+    }
+  }
+
+  /**
+   * 屏幕坐标换算成 sharedCanvas 上的坐标，面板被缩放、挂在别的对象下面也适用
+   */
+  toCanvas(pointer) {
+    // toLocal 算出的是纹理像素，也就是 sharedCanvas 上的像素
+    var local = this.toLocal(pointer.position);
+    return {
+      x: Math.round(local.x + this.anchor.x * this.texture.frame.width),
+      y: Math.round(local.y + this.anchor.y * this.texture.frame.height)
+    };
+  }
+
+  forward(type, pointer) {
+    var point = this.toCanvas(pointer);
+    this.client.forwardTouch(type, point.x, point.y);
+  }
+
+  onDown(sprite, pointer) {
+    this.dragging = true;
+    this.forward('start', pointer);
+  }
+
+  onMove(pointer) {
+    if (this.dragging) {
+      this.forward('move', pointer);
+    }
+  }
+
+  onUp(sprite, pointer) {
+    if (this.dragging) {
+      this.dragging = false;
+      this.forward('end', pointer);
+    }
+  }
+
+  destroy(destroyChildren) {
+    if (this.game) {
+      this.game.input.deleteMoveCallback(this.onMove, this);
+    }
+    super.destroy(destroyChildren);
+  }
+
+}
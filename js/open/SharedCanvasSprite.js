@@ -0,0 +1,109 @@
+import PIXI from '../libs/pixi-wx.js';
+import Phaser from '../libs/phaser-wx.js';
+
+/**
+ * 显示开放数据域 sharedCanvas 的精灵
+ *
+ * Phaser.XTexture 只是拿 sharedCanvas 建一张纹理，开放数据域之后再画的内容（比如异步加载的头像）
+ * 在 WebGL 下不会重新上传。这里每帧（或按 interval 节流）把 baseTexture 标脏，保证显示的是最新内容。
+ *
+ * options:
+ *   crop      { x, y, width, height }，只显示 sharedCanvas 的一部分，默认整张
+ *   interval  刷新间隔毫秒，0 为每帧刷新
+ *
+ * 用 setDisplaySize 指定显示大小时，sharedCanvas 会按 ScaleManager 的缩放比例设成屏幕上的实际像素数，
+ * 窗口尺寸变化时自动重设并派发 onResize，开放数据域需要据此重画。
+ * 精灵销毁时（包括切换 state 清空 world）会解除监听并释放纹理，sharedCanvas 本身不受影响。
+ */
+export default class SharedCanvasSprite extends Phaser.Sprite {
+
+  constructor(game, x, y, options) {
+    options = options || {};
+
+    var canvas = wx.getOpenDataContext().canvas;
+    var base = new PIXI.BaseTexture(canvas);
+    var crop = options.crop || { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+    super(game, x, y, new PIXI.Texture(base, new PIXI.Rectangle(crop.x, crop.y, crop.width, crop.height)));
+    this.game = game;
+
+    this.canvas = canvas;
+    this.interval = options.interval || 0;
+    this.elapsed = 0;
+    this.displayWidth = 0;
+    this.displayHeight = 0;
+
+    // sharedCanvas 因为窗口缩放被重设尺寸后派发，参数为 (sprite)
+    this.onResize = new Phaser.Signal();
+    this.game.scale.onSizeChange.add(this.refit, this);
+  }
+
+  /**
+   * 显示 sharedCanvas 上 (x, y, width, height) 这一块，超出 canvas 的部分会被裁掉
+   */
+  setCrop(x, y, width, height) {
+    var base = this.texture.baseTexture;
+    // canvas 尺寸可能被改过，baseTexture 记的还是创建时的尺寸
+    base.width = this.canvas.width;
+    base.height = this.canvas.height;
+
+    x = Phaser.Math.clamp(x, 0, base.width);
+    y = Phaser.Math.clamp(y, 0, base.height);
+    width = Math.max(1, Math.min(width, base.width - x));
+    height = Math.max(1, Math.min(height, base.height - y));
+
+    this.setTexture(new PIXI.Texture(base, new PIXI.Rectangle(x, y, width, height)));
+    base.dirty();
+  }
+
+  /**
+   * 按游戏坐标指定显示大小，sharedCanvas 设成对应的屏幕像素数并整张显示
+   */
+  setDisplaySize(width, height) {
+    this.displayWidth = width;
+    this.displayHeight = height;
+
+    var resolution = this.getResolution();
+    this.canvas.width = Math.round(width * resolution);
+    this.canvas.height = Math.round(height * resolution);
+
+    this.setCrop(0, 0, this.canvas.width, this.canvas.height);
+    this.scale.setTo(width / this.canvas.width, height / this.canvas.height);
+  }
+
+  /**
+   * 一个游戏像素对应多少屏幕像素，来自 ScaleManager 和游戏的分辨率（hiDPI）
+   */
+  getResolution() {
+    return Math.max(1, this.game.scale.scaleFactorInversed.x * this.game.resolution);
+  }
+
+  refit() {
+    if (!this.displayWidth) {
+      return;
+    }
+    this.setDisplaySize(this.displayWidth, this.displayHeight);
+    this.onResize.dispatch(this);
+  }
+
+  update() {
+    if (this.interval > 0) {
+      this.elapsed += this.game.time.elapsedMS;
+      if (this.elapsed < this.interval) {
+        return;
+      }
+      this.elapsed %= this.interval;
+    }
+    this.texture.baseTexture.dirty();
+  }
+
+  destroy(destroyChildren) {
+    if (this.game) {
+      this.game.scale.onSizeChange.remove(this.refit, this);
+    }
+    this.onResize.dispose();
+    // baseTexture 是自己建的，一起释放
+    super.destroy(destroyChildren, true);
+  }
+
+}
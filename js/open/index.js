@@ -6,21 +6,97 @@ import OpenGetCloudScoreState from './OpenGetCloudScoreState.js'
 import OpenGetFriendCloudScoreState from './OpenGetFriendCloudScoreState.js'
 import OpenSetCloudScoreState from './OpenSetCloudScoreState.js'
 import OpenShowRankingListState from './OpenShowRankingListState.js'
+import OpenShowGroupRankingState from './OpenShowGroupRankingState.js'
 
-export default class OpenExamples {
-  
-  constructor(game) {
-    
-    Phaser.XTexture = function(xCanvas, x, y, w, h){
-      return new PIXI.Texture(new PIXI.BaseTexture(xCanvas), new PIXI.Rectangle(x, y, w, h));
-    };
+Phaser.XTexture = function(xCanvas, x, y, w, h){
+  return new PIXI.Texture(new PIXI.BaseTexture(xCanvas), new PIXI.Rectangle(x, y, w, h));
+};
 
-    game.state.add('openShowOpenCanvas', new OpenShowOpenCanvasState(game));
-    game.state.add('openGetCloudScore', new OpenGetCloudScoreState(game));
-    game.state.add('openGetFriendCloudScore', new OpenGetFriendCloudScoreState(game));
-    game.state.add('openSetCloudScore', new OpenSetCloudScoreState(game));
-    game.state.add('openShowRankingList', new OpenShowRankingListState(game));
-
-  }
-
-}
+export default {
+  key: 'open',
+  name: '开放域',
+  examples: [
+    {
+      key: 'openShowOpenCanvas',
+      name: 'show open canvas',
+      tags: ['开放数据域', 'sharedCanvas'],
+      state: OpenShowOpenCanvasState,
+      description: '把开放数据域的 sharedCanvas 作为纹理显示在主域',
+      source: [
+        '// 每帧刷新纹理，开放数据域之后画的内容也能显示出来',
+        'var openCanvas = new SharedCanvasSprite(this.game, 0, 100, { crop: { x: 0, y: 0, width: 375, height: 667 } });',
+        'this.game.world.add(openCanvas);'
+      ].join('\n')
+    },
+    {
+      key: 'openSetCloudScore',
+      name: 'set your score',
+      tags: ['云存储', '分数', 'cloud'],
+      state: OpenSetCloudScoreState,
+      description: '提交一个随机分数，开放数据域按规则和云端记录合并后再存',
+      source: [
+        '// 分数比云端记录差时不会覆盖，提交后读回来看实际存下的记录',
+        "this.client.submitScore('score', this.score);",
+        "this.client.getScore('score');"
+      ].join('\n')
+    },
+    {
+      key: 'openGetCloudScore',
+      name: 'get your score',
+      tags: ['云存储', '分数', 'cloud'],
+      state: OpenGetCloudScoreState,
+      description: '通知开放数据域读取自己的云端分数',
+      source: [
+        '// 结果由开放数据域画在 sharedCanvas 上',
+        'this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);',
+        'this.resultSprite.setDisplaySize(375, 200);',
+        'this.game.world.add(this.resultSprite);',
+        '',
+        "this.client.getScore('score');"
+      ].join('\n')
+    },
+    {
+      key: 'openGetFriendCloudScore',
+      name: 'get friend score',
+      tags: ['云存储', '好友', 'cloud'],
+      state: OpenGetFriendCloudScoreState,
+      description: '通知开放数据域读取好友的云端分数',
+      source: [
+        '// 结果由开放数据域画在 sharedCanvas 上',
+        'this.resultSprite = new SharedCanvasSprite(this.game, 0, 360);',
+        'this.resultSprite.setDisplaySize(375, 200);',
+        'this.game.world.add(this.resultSprite);',
+        '',
+        "this.client.getFriendScore('score');"
+      ].join('\n')
+    },
+    {
+      key: 'openShowRankingList',
+      name: 'show ranking list',
+      tags: ['排行榜', '好友', 'ranking'],
+      state: OpenShowRankingListState,
+      description: '在开放数据域绘制好友排行榜，再显示到主域',
+      source: [
+        '// 排行榜可以拖动，点底部翻页',
+        "this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20 });",
+        'this.game.add.existing(this.panel);',
+        'this.panel.show();'
+      ].join('\n')
+    },
+    {
+      key: 'openShowGroupRanking',
+      name: 'show group ranking',
+      tags: ['排行榜', '群', '分享', 'ranking'],
+      state: OpenShowGroupRankingState,
+      description: '分享到群后，从群卡片打开时用 shareTicket 显示群排行',
+      source: [
+        '// 转发出去的卡片要带 shareTicket，别人点开才能看群排行',
+        'wx.updateShareMenu({ withShareTicket: true });',
+        '',
+        '// 从群卡片打开时启动参数里有 shareTicket',
+        "this.panel = new RankingPanel(this.game, 0, 100, this.game.width, this.game.height - 100, { key: 'score', pageSize: 20, shareTicket: this.shareTicket });",
+        'this.panel.show();'
+      ].join('\n')
+    }
+  ]
+};
@@ -0,0 +1,33 @@
+/**
+ * 头像图片缓存，每个地址只加载一次
+ *
+ * 加载完成时回调 onLoad(url)，视图据此重画。
+ */
+export default class AvatarCache {
+
+  constructor(onLoad) {
+    this.onLoad = onLoad;
+    this.images = {};
+  }
+
+  /**
+   * 已经加载好时返回图片，否则开始加载并返回 null
+   */
+  get(url) {
+    if (!url) {
+      return null;
+    }
+    var cached = this.images[url];
+    if (!cached) {
+      var onLoad = this.onLoad;
+      cached = this.images[url] = { image: wx.createImage(), loaded: false };
+      cached.image.onload = function() {
+        cached.loaded = true;
+        onLoad && onLoad(url);
+      };
+      cached.image.src = url;
+    }
+    return cached.loaded ? cached.image : null;
+  }
+
+}
@@ -0,0 +1,63 @@
+import { Actions } from './protocol.js'
+import { t } from './locales.js'
+
+// 按这个宽度排版，主域按屏幕像素把 canvas 设得更大时整体等比放大
+var DESIGN_WIDTH = 375;
+
+/**
+ * 把消息的处理结果画到 sharedCanvas 上，主域只能通过它看到开放数据域的数据
+ *
+ * 排行榜由 Leaderboard 自己画，这里只画读取分数的结果和错误信息。
+ */
+export default class CanvasView {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+  }
+
+  /**
+   * 按 action 选择画法，出错时画错误信息
+   */
+  render(status) {
+    if (status.state === 'error') {
+      this.drawLines([t('error.title', { action: status.action }), status.error], 'rgb(255, 80, 80)');
+    } else if (status.action === Actions.GET_SCORE) {
+      var result = status.result;
+      this.drawLines([
+        t('score.mine', { key: result.key, value: orNone(result.value) }),
+        t('score.week', { value: orNone(result.week) })
+      ]);
+    } else if (status.action === Actions.GET_FRIEND_SCORE) {
+      this.drawLines(status.result.list.map(function(item) {
+        return t('score.friend', { name: item.nickname, value: orNone(item.value) });
+      }));
+    }
+  }
+
+  clear() {
+    var context = this.context;
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    context.fillStyle = "rgba(64, 64, 64, 0.5)";
+    context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  drawLines(lines, color) {
+    var context = this.context;
+    var unit = Math.max(1, this.canvas.width / DESIGN_WIDTH);
+    this.clear();
+
+    context.fillStyle = color || "rgb(250, 250, 250)";
+    context.font = Math.round(16 * unit) + "px Arial";
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    for (var i = 0; i < lines.length; i++) {
+      context.fillText(lines[i], 10 * unit, (10 + i * 24) * unit);
+    }
+  }
+
+}
+
+function orNone(value) {
+  return value === null ? t('score.none') : value;
+}
@@ -0,0 +1,121 @@
+import { decodeRecord, encodeRecord, createRecord, mergeRecords, wins } from './record.js'
+
+/**
+ * 自己的云端成绩记录的读写，记录格式和合并规则见 record.js
+ *
+ * 提交时先读出云端的记录，按规则合并，有变化才写回。读写操作排队一个一个来，
+ * 免得连着两次提交都读到旧值，后写的把先写的覆盖掉。
+ * 没写成功的记录留在内存里，下次提交同一个 key 时一起合并，断网时打出的成绩不会丢。
+ * staleKeys 是已经不用的 key，第一次提交成功后顺便用 removeUserCloudStorage 删掉。
+ */
+export default class CloudRecordStore {
+
+  constructor(api, staleKeys) {
+    this.api = api;
+    this.staleKeys = staleKeys || [];
+    this.cleaned = this.staleKeys.length === 0;
+    this.unsaved = {};
+    this.queue = [];
+    this.busy = false;
+  }
+
+  /**
+   * task(finish) 做完后必须调用 finish，队列里的下一个才会开始
+   */
+  enqueue(task) {
+    this.queue.push(task);
+    this.next();
+  }
+
+  next() {
+    if (this.busy || !this.queue.length) {
+      return;
+    }
+    var self = this;
+    var task = this.queue.shift();
+    this.busy = true;
+    task(function() {
+      self.busy = false;
+      self.next();
+    });
+  }
+
+  /**
+   * 读出 key 下的记录，没有时为 null
+   */
+  read(key, done) {
+    var api = this.api;
+    this.enqueue(function(finish) {
+      api.getUserValue(key, function(error, value) {
+        finish();
+        done(error, error ? null : decodeRecord(value));
+      });
+    });
+  }
+
+  /**
+   * 提交一局的成绩，结果为 { key, record, changed }，changed 表示云端的记录有没有被改写
+   *
+   * best 可以不传，传了的话只参与历史最好成绩的比较，用来补上以前没写成功的成绩。
+   */
+  submit(key, score, best, mode, rule, done) {
+    var self = this;
+    this.enqueue(function(finish) {
+      self.api.getUserValue(key, function(error, value) {
+        var now = Date.now();
+        var incoming = createRecord(score, mode, now);
+        if (wins(rule, best, incoming.best)) {
+          incoming.best = best;
+        }
+        var pending = self.unsaved[key];
+
+        if (error) {
+          self.unsaved[key] = mergeRecords(pending || null, incoming, rule, now).record;
+          finish();
+          done(error);
+          return;
+        }
+
+        var base = decodeRecord(value);
+        if (pending) {
+          base = mergeRecords(base, pending, rule, now).record;
+        }
+        var merged = mergeRecords(base, incoming, rule, now);
+
+        if (!merged.changed && !pending) {
+          finish();
+          done(null, { key: key, record: merged.record, changed: false });
+          return;
+        }
+
+        self.api.setUserValues([{ key: key, value: encodeRecord(merged.record) }], function(error) {
+          if (error) {
+            self.unsaved[key] = merged.record;
+          } else {
+            delete self.unsaved[key];
+          }
+          finish();
+          if (!error) {
+            self.removeStale();
+          }
+          done(error, error ? null : { key: key, record: merged.record, changed: true });
+        });
+      });
+    });
+  }
+
+  removeStale() {
+    if (this.cleaned) {
+      return;
+    }
+    var self = this;
+    this.enqueue(function(finish) {
+      self.api.removeUserKeys(self.staleKeys, function(error) {
+        // 失败的话下次提交成功后再删
+        self.cleaned = !error;
+        finish();
+      });
+    });
+  }
+
+}
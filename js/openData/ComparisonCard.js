@@ -0,0 +1,85 @@
+import AvatarCache from './AvatarCache.js'
+import { fitText, drawAvatar } from './draw.js'
+import { t } from './locales.js'
+
+// 按这个宽度排版，canvas 更大时等比放大
+var DESIGN_WIDTH = 200;
+
+/**
+ * 一局结束后的结算卡片：本局分数在好友里的名次、超过了几位好友、下一个目标
+ *
+ * 数据来自 ranking.compare 的结果。
+ */
+export default class ComparisonCard {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.result = null;
+    this.visible = false;
+
+    var self = this;
+    this.avatars = new AvatarCache(function() {
+      if (self.visible) {
+        self.render();
+      }
+    });
+  }
+
+  show(result) {
+    this.result = result;
+    this.visible = true;
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  render() {
+    if (!this.visible) {
+      return;
+    }
+
+    var context = this.context;
+    var result = this.result;
+    var width = this.canvas.width;
+    var height = this.canvas.height;
+    var unit = width / DESIGN_WIDTH;
+    var padding = 8 * unit;
+    var middle = width / 2;
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "rgba(64, 64, 64, 0.5)";
+    context.fillRect(0, 0, width, height);
+
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    context.fillStyle = "rgb(255, 222, 0)";
+    context.font = Math.round(20 * unit) + "px Arial";
+    context.fillText(t('comparison.score', { score: result.score }), middle, height * 0.18);
+
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.font = Math.round(13 * unit) + "px Arial";
+    context.fillText(t('comparison.rank', { rank: result.rank, total: result.total }), middle, height * 0.4);
+    context.fillText(t('comparison.passed', { count: result.passed }), middle, height * 0.56);
+
+    var next = result.next;
+    var rowTop = height * 0.7;
+    var size = Math.min(height - rowTop - padding, 24 * unit);
+    if (!next) {
+      context.fillText(t(result.total > 1 ? 'friend.first' : 'comparison.invite'), middle, rowTop + size / 2);
+      return;
+    }
+
+    drawAvatar(context, this.avatars.get(next.avatarUrl), padding, rowTop, size);
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.textAlign = "left";
+    var textX = padding * 2 + size;
+    // 昵称太长时截昵称，分数要留着
+    var nameWidth = width - textX - padding - context.measureText(t('comparison.gap', { name: '', gap: result.gap })).width;
+    context.fillText(t('comparison.gap', { name: fitText(context, next.nickname, nameWidth), gap: result.gap }), textX, rowTop + size / 2);
+  }
+
+}
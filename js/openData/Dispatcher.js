@@ -0,0 +1,104 @@
+import { validate } from './protocol.js'
+import { setLocale } from './locales.js'
+
+// 保留最近多少条消息的状态
+var STATUS_SIZE = 20;
+
+/**
+ * 开放数据域的消息分发
+ *
+ * 每条消息先按 protocol.js 校验，带了 locale 的先切换语言，再交给 register 注册的处理函数：
+ *   handler(payload, done)，处理完调用 done(error, result)
+ * 每条消息都有一个状态 { id, action, state: pending | ok | error, result, error }，
+ * 状态变化时回调 onStatus，由它把结果或错误画到 sharedCanvas 上让主域看到。
+ */
+export default class Dispatcher {
+
+  constructor() {
+    this.handlers = {};
+    this.statuses = {};
+    this.order = [];
+    this.last = null;
+    this.onStatus = null;
+  }
+
+  register(action, handler) {
+    this.handlers[action] = handler;
+  }
+
+  listen(wx) {
+    var self = this;
+    wx.onMessage(function(message) {
+      self.dispatch(message);
+    });
+  }
+
+  /**
+   * 处理一条消息，返回它的状态；处理函数是异步的话返回时还是 pending
+   */
+  dispatch(message) {
+    var status = {
+      id: message && message.id,
+      action: message && message.action,
+      state: 'pending',
+      result: null,
+      error: null
+    };
+    this.track(status);
+
+    var checked = validate(message);
+    if (checked.errors.length) {
+      this.finish(status, checked.errors.join('; '));
+      return status;
+    }
+
+    if (message.locale !== undefined) {
+      setLocale(message.locale);
+    }
+
+    var handler = this.handlers[message.action];
+    if (!handler) {
+      this.finish(status, 'no handler for ' + message.action);
+      return status;
+    }
+
+    var self = this;
+    try {
+      handler(checked.payload, function(error, result) {
+        self.finish(status, error, result);
+      });
+    } catch (e) {
+      this.finish(status, e.message);
+    }
+    return status;
+  }
+
+  finish(status, error, result) {
+    // 处理函数只能结束一次
+    if (status.state !== 'pending') {
+      return;
+    }
+    status.state = error ? 'error' : 'ok';
+    status.error = error || null;
+    status.result = error ? null : result;
+
+    this.onStatus && this.onStatus(status);
+  }
+
+  track(status) {
+    this.last = status;
+    if (status.id === undefined) {
+      return;
+    }
+    this.statuses[status.id] = status;
+    this.order.push(status.id);
+    while (this.order.length > STATUS_SIZE) {
+      delete this.statuses[this.order.shift()];
+    }
+  }
+
+  getStatus(id) {
+    return this.statuses[id] || null;
+  }
+
+}
@@ -0,0 +1,262 @@
+import AvatarCache from './AvatarCache.js'
+import { fitText, drawAvatar } from './draw.js'
+import { t } from './locales.js'
+
+/**
+ * 好友（或群）排行榜，画在 sharedCanvas 上
+ *
+ * 数据一次取全，按页显示；一页放不下时可以上下拖动。触摸由主域转发过来（RANKING_TOUCH），
+ * 坐标是 sharedCanvas 上的像素坐标。布局按 canvas 当前尺寸计算，主域改了 canvas 大小后
+ * 下一次绘制自动适配。
+ *
+ * 排行榜渲染方案来自网友aleafworld，详细请看他的帖子：http://club.phaser-china.com/topic/5af6bf52484a53dd723f42e1
+ */
+
+// 移动不超过这么多像素算点击
+var TAP_SLOP = 10;
+
+export default class Leaderboard {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+
+    this.entries = [];
+    this.page = 0;
+    this.pageSize = 10;
+    this.scrollY = 0;
+    this.self = null;
+    this.touch = null;
+    this.visible = false;
+    this.emptyText = '';
+
+    var self = this;
+    this.avatars = new AvatarCache(function() {
+      if (self.visible) {
+        self.render();
+      }
+    });
+  }
+
+  /**
+   * 当前用户的信息 { openId, avatarUrl }，用来高亮自己那一行
+   */
+  setSelf(self) {
+    this.self = self;
+    if (this.visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * entries 已经排好序并带有名次 rank，emptyText 是没人上榜时显示的文字
+   */
+  show(entries, page, pageSize, emptyText) {
+    this.entries = entries;
+    this.pageSize = pageSize;
+    this.emptyText = emptyText || t('ranking.friendsEmpty');
+    this.visible = true;
+    this.setPage(page);
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  getPageCount() {
+    return Math.max(1, Math.ceil(this.entries.length / this.pageSize));
+  }
+
+  setPage(page) {
+    this.page = Math.max(0, Math.min(page, this.getPageCount() - 1));
+    this.scrollY = 0;
+    this.render();
+  }
+
+  getPageEntries() {
+    var start = this.page * this.pageSize;
+    return this.entries.slice(start, start + this.pageSize);
+  }
+
+  /**
+   * 当前的分页和滚动状态，作为消息的处理结果返回
+   */
+  getState() {
+    return {
+      visible: this.visible,
+      page: this.page,
+      pages: this.getPageCount(),
+      pageSize: this.pageSize,
+      total: this.entries.length,
+      scrollY: this.scrollY,
+      list: this.getPageEntries()
+    };
+  }
+
+  isSelf(entry) {
+    var self = this.self;
+    if (!self) {
+      return false;
+    }
+    return self.openId ? entry.openid === self.openId : entry.avatarUrl === self.avatarUrl;
+  }
+
+  /**
+   * 按 canvas 尺寸计算布局：行高随宽度变化，底部留一行放翻页
+   */
+  layout() {
+    var width = this.canvas.width;
+    var height = this.canvas.height;
+    var rowHeight = Math.round(Math.max(28, Math.min(64, width * 0.12)));
+    var padding = Math.round(rowHeight * 0.2);
+    var footer = rowHeight;
+
+    return {
+      width: width,
+      height: height,
+      rowHeight: rowHeight,
+      padding: padding,
+      fontSize: Math.round(rowHeight * 0.42),
+      avatarSize: rowHeight - padding * 2,
+      listTop: padding,
+      listHeight: Math.max(0, height - footer - padding),
+      footerTop: height - footer,
+      footerHeight: footer
+    };
+  }
+
+  getMaxScroll(layout) {
+    return Math.max(0, this.getPageEntries().length * layout.rowHeight - layout.listHeight);
+  }
+
+  /**
+   * 处理主域转发的触摸：拖动滚动，点底部左右两侧翻页
+   */
+  handleTouch(type, x, y) {
+    if (!this.visible) {
+      return;
+    }
+    var layout = this.layout();
+
+    if (type === 'start') {
+      this.touch = { x: x, y: y, lastY: y, scrollY: this.scrollY, moved: false };
+    } else if (type === 'move' && this.touch) {
+      if (Math.abs(y - this.touch.y) > TAP_SLOP || Math.abs(x - this.touch.x) > TAP_SLOP) {
+        this.touch.moved = true;
+      }
+      this.scrollTo(this.touch.scrollY - (y - this.touch.y), layout);
+    } else if (type === 'end' && this.touch) {
+      var tapped = !this.touch.moved;
+      this.touch = null;
+      if (tapped && y >= layout.footerTop) {
+        if (x < layout.width / 3) {
+          this.setPage(this.page - 1);
+        } else if (x > layout.width * 2 / 3) {
+          this.setPage(this.page + 1);
+        }
+      }
+    }
+  }
+
+  scrollTo(scrollY, layout) {
+    layout = layout || this.layout();
+    var clamped = Math.max(0, Math.min(scrollY, this.getMaxScroll(layout)));
+    if (clamped !== this.scrollY) {
+      this.scrollY = clamped;
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.visible) {
+      return;
+    }
+
+    var context = this.context;
+    var layout = this.layout();
+    var entries = this.getPageEntries();
+
+    context.clearRect(0, 0, layout.width, layout.height);
+    context.fillStyle = "rgba(64, 64, 64, 0.5)";
+    context.fillRect(0, 0, layout.width, layout.height);
+
+    context.save();
+    context.beginPath();
+    context.rect(0, layout.listTop, layout.width, layout.listHeight);
+    context.clip();
+
+    for (var i = 0; i < entries.length; i++) {
+      var top = layout.listTop + i * layout.rowHeight - this.scrollY;
+      if (top + layout.rowHeight < layout.listTop || top > layout.listTop + layout.listHeight) {
+        continue;
+      }
+      this.renderRow(entries[i], top, layout);
+    }
+
+    if (entries.length === 0) {
+      context.fillStyle = "rgb(250, 250, 250)";
+      context.font = layout.fontSize + "px Arial";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(this.emptyText, layout.width / 2, layout.listTop + layout.rowHeight / 2);
+    }
+    context.restore();
+
+    this.renderFooter(layout);
+  }
+
+  renderRow(entry, top, layout) {
+    var context = this.context;
+    var padding = layout.padding;
+    var middle = top + layout.rowHeight / 2;
+
+    context.fillStyle = this.isSelf(entry) ? "rgba(255, 222, 0, 0.35)" : "rgba(255,255,255,0.1)";
+    context.fillRect(padding, top + 2, layout.width - padding * 2, layout.rowHeight - 4);
+
+    context.font = layout.fontSize + "px Arial";
+    context.textBaseline = "middle";
+
+    // 名次
+    var rankWidth = layout.fontSize * 2;
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.textAlign = "center";
+    context.fillText(entry.rank, padding + rankWidth / 2, middle);
+
+    var avatarX = padding + rankWidth;
+    drawAvatar(context, this.avatars.get(entry.avatarUrl), avatarX, top + padding, layout.avatarSize);
+
+    // 分数靠右，昵称占剩下的宽度
+    var scoreRight = layout.width - padding * 2;
+    var score = entry.value + '';
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.textAlign = "right";
+    context.fillText(score, scoreRight, middle);
+
+    var nameX = avatarX + layout.avatarSize + padding;
+    var nameWidth = scoreRight - context.measureText(score).width - padding - nameX;
+    context.textAlign = "left";
+    context.fillText(fitText(context, entry.nickname, nameWidth), nameX, middle);
+  }
+
+  renderFooter(layout) {
+    var context = this.context;
+    var middle = layout.footerTop + layout.footerHeight / 2;
+    var pages = this.getPageCount();
+
+    context.font = layout.fontSize + "px Arial";
+    context.textBaseline = "middle";
+
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.textAlign = "center";
+    context.fillText((this.page + 1) + '/' + pages, layout.width / 2, middle);
+
+    context.fillStyle = this.page > 0 ? "rgb(250, 250, 250)" : "rgba(250, 250, 250, 0.3)";
+    context.textAlign = "left";
+    context.fillText(t('ranking.prev'), layout.padding * 2, middle);
+
+    context.fillStyle = this.page < pages - 1 ? "rgb(250, 250, 250)" : "rgba(250, 250, 250, 0.3)";
+    context.textAlign = "right";
+    context.fillText(t('ranking.next'), layout.width - layout.padding * 2, middle);
+  }
+
+}
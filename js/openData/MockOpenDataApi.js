@@ -0,0 +1,99 @@
+/**
+ * 内存里的假数据，接口和 OpenDataApi 一样。harness/test/handlers.test.js 用它测消息处理，
+ * 开发者工具里没有好友数据时也可以在 index.js 里换成它调界面：
+ *
+ *   registerHandlers(dispatcher, new MockOpenDataApi({
+ *     self: { openid: 'me', nickname: '我', avatarUrl: '', values: { planeScore: '120' } },
+ *     friends: [{ openid: 'f1', nickname: '小明', avatarUrl: '', values: { planeScore: '200' } }],
+ *     groups: { ticket1: ['me', 'f1'] }
+ *   }), canvas)
+ *
+ * 回调和真实接口一样是异步的。fail 设为 true 时所有接口都失败。
+ */
+export default class MockOpenDataApi {
+
+  constructor(data) {
+    data = data || {};
+    this.self = data.self || { openid: 'self', nickname: 'self', avatarUrl: '', values: {} };
+    this.friends = data.friends || [];
+    this.groups = data.groups || {};
+    this.fail = !!data.fail;
+  }
+
+  reply(api, done, result) {
+    var fail = this.fail;
+    setTimeout(function() {
+      if (fail) {
+        done(api + ':fail mock');
+      } else {
+        done(null, result);
+      }
+    }, 0);
+  }
+
+  toEntry(person, key) {
+    var values = person.values || {};
+    return {
+      openid: person.openid,
+      nickname: person.nickname,
+      avatarUrl: person.avatarUrl,
+      value: values.hasOwnProperty(key) ? values[key] : null
+    };
+  }
+
+  getUserValue(key, done) {
+    this.reply('getUserCloudStorage', done, this.toEntry(this.self, key).value);
+  }
+
+  setUserValues(kvList, done) {
+    var values = this.self.values = this.self.values || {};
+    if (!this.fail) {
+      kvList.forEach(function(kv) {
+        values[kv.key] = kv.value;
+      });
+    }
+    this.reply('setUserCloudStorage', done);
+  }
+
+  removeUserKeys(keys, done) {
+    var values = this.self.values || {};
+    if (!this.fail) {
+      keys.forEach(function(key) {
+        delete values[key];
+      });
+    }
+    this.reply('removeUserCloudStorage', done);
+  }
+
+  getFriendEntries(key, done) {
+    var self = this;
+    this.reply('getFriendCloudStorage', done, [this.self].concat(this.friends).map(function(person) {
+      return self.toEntry(person, key);
+    }));
+  }
+
+  getGroupEntries(shareTicket, key, done) {
+    var members = this.groups[shareTicket];
+    if (!members) {
+      this.reply('getGroupCloudStorage', function(error, result) {
+        done(error || 'getGroupCloudStorage:fail invalid shareTicket');
+      });
+      return;
+    }
+    var self = this;
+    this.reply('getGroupCloudStorage', done, [this.self].concat(this.friends).filter(function(person) {
+      return members.indexOf(person.openid) !== -1;
+    }).map(function(person) {
+      return self.toEntry(person, key);
+    }));
+  }
+
+  getSelf(done) {
+    this.reply('getUserInfo', done, {
+      openId: this.self.openid,
+      nickName: this.self.nickname,
+      avatarUrl: this.self.avatarUrl
+    });
+  }
+
+}
@@ -0,0 +1,75 @@
+import AvatarCache from './AvatarCache.js'
+import { fitText, drawAvatar } from './draw.js'
+import { t } from './locales.js'
+
+/**
+ * 游戏中的追赶提示：下一个要超过的好友的头像、昵称和还差多少分
+ *
+ * 是一条横幅，布局按 canvas 的高度计算。数据来自 ranking.compare 的结果。
+ */
+export default class NextFriendView {
+
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.result = null;
+    this.visible = false;
+
+    var self = this;
+    this.avatars = new AvatarCache(function() {
+      if (self.visible) {
+        self.render();
+      }
+    });
+  }
+
+  show(result) {
+    this.result = result;
+    this.visible = true;
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  render() {
+    if (!this.visible) {
+      return;
+    }
+
+    var context = this.context;
+    var width = this.canvas.width;
+    var height = this.canvas.height;
+    var padding = Math.round(height * 0.15);
+    var size = height - padding * 2;
+    var fontSize = Math.round(height * 0.3);
+    var next = this.result.next;
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "rgba(64, 64, 64, 0.5)";
+    context.fillRect(0, 0, width, height);
+
+    context.font = fontSize + "px Arial";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+    context.fillStyle = "rgb(250, 250, 250)";
+
+    if (!next) {
+      var done = t(this.result.total > 1 ? 'friend.first' : 'friend.none');
+      context.textAlign = "center";
+      context.fillText(done, width / 2, height / 2);
+      return;
+    }
+
+    drawAvatar(context, this.avatars.get(next.avatarUrl), padding, padding, size);
+
+    var textX = padding * 2 + size;
+    var textWidth = width - textX - padding;
+    context.fillStyle = "rgb(250, 250, 250)";
+    context.fillText(fitText(context, next.nickname, textWidth), textX, height * 0.3);
+    context.fillStyle = "rgb(255, 222, 0)";
+    context.fillText(fitText(context, t('friend.gap', { gap: this.result.gap }), textWidth), textX, height * 0.7);
+  }
+
+}
@@ -0,0 +1,140 @@
+/**
+ * 开放数据域用到的 wx 接口都经过这里，结果整理成统一的格式
+ *
+ * 处理函数只依赖这几个方法，换成实现了同样方法的对象（比如 MockOpenDataApi）就能脱离真机运行。
+ * 回调都是 done(error, result)，error 为错误信息字符串。
+ *
+ * 成绩项的格式：{ openid, nickname, avatarUrl, value }，value 是云端存的字符串，没有这项时为 null
+ */
+
+/**
+ * 取出 KVDataList 里 key 对应的值，没有时为 null
+ */
+function pickValue(KVDataList, key) {
+  var list = KVDataList || [];
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].key === key) {
+      return list[i].value;
+    }
+  }
+  return null;
+}
+
+function failMessage(res, api) {
+  return res && res.errMsg || api + ':fail';
+}
+
+function toEntries(data, key) {
+  return (data || []).map(function(item) {
+    return {
+      openid: item.openid,
+      nickname: item.nickname,
+      avatarUrl: item.avatarUrl,
+      value: pickValue(item.KVDataList, key)
+    };
+  });
+}
+
+export default class OpenDataApi {
+
+  constructor(wx) {
+    this.wx = wx;
+  }
+
+  /**
+   * 自己在 key 下的值
+   */
+  getUserValue(key, done) {
+    this.wx.getUserCloudStorage({
+      keyList: [key],
+      success: function(res) {
+        done(null, pickValue(res.KVDataList, key));
+      },
+      fail: function(res) {
+        done(failMessage(res, 'getUserCloudStorage'));
+      }
+    });
+  }
+
+  /**
+   * 写入自己的数据，kvList 为 [{ key, value }]，value 必须是字符串
+   */
+  setUserValues(kvList, done) {
+    this.wx.setUserCloudStorage({
+      KVDataList: kvList,
+      success: function() {
+        done(null);
+      },
+      fail: function(res) {
+        done(failMessage(res, 'setUserCloudStorage'));
+      }
+    });
+  }
+
+  removeUserKeys(keys, done) {
+    this.wx.removeUserCloudStorage({
+      keyList: keys,
+      success: function() {
+        done(null);
+      },
+      fail: function(res) {
+        done(failMessage(res, 'removeUserCloudStorage'));
+      }
+    });
+  }
+
+  /**
+   * 同玩好友的成绩，包括自己
+   */
+  getFriendEntries(key, done) {
+    this.wx.getFriendCloudStorage({
+      keyList: [key],
+      success: function(res) {
+        done(null, toEntries(res.data, key));
+      },
+      fail: function(res) {
+        done(failMessage(res, 'getFriendCloudStorage'));
+      }
+    });
+  }
+
+  /**
+   * 群里玩过的人的成绩，shareTicket 来自群分享卡片
+   */
+  getGroupEntries(shareTicket, key, done) {
+    if (typeof this.wx.getGroupCloudStorage !== 'function') {
+      done('getGroupCloudStorage:fail not supported');
+      return;
+    }
+    this.wx.getGroupCloudStorage({
+      shareTicket: shareTicket,
+      keyList: [key],
+      success: function(res) {
+        done(null, toEntries(res.data, key));
+      },
+      fail: function(res) {
+        done(failMessage(res, 'getGroupCloudStorage'));
+      }
+    });
+  }
+
+  /**
+   * 自己的信息 { openId, nickName, avatarUrl }，拿不到时为 null
+   */
+  getSelf(done) {
+    if (typeof this.wx.getUserInfo !== 'function') {
+      done(null, null);
+      return;
+    }
+    this.wx.getUserInfo({
+      openIdList: ['selfOpenId'],
+      success: function(res) {
+        done(null, res.data && res.data[0] || null);
+      },
+      fail: function(res) {
+        done(failMessage(res, 'getUserInfo'));
+      }
+    });
+  }
+
+}
@@ -0,0 +1,29 @@
+/**
+ * 几个视图共用的绘制函数
+ */
+
+/**
+ * 截断放不下的文字，末尾加省略号
+ */
+export function fitText(context, text, maxWidth) {
+  text = text + '';
+  if (context.measureText(text).width <= maxWidth) {
+    return text;
+  }
+  while (text.length > 0 && context.measureText(text + '…').width > maxWidth) {
+    text = text.slice(0, -1);
+  }
+  return text + '…';
+}
+
+/**
+ * 画头像，没加载好时画个占位
+ */
+export function drawAvatar(context, image, x, y, size) {
+  if (image) {
+    context.drawImage(image, x, y, size, size);
+  } else {
+    context.fillStyle = "rgba(255,255,255,0.2)";
+    context.fillRect(x, y, size, size);
+  }
+}
@@ -0,0 +1,173 @@
+import CanvasView from './CanvasView.js'
+import Leaderboard from './Leaderboard.js'
+import NextFriendView from './NextFriendView.js'
+import ComparisonCard from './ComparisonCard.js'
+import { Actions } from './protocol.js'
+import { rank, compare } from './ranking.js'
+import { decodeRecord, scoreOf } from './record.js'
+import CloudRecordStore from './CloudRecordStore.js'
+import { t } from './locales.js'
+
+// 这些消息成功时由对应的视图自己画好了，不用 CanvasView 再画
+var SELF_DRAWN = [
+  Actions.SHOW_RANKING_LIST,
+  Actions.SHOW_GROUP_RANKING,
+  Actions.RANKING_TOUCH,
+  Actions.SHOW_NEXT_FRIEND,
+  Actions.SHOW_COMPARISON
+];
+
+// 提交成绩的结果不画出来，免得盖住正在显示的卡片，失败的原因记在 Dispatcher 的状态里
+var SILENT = [Actions.SUBMIT_SCORE];
+
+/**
+ * 云端存的是 record.js 格式的记录，取出按 field 排名用的成绩作为 value，原始记录放在 record 里
+ */
+function toScores(entries, field) {
+  var now = Date.now();
+  return entries.map(function(entry) {
+    var record = decodeRecord(entry.value);
+    return Object.assign({}, entry, { value: scoreOf(record, field, now), record: record });
+  });
+}
+
+/**
+ * 注册所有消息的处理函数，视图都画在 canvas 上
+ *
+ * 云存储和用户信息都通过 api 读取（接口见 OpenDataApi），传入 MockOpenDataApi 就能不依赖真实数据。
+ * 同一时间只显示一个视图，显示新的之前先把其它的隐藏，免得头像加载完时画到别人上面。
+ * options.staleKeys 是已经不用的云存储 key，提交成绩时顺便删掉。
+ */
+export default function registerHandlers(dispatcher, api, canvas, options) {
+  options = options || {};
+  var view = new CanvasView(canvas);
+  var leaderboard = new Leaderboard(canvas);
+  var nextFriend = new NextFriendView(canvas);
+  var card = new ComparisonCard(canvas);
+  var views = [leaderboard, nextFriend, card];
+  var store = new CloudRecordStore(api, options.staleKeys);
+
+  // 追赶提示每得一次分就会请求，好友成绩按 key 缓存，其它读好友成绩的消息顺便刷新
+  var friendCache = {};
+
+  function hideAllBut(shown) {
+    views.forEach(function(item) {
+      if (item !== shown) {
+        item.hide();
+      }
+    });
+  }
+
+  function isSelf(entry) {
+    return leaderboard.isSelf(entry);
+  }
+
+  function getFriends(key, useCache, done) {
+    if (useCache && friendCache[key]) {
+      done(null, friendCache[key]);
+      return;
+    }
+    api.getFriendEntries(key, function(error, entries) {
+      if (!error) {
+        friendCache[key] = entries;
+      }
+      done(error, entries);
+    });
+  }
+
+  dispatcher.onStatus = function(status) {
+    if (SILENT.indexOf(status.action) !== -1 || status.state === 'ok' && SELF_DRAWN.indexOf(status.action) !== -1) {
+      return;
+    }
+    hideAllBut(null);
+    view.render(status);
+  };
+
+  // 自己的信息，用来在排行榜里高亮自己、比较时排除自己
+  api.getSelf(function(error, self) {
+    if (self) {
+      leaderboard.setSelf(self);
+    }
+  });
+
+  /**
+   * 结果为 { key, value, week, record }，value 是历史最好成绩，week 是本周最好成绩
+   */
+  dispatcher.register(Actions.GET_SCORE, function(payload, done) {
+    store.read(payload.key, function(error, record) {
+      done(error, error ? null : {
+        key: payload.key,
+        value: scoreOf(record, 'best'),
+        week: scoreOf(record, 'week', Date.now()),
+        record: record
+      });
+    });
+  });
+
+  dispatcher.register(Actions.GET_FRIEND_SCORE, function(payload, done) {
+    getFriends(payload.key, false, function(error, entries) {
+      done(error, error ? null : { key: payload.key, list: toScores(entries, 'best') });
+    });
+  });
+
+  dispatcher.register(Actions.SUBMIT_SCORE, function(payload, done) {
+    store.submit(payload.key, payload.score, payload.best, payload.mode, payload.rule, function(error, result) {
+      // 自己的成绩变了，追赶提示下次重新取好友成绩
+      if (result && result.changed) {
+        delete friendCache[payload.key];
+      }
+      done(error, result);
+    });
+  });
+
+  /**
+   * 排好序的成绩交给排行榜，结果为 { key, order, field, page, pageSize, total, pages, scrollY, list }
+   */
+  function showRanking(payload, emptyText, done) {
+    return function(error, entries) {
+      if (error) {
+        done(error);
+        return;
+      }
+      hideAllBut(leaderboard);
+      leaderboard.show(rank(toScores(entries, payload.field), payload.order), payload.page, payload.pageSize, emptyText);
+      done(null, Object.assign({ key: payload.key, order: payload.order, field: payload.field }, leaderboard.getState()));
+    };
+  }
+
+  dispatcher.register(Actions.SHOW_RANKING_LIST, function(payload, done) {
+    getFriends(payload.key, false, showRanking(payload, t('ranking.friendsEmpty'), done));
+  });
+
+  dispatcher.register(Actions.SHOW_GROUP_RANKING, function(payload, done) {
+    api.getGroupEntries(payload.shareTicket, payload.key, showRanking(payload, t('ranking.groupEmpty'), done));
+  });
+
+  dispatcher.register(Actions.RANKING_TOUCH, function(payload, done) {
+    // 排行榜没显示时 handleTouch 什么也不做
+    leaderboard.handleTouch(payload.type, payload.x, payload.y);
+    done(null, leaderboard.getState());
+  });
+
+  /**
+   * 结果为 ranking.compare 的返回值加上 key
+   */
+  function showComparison(target, useCache) {
+    return function(payload, done) {
+      getFriends(payload.key, useCache, function(error, entries) {
+        if (error) {
+          done(error);
+          return;
+        }
+        var scores = toScores(entries, 'best');
+        var result = Object.assign({ key: payload.key }, compare(scores, payload.score, payload.order, isSelf));
+        hideAllBut(target);
+        target.show(result);
+        done(null, result);
+      });
+    };
+  }
+
+  dispatcher.register(Actions.SHOW_NEXT_FRIEND, showComparison(nextFriend, true));
+  dispatcher.register(Actions.SHOW_COMPARISON, showComparison(card, false));
+}
@@ -0,0 +1,99 @@
+/**
+ * 开放数据域画在 sharedCanvas 上的字
+ *
+ * 开放数据域不能 require 主域的 js/config/locales.js，这里单独一份，写法相同：
+ * 值可以带 {name} 占位符，区分单复数时写成 { zero, one, other }，按 count 参数选。
+ * 用哪种语言由主域在每条消息的 locale 字段里带过来（见 protocol.js），
+ * 没有对应的表时用中文，英文表缺的 key 也显示中文。
+ */
+var tables = {
+  zh: {
+    'score.none': '无',
+    'score.mine': '{key}: {value}',
+    'score.week': '本周: {value}',
+    'score.friend': '{name}: {value}',
+    'error.title': '出错了: {action}',
+
+    'ranking.friendsEmpty': '暂无好友成绩',
+    'ranking.groupEmpty': '群里还没有人玩过',
+    'ranking.prev': '上一页',
+    'ranking.next': '下一页',
+
+    'friend.first': '好友中第一!',
+    'friend.none': '还没有好友成绩',
+    'friend.gap': '还差 {gap} 分超过',
+
+    'comparison.score': '本局 {score} 分',
+    'comparison.rank': '好友排名 第 {rank} / {total}',
+    'comparison.passed': '超过了 {count} 位好友',
+    'comparison.invite': '快邀请好友一起玩',
+    'comparison.gap': '距 {name} 还差 {gap} 分'
+  },
+
+  en: {
+    'score.none': 'none',
+    'score.mine': '{key}: {value}',
+    'score.week': 'This week: {value}',
+    'score.friend': '{name}: {value}',
+    'error.title': 'Error: {action}',
+
+    'ranking.friendsEmpty': 'No friend scores yet',
+    'ranking.groupEmpty': 'Nobody in this group has played yet',
+    'ranking.prev': 'Prev',
+    'ranking.next': 'Next',
+
+    'friend.first': 'Top of your friends!',
+    'friend.none': 'No friend scores yet',
+    'friend.gap': '{gap} to pass',
+
+    'comparison.score': 'Score {score}',
+    'comparison.rank': 'Rank {rank} of {total} friends',
+    'comparison.passed': { zero: 'No friends passed yet', one: 'Passed 1 friend', other: 'Passed {count} friends' },
+    'comparison.invite': 'Invite your friends to play',
+    'comparison.gap': '{gap} behind {name}'
+  }
+};
+
+var FALLBACK = 'zh';
+var current = FALLBACK;
+
+/**
+ * 切换语言，zh_CN 这样带地区的先找整个 key 再找语言部分，都没有时用中文
+ */
+export function setLocale(locale) {
+  locale = String(locale).toLowerCase().replace('-', '_');
+  current = tables[locale] ? locale : tables[locale.split('_')[0]] ? locale.split('_')[0] : FALLBACK;
+}
+
+export function getLocale() {
+  return current;
+}
+
+/**
+ * 取 key 对应的字符串，params 里的值替换 {name} 占位符；两张表都没有时原样返回 key
+ */
+export function t(key, params) {
+  var value = tables[current][key];
+  if (value === undefined) {
+    value = tables[FALLBACK][key];
+  }
+  if (value === undefined) {
+    return key;
+  }
+  params = params || {};
+  if (typeof value === 'object') {
+    value = plural(value, params.count);
+  }
+  return String(value).replace(/\{(\w+)\}/g, function(match, name) {
+    return params[name] !== undefined ? String(params[name]) : match;
+  });
+}
+
+function plural(forms, count) {
+  if (count === 0 && forms.zero !== undefined) {
+    return forms.zero;
+  }
+  // 目前只有英文分单复数
+  var form = current === 'en' && count === 1 ? 'one' : 'other';
+  return forms[form] !== undefined ? forms[form] : forms.other;
+}
@@ -0,0 +1,138 @@
+/**
+ * 主域和开放数据域之间的消息协议
+ *
+ * 消息格式：
+ * {
+ *   v: 1,                        // 协议版本，不一致的消息直接报错
+ *   id: 3,                       // 主域生成的序号，状态按它记录
+ *   locale: 'en',                // 主域当前的语言，开放数据域按它选 locales.js 里的字，可以不传
+ *   action: 'SHOW_RANKING_LIST',
+ *   payload: { key: 'planeScore', page: 0, pageSize: 10, order: 'desc' }
+ * }
+ *
+ * order 为 desc 时分数高的排前面，asc 时分数低的排前面（比如用时）。
+ *
+ * 发送方是主域的 js/open/OpenDataClient.js。开放数据域的文件主域不能 require，
+ * 所以那边单独写了一份 VERSION 和 action 名，改这里时记得一起改。
+ */
+export var VERSION = 1;
+
+export var Actions = {
+  GET_SCORE: 'GET_SCORE',
+  GET_FRIEND_SCORE: 'GET_FRIEND_SCORE',
+  SHOW_RANKING_LIST: 'SHOW_RANKING_LIST',
+  // 主域转发的触摸，用来拖动和翻页排行榜
+  RANKING_TOUCH: 'RANKING_TOUCH',
+  // 群排行，shareTicket 由主域从群分享卡片的启动参数里拿到
+  SHOW_GROUP_RANKING: 'SHOW_GROUP_RANKING',
+  // 分数刚好比 score 高的那个好友，游戏中提示还差多少分超过他
+  SHOW_NEXT_FRIEND: 'SHOW_NEXT_FRIEND',
+  // 一局结束后和好友比较的结算卡片
+  SHOW_COMPARISON: 'SHOW_COMPARISON',
+  // 提交一局的成绩，按 rule 和云端的记录合并，格式见 record.js
+  SUBMIT_SCORE: 'SUBMIT_SCORE'
+};
+
+// 语言 key，比如 zh、en、zh_cn
+var LOCALE = /^[A-Za-z]{2,3}([_-][A-Za-z]{2,4})?$/;
+
+// 参数定义：type 为 string | integer | number | enum，没传时用 default，required 的必须传
+var KEY = { type: 'string', pattern: /^[A-Za-z_][A-Za-z0-9_]{0,31}$/, default: 'score' };
+var PAGE = { type: 'integer', min: 0, default: 0 };
+var PAGE_SIZE = { type: 'integer', min: 1, max: 50, default: 10 };
+var ORDER = { type: 'enum', values: ['desc', 'asc'], default: 'desc' };
+var TOUCH_TYPE = { type: 'enum', values: ['start', 'move', 'end'], required: true };
+var COORDINATE = { type: 'number', required: true };
+var SHARE_TICKET = { type: 'string', required: true };
+var SCORE = { type: 'number', required: true };
+// 主域本地记的最好成绩，云端的 best 没写上时借它补上
+var BEST = { type: 'number' };
+var MODE = { type: 'string', pattern: /^[A-Za-z0-9_]{1,16}$/, default: '' };
+var RULE = { type: 'enum', values: ['max', 'min', 'latest'], default: 'max' };
+// 按历史最好还是本周最好排名
+var FIELD = { type: 'enum', values: ['best', 'week'], default: 'best' };
+
+var schemas = {
+  GET_SCORE: { key: KEY },
+  GET_FRIEND_SCORE: { key: KEY },
+  SHOW_RANKING_LIST: { key: KEY, page: PAGE, pageSize: PAGE_SIZE, order: ORDER, field: FIELD },
+  RANKING_TOUCH: { type: TOUCH_TYPE, x: COORDINATE, y: COORDINATE },
+  SHOW_GROUP_RANKING: { shareTicket: SHARE_TICKET, key: KEY, page: PAGE, pageSize: PAGE_SIZE, order: ORDER, field: FIELD },
+  SHOW_NEXT_FRIEND: { key: KEY, score: SCORE, order: ORDER },
+  SHOW_COMPARISON: { key: KEY, score: SCORE, order: ORDER },
+  SUBMIT_SCORE: { key: KEY, score: SCORE, best: BEST, mode: MODE, rule: RULE }
+};
+
+function checkField(name, rule, value, errors) {
+  if (value === undefined) {
+    if (rule.required) {
+      errors.push(name + ' is required');
+    }
+    return rule.default;
+  }
+
+  switch (rule.type) {
+  case 'string':
+    if (typeof value !== 'string' || !value) {
+      errors.push(name + ' must be a non-empty string');
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(name + ' must match ' + rule.pattern);
+    }
+    break;
+  case 'integer':
+    if (typeof value !== 'number' || Math.floor(value) !== value) {
+      errors.push(name + ' must be an integer');
+    } else if (value < rule.min || value > rule.max) {
+      errors.push(name + ' out of range');
+    }
+    break;
+  case 'number':
+    if (typeof value !== 'number' || !isFinite(value)) {
+      errors.push(name + ' must be a number');
+    }
+    break;
+  case 'enum':
+    if (rule.values.indexOf(value) === -1) {
+      errors.push(name + ' must be one of ' + rule.values.join(', '));
+    }
+    break;
+  }
+
+  return value;
+}
+
+/**
+ * 校验消息，返回 { errors, payload }；payload 为补齐默认值后的参数，有错误时不可用
+ */
+export function validate(message) {
+  var errors = [];
+  var payload = {};
+
+  if (!message || typeof message !== 'object') {
+    return { errors: ['message must be an object'], payload: payload };
+  }
+  if (message.v !== VERSION) {
+    return { errors: ['unsupported protocol version ' + message.v + ', expected ' + VERSION], payload: payload };
+  }
+
+  if (message.locale !== undefined && !(typeof message.locale === 'string' && LOCALE.test(message.locale))) {
+    return { errors: ['locale must match ' + LOCALE], payload: payload };
+  }
+
+  var schema = schemas[message.action];
+  if (!schema) {
+    return { errors: ['unknown action ' + message.action], payload: payload };
+  }
+
+  var input = message.payload || {};
+  for (var name in input) {
+    if (!schema[name]) {
+      errors.push('unknown field ' + name);
+    }
+  }
+  for (var field in schema) {
+    payload[field] = checkField(field, schema[field], input[field], errors);
+  }
+
+  return { errors: errors, payload: payload };
+}
@@ -0,0 +1,72 @@
+/**
+ * 排名计算，排行榜、追赶提示和结算卡片共用
+ *
+ * order 为 desc 时分数高的排前面，asc 时分数低的排前面。
+ */
+
+function valueOf(entry) {
+  return parseFloat(entry.value);
+}
+
+/**
+ * a 的分数是否排在 b 前面（不含相等）
+ */
+function ahead(a, b, order) {
+  return order === 'asc' ? a < b : a > b;
+}
+
+/**
+ * 去掉没有这项成绩的，按分数排好序并带上名次 rank
+ */
+export function rank(entries, order) {
+  var sign = order === 'asc' ? 1 : -1;
+  var ranked = entries.filter(function(entry) {
+    return entry.value !== null && !isNaN(valueOf(entry));
+  }).sort(function(a, b) {
+    return sign * (valueOf(a) - valueOf(b));
+  });
+
+  ranked.forEach(function(entry, i) {
+    entry.rank = i + 1;
+  });
+  return ranked;
+}
+
+/**
+ * 拿 score 和除自己以外的好友比较：
+ * {
+ *   score,
+ *   rank,    // score 在好友里能排第几，同分的并列
+ *   total,   // 参与排名的人数，包括自己
+ *   passed,  // 分数比 score 低的好友数
+ *   next,    // 刚好排在 score 前面的好友，已经第一时为 null
+ *   gap      // 和 next 差多少分
+ * }
+ */
+export function compare(entries, score, order, isSelf) {
+  var friends = rank(entries.filter(function(entry) {
+    return !isSelf(entry);
+  }), order);
+  var next = null;
+  var passed = 0;
+
+  friends.forEach(function(entry) {
+    var value = valueOf(entry);
+    if (ahead(value, score, order)) {
+      // 排在前面的里面最后一个就是离得最近的
+      next = entry;
+    } else if (ahead(score, value, order)) {
+      passed++;
+    }
+  });
+
+  var before = next ? next.rank : 0;
+  return {
+    score: score,
+    rank: before + 1,
+    total: friends.length + 1,
+    passed: passed,
+    next: next,
+    gap: next ? Math.abs(valueOf(next) - score) : 0
+  };
+}
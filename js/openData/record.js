@@ -0,0 +1,145 @@
+/**
+ * 云端成绩记录的格式和合并规则
+ *
+ * 每个 key 存一条 JSON：
+ * {
+ *   v: 1,
+ *   best: 120,             // 历史最好成绩
+ *   week: 80,              // 本周最好成绩，跨周后作废
+ *   weekStart: 1539532800000, // week 所在周的周一零点（本地时间）
+ *   mode: 'normal',        // 打出 best 时的玩法
+ *   updateTime: 1539600000000
+ * }
+ *
+ * 旧版本直接存数字字符串，读的时候当作只有 best 的记录。
+ * rule 决定新成绩什么时候覆盖旧的：max 越大越好，min 越小越好（比如用时），latest 总是用最新的。
+ */
+export var RECORD_VERSION = 1;
+
+export var RULES = ['max', 'min', 'latest'];
+
+/**
+ * now 所在周的周一零点
+ */
+export function weekStart(now) {
+  var date = new Date(now);
+  var day = (date.getDay() + 6) % 7;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - day).getTime();
+}
+
+/**
+ * 把云端的字符串解析成记录，没有值或者解析不了时为 null
+ */
+export function decodeRecord(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  // 旧格式 v 记为 0，下次提交时改写成新格式
+  var number = Number(value);
+  if (!isNaN(number)) {
+    return { v: 0, best: number, week: null, weekStart: 0, mode: '', updateTime: 0 };
+  }
+  var data;
+  try {
+    data = JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data.best !== 'number') {
+    return null;
+  }
+  return {
+    v: data.v || 0,
+    best: data.best,
+    week: typeof data.week === 'number' ? data.week : null,
+    weekStart: data.weekStart || 0,
+    mode: data.mode || '',
+    updateTime: data.updateTime || 0
+  };
+}
+
+export function encodeRecord(record) {
+  return JSON.stringify(record);
+}
+
+/**
+ * 一局的成绩作为一条记录
+ */
+export function createRecord(score, mode, now) {
+  return { v: RECORD_VERSION, best: score, week: score, weekStart: weekStart(now), mode: mode || '', updateTime: now };
+}
+
+/**
+ * 按 rule 判断 value 能不能覆盖 old
+ */
+export function wins(rule, value, old) {
+  if (old === null || old === undefined) {
+    return value !== null && value !== undefined;
+  }
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (rule === 'min') {
+    return value < old;
+  }
+  if (rule === 'latest') {
+    return true;
+  }
+  return value > old;
+}
+
+/**
+ * 记录里本周的成绩，不是本周的算没有
+ */
+export function weekScore(record, now) {
+  return record && record.weekStart === weekStart(now) ? record.week : null;
+}
+
+/**
+ * 按 field（best | week）取记录里用来排名的成绩
+ */
+export function scoreOf(record, field, now) {
+  if (!record) {
+    return null;
+  }
+  return field === 'week' ? weekScore(record, now) : record.best;
+}
+
+/**
+ * 把 incoming 合并进 old，返回 { record, changed }；old 为 null 时直接用 incoming
+ */
+export function mergeRecords(old, incoming, rule, now) {
+  if (!old) {
+    return { record: incoming, changed: true };
+  }
+
+  var record = Object.assign({}, old);
+  var changed = false;
+
+  if (wins(rule, incoming.best, old.best) && incoming.best !== old.best) {
+    record.best = incoming.best;
+    record.mode = incoming.mode;
+    changed = true;
+  }
+
+  // 跨周后旧的周成绩作废
+  var oldWeek = weekScore(old, now);
+  var newWeek = weekScore(incoming, now);
+  if (oldWeek === null && old.week !== null) {
+    record.week = null;
+    record.weekStart = 0;
+    changed = true;
+  }
+  if (wins(rule, newWeek, oldWeek) && newWeek !== oldWeek) {
+    record.week = newWeek;
+    record.weekStart = incoming.weekStart;
+    changed = true;
+  }
+
+  if (changed || old.v !== RECORD_VERSION) {
+    record.v = RECORD_VERSION;
+    record.updateTime = now;
+    changed = true;
+  }
+  return { record: record, changed: changed };
+}
@@ -1,42 +1,45 @@
 import Phaser from '../libs/phaser-wx.js';
+import TextLayout from './TextLayout.js';
+import RichText from '../objects/RichText.js';
 
 Phaser.Plugin.ChineseTextPlugin = function(game, parent) {
   Phaser.Plugin.call(this, game, parent);
+  this.textLayout = new TextLayout();
 }
 
 Phaser.Plugin.ChineseTextPlugin.prototype = Object.create(Phaser.Plugin.prototype);
 Phaser.Plugin.ChineseTextPlugin.prototype.constructor = Phaser.Plugin.ChineseTextPlugin;
 
+/**
+ * 排版，不创建显示对象，参数和返回值见 TextLayout
+ */
+Phaser.Plugin.ChineseTextPlugin.prototype.layout = function(str, style) {
+  return this.textLayout.layout(str, style);
+}
+
+/**
+ * 按宽度折行后返回 Phaser.Text，中文没有空格也能换行，原有的空格保留。
+ * style.wordWrap 和 style.wordWrapWidth 都设置了才折行，style.maxLines 限制行数
+ */
 Phaser.Plugin.ChineseTextPlugin.prototype.forceWrap = function(x, y, str, style) {
-  
-  var newStr = "";
-  
-  if(style.wordWrap && style.wordWrapWidth) {
-    var tmp = this.game.add.text(x, y, str, style);
-    
-    var ratio = tmp.width / style.wordWrapWidth;
-    var i = 0, j = 0;
-    while(i < str.length) {
-      tmp.text = str.substring(j, i);
-      if(tmp.width > style.wordWrapWidth) {
-        newStr += str.substring(j, i - 1);
-        newStr += " ";
-        j = i - 1;
-        i = j;
-      } else {
-        i = i + 1;
-      }
-    }
-    newStr += str.substring(j, str.length);
-    tmp.destroy();
-  } else {
-    newStr = str;
-  }
-  
-  var text = this.game.add.text(x, y, newStr, style);
+
+  var newStr = this.layout(str, Object.assign({}, style, { markup: false })).text;
+
+  // 已经折好行，不再让 Phaser 按空格折一遍
+  var text = this.game.add.text(x, y, newStr, Object.assign({}, style, { wordWrap: false }));
   return text;
-  
+
 }
 
-export default Phaser.Plugin.ChineseTextPlugin;
+/**
+ * 带标记的富文本，比如 '[color=#ffde00]金色[/color][size=24]大字[/size][b]粗体[/b]'，返回加到 world 的 RichText
+ */
+Phaser.Plugin.ChineseTextPlugin.prototype.richText = function(x, y, str, style) {
 
+  var text = new RichText(this.game, x, y, str, style);
+  this.game.world.add(text);
+  return text;
+
+}
+
+export default Phaser.Plugin.ChineseTextPlugin;
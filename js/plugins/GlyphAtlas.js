@@ -0,0 +1,203 @@
+import PIXI from '../libs/pixi-wx.js';
+import Phaser from '../libs/phaser-wx.js';
+
+// 默认参数，创建时传的 options 覆盖这里
+var DEFAULTS = {
+  // 图集尺寸，像素。2 倍屏上 32px 的字大约能放 160 个
+  width: 1024,
+  height: 1024,
+  // 格子之间留的空隙，避免缩放时采到隔壁的字
+  padding: 2
+};
+
+/**
+ * 动态字形图集：用到哪个字才用系统字体把它画进 BitmapData，并注册成 Phaser.Cache 里的 bitmap font，
+ * Phaser.BitmapText 按 key 就能显示任意中文
+ *
+ * 图集按字号分成等大的格子，满了以后淘汰最久没用的字（LRU）。正在显示的字用 retain / release 计数，
+ * 计数不为 0 的字不会被淘汰；格子全被占着时新字画不进去，BitmapText 会显示成空格，dropped 加一。
+ * 高分屏下按 game.resolution 倍的字号画，BitmapText 按逻辑字号缩小显示，所以不发虚。
+ * 按 UTF-16 编码单元处理，和 Phaser.BitmapText 的 charCodeAt 一致，emoji 之类的代理对不支持。
+ */
+export default class GlyphAtlas {
+
+  constructor(game, key, style, options) {
+    this.game = game;
+    this.key = key;
+    this.options = Object.assign({}, DEFAULTS, options);
+
+    var match = /(\d+(?:\.\d+)?)px\s*(.*)/.exec(style.font || '');
+    // 逻辑字号，GlyphText 默认按这个大小显示
+    this.size = match ? parseFloat(match[1]) : 32;
+    this.rasterSize = Math.ceil(this.size * (game.resolution || 1));
+    var prefix = match ? style.font.substring(0, match.index) : '';
+    this.font = prefix + this.rasterSize + 'px ' + (match && match[2] || 'Arial');
+    this.fill = style.fill || '#ffffff';
+
+    var padding = this.options.padding;
+    this.cellWidth = Math.ceil(this.rasterSize * 1.1) + padding * 2;
+    this.cellHeight = Math.ceil(this.rasterSize * 1.25) + padding * 2;
+    this.columns = Math.floor(this.options.width / this.cellWidth);
+    this.capacity = this.columns * Math.floor(this.options.height / this.cellHeight);
+
+    this.bmd = game.make.bitmapData(this.options.width, this.options.height);
+    // 字 -> { cell, refs }，Map 的顺序就是最近使用的顺序，最前面的最久没用
+    this.glyphs = new Map();
+    this.free = [];
+    for (var i = this.capacity - 1; i >= 0; i--) {
+      this.free.push(i);
+    }
+    // 淘汰掉的字数，和格子满了没画进去的字数；后者不为 0 说明图集太小，或者有文字没 release
+    this.evicted = 0;
+    this.dropped = 0;
+
+    this.register();
+    // 找不到的字 BitmapText 会换成空格，空格要一直留着
+    this.retain(' ');
+  }
+
+  /**
+   * 注册到 Phaser.Cache，已经画好的字一起带上
+   */
+  register() {
+    var old = this.data && this.data.font.chars;
+    this.game.cache.addBitmapFont(this.key, null, this.bmd.canvas, {
+      font: {
+        info: { _face: this.font, _size: this.rasterSize },
+        common: { _lineHeight: this.cellHeight - this.options.padding * 2 },
+        chars: { char: [] }
+      }
+    }, 'json');
+    this.data = this.game.cache.getBitmapFont(this.key);
+    if (old) {
+      for (var code in old) {
+        old[code].texture = new PIXI.Texture(this.data.base, old[code].texture.frame);
+        this.data.font.chars[code] = old[code];
+      }
+    }
+  }
+
+  /**
+   * 确保 text 里的字都在图集里，并标记为刚用过
+   */
+  require(text) {
+    var chars = unique(text);
+    for (var i = 0; i < chars.length; i++) {
+      this.touch(chars[i]);
+    }
+  }
+
+  /**
+   * 开始显示 text，里面的字在 release 之前不会被淘汰
+   */
+  retain(text) {
+    var chars = unique(text);
+    for (var i = 0; i < chars.length; i++) {
+      // 边准备边计数，同一段文字里后面的字不会把前面的挤掉
+      var glyph = this.touch(chars[i]);
+      if (glyph) {
+        glyph.refs++;
+      }
+    }
+  }
+
+  release(text) {
+    var chars = unique(text);
+    for (var i = 0; i < chars.length; i++) {
+      var glyph = this.glyphs.get(chars[i]);
+      if (glyph && glyph.refs > 0) {
+        glyph.refs--;
+      }
+    }
+  }
+
+  touch(char) {
+    var glyph = this.glyphs.get(char);
+    if (!glyph) {
+      return this.add(char);
+    }
+    this.glyphs.delete(char);
+    this.glyphs.set(char, glyph);
+    return glyph;
+  }
+
+  add(char) {
+    var cell = this.free.length ? this.free.pop() : this.evict();
+    if (cell < 0) {
+      this.dropped++;
+      return null;
+    }
+
+    var padding = this.options.padding;
+    var x = (cell % this.columns) * this.cellWidth;
+    var y = Math.floor(cell / this.columns) * this.cellHeight;
+    var ctx = this.bmd.ctx;
+
+    ctx.clearRect(x, y, this.cellWidth, this.cellHeight);
+    ctx.font = this.font;
+    ctx.fillStyle = this.fill;
+    ctx.textBaseline = 'alphabetic';
+    var advance = ctx.measureText(char).width;
+    ctx.fillText(char, x + padding, y + padding + this.rasterSize);
+
+    var width = Math.max(1, Math.min(Math.ceil(advance), this.cellWidth - padding * 2));
+    var height = this.cellHeight - padding * 2;
+    this.data.font.chars[char.charCodeAt(0)] = {
+      x: x + padding,
+      y: y + padding,
+      width: width,
+      height: height,
+      xOffset: 0,
+      yOffset: 0,
+      xAdvance: advance,
+      kerning: {},
+      texture: new PIXI.Texture(this.data.base, new Phaser.Rectangle(x + padding, y + padding, width, height))
+    };
+    this.data.base.dirty();
+    this.bmd.dirty = true;
+
+    var glyph = { cell: cell, refs: 0 };
+    this.glyphs.set(char, glyph);
+    return glyph;
+  }
+
+  /**
+   * 淘汰最久没用、又没有在显示的字，返回空出来的格子，没有可淘汰的返回 -1
+   */
+  evict() {
+    for (var entry of this.glyphs) {
+      if (entry[1].refs === 0) {
+        this.glyphs.delete(entry[0]);
+        delete this.data.font.chars[entry[0].charCodeAt(0)];
+        this.evicted++;
+        return entry[1].cell;
+      }
+    }
+    return -1;
+  }
+
+  destroy() {
+    if (this.game.cache.checkBitmapFontKey(this.key)) {
+      this.game.cache.removeBitmapFont(this.key);
+    }
+    this.bmd.destroy();
+    this.glyphs.clear();
+  }
+
+}
+
+/**
+ * 去掉重复的字和换行
+ */
+function unique(text) {
+  var seen = {};
+  var chars = [];
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+    if (char !== '\n' && char !== '\r' && !seen[char]) {
+      seen[char] = true;
+      chars.push(char);
+    }
+  }
+  return chars;
+}
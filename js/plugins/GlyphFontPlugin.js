@@ -0,0 +1,61 @@
+import Phaser from '../libs/phaser-wx.js';
+import GlyphAtlas from './GlyphAtlas.js';
+import GlyphText from '../objects/GlyphText.js';
+
+/**
+ * 管理动态字形图集，每个 key 一张图集，同时也是 Phaser.Cache 里 bitmap font 的 key
+ *
+ *   game.glyphFonts = game.plugins.add(GlyphFontPlugin);
+ *   game.glyphFonts.add('score', { font: "32px Arial", fill: "#ffffff" });
+ *   var scoreText = game.glyphFonts.text(10, 10, 'score', '得分：0');
+ *   scoreText.text = '得分：' + score;
+ *
+ * 频繁改动的文字用它代替 Phaser.Text：改字只是换几个精灵的纹理，不用重画整张文字纹理。
+ * 图集不随 state 切换清掉，同一个 key 在不同 state 里可以接着用。
+ */
+export default class GlyphFontPlugin extends Phaser.Plugin {
+
+  init() {
+    this.atlases = {};
+  }
+
+  /**
+   * 创建图集，key 已经存在时直接返回原来的。style 只用到 font 和 fill，options 见 GlyphAtlas
+   */
+  add(key, style, options) {
+    var atlas = this.atlases[key];
+    if (!atlas) {
+      atlas = this.atlases[key] = new GlyphAtlas(this.game, key, style, options);
+    } else if (!this.game.cache.checkBitmapFontKey(key)) {
+      // 缓存被清过（比如 state.start 的 clearCache），重新注册
+      atlas.register();
+    }
+    return atlas;
+  }
+
+  get(key) {
+    var atlas = this.atlases[key];
+    if (!atlas) {
+      throw new Error('Unknown glyph font "' + key + '", add it with game.glyphFonts.add first');
+    }
+    return atlas;
+  }
+
+  /**
+   * 创建 GlyphText 并加到 world，size 默认为图集的字号
+   */
+  text(x, y, key, text, size, align) {
+    var glyphText = new GlyphText(this.game, x, y, key, text, size, align);
+    this.game.world.add(glyphText);
+    return glyphText;
+  }
+
+  destroy() {
+    for (var key in this.atlases) {
+      this.atlases[key].destroy();
+    }
+    this.atlases = {};
+    super.destroy();
+  }
+
+}
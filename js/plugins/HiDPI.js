@@ -0,0 +1,194 @@
+import PIXI from '../libs/pixi-wx.js';
+import Phaser from '../libs/phaser-wx.js';
+
+// hiDPI 为 true 时的分辨率上限，再高的屏幕多出来的像素肉眼分不出，只会多占内存
+var MAX_RESOLUTION = 3;
+
+var installed = false;
+
+/**
+ * 高分屏适配：backing canvas 按 pixelRatio 放大，文字和 BitmapData 按同样的分辨率生成纹理
+ *
+ *   var game = new Phaser.Game(HiDPI.config({ width: 375, height: 667, renderer: Phaser.CANVAS, canvas: canvas, hiDPI: true }));
+ *
+ * hiDPI 为 true 时用 wx.getSystemInfoSync().pixelRatio（不超过 MAX_RESOLUTION），为数字时把它当上限，
+ * 不传或为 false 时和原来一样按 1 倍画。游戏坐标、触摸坐标、width/height 都还是逻辑像素，
+ * Phaser.Touch 换算指针位置只看 ScaleManager 的缩放比例，和 canvas 的实际像素数无关。
+ *
+ * PIXI 2.2.9 的 Canvas 渲染器只给 Graphics、TilingSprite 乘了分辨率，Sprite 靠纹理像素和分辨率的比例去凑，
+ * 于是高分辨率纹理的 frame 只能记纹理像素，Text 的 width、getBounds、点击范围都会大 resolution 倍。
+ * 这里改成统一放大渲染变换，frame、crop 记逻辑像素，取纹理时再乘纹理自己的 resolution。
+ * 染色（tint）只对 resolution 为 1 的纹理正确。
+ */
+var HiDPI = {
+
+  /**
+   * 处理 Phaser.Game 的配置，返回新的配置对象，hiDPI 换成 Phaser 认识的 resolution
+   */
+  config(config) {
+    var options = Object.assign({}, config);
+    var hiDPI = options.hiDPI;
+    delete options.hiDPI;
+    HiDPI.install();
+    if (hiDPI) {
+      options.resolution = HiDPI.resolution(hiDPI === true ? MAX_RESOLUTION : hiDPI);
+    }
+    return options;
+  },
+
+  /**
+   * 设备像素比，不超过 max
+   */
+  resolution(max) {
+    var info = wx.getSystemInfoSync();
+    var ratio = info.pixelRatio || info.devicePixelRatio || 1;
+    return Math.max(1, Math.min(ratio, max || MAX_RESOLUTION));
+  },
+
+  /**
+   * 打补丁，只需要一次，在创建 Phaser.Game 之前调用；分辨率为 1 时补丁的效果和原版一样
+   */
+  install() {
+    if (installed) {
+      return;
+    }
+    installed = true;
+
+    PIXI.Sprite.prototype._renderCanvas = renderSprite;
+
+    var updateTexture = Phaser.Text.prototype.updateTexture;
+    Phaser.Text.prototype.updateTexture = function() {
+      updateTexture.call(this);
+      if (this._res !== 1) {
+        useLogicalSize(this.texture, this.canvas.width / this._res, this.canvas.height / this._res);
+        this._width = this.texture.frame.width;
+        this._height = this.texture.frame.height;
+      }
+    };
+
+    var resize = Phaser.BitmapData.prototype.resize;
+    Phaser.BitmapData.prototype.resolution = 1;
+    Phaser.BitmapData.prototype.resize = function(width, height) {
+      if (this.resolution === 1) {
+        return resize.call(this, width, height);
+      }
+      return resizeBitmapData(this, width, height);
+    };
+
+    /**
+     * 按 resolution 倍生成纹理，之后 ctx、circle、rect 等照常用逻辑像素画；
+     * getPixel、update 之类读像素的方法拿到的是纹理像素
+     */
+    Phaser.BitmapData.prototype.setResolution = function(resolution) {
+      this.resolution = resolution || 1;
+      return resizeBitmapData(this, this.width, this.height);
+    };
+  }
+
+};
+
+/**
+ * frame、crop 改成逻辑像素，baseTexture 仍是 canvas 的实际尺寸
+ */
+function useLogicalSize(texture, width, height) {
+  texture.frame.width = texture.crop.width = texture.width = width;
+  texture.frame.height = texture.crop.height = texture.height = height;
+}
+
+function resizeBitmapData(bmd, width, height) {
+  var resolution = bmd.resolution;
+  bmd.width = width;
+  bmd.height = height;
+
+  bmd.canvas.width = Math.ceil(width * resolution);
+  bmd.canvas.height = Math.ceil(height * resolution);
+  if (bmd._swapCanvas !== undefined) {
+    bmd._swapCanvas.width = bmd.canvas.width;
+    bmd._swapCanvas.height = bmd.canvas.height;
+  }
+
+  bmd.baseTexture.width = bmd.canvas.width;
+  bmd.baseTexture.height = bmd.canvas.height;
+  bmd.baseTexture.resolution = resolution;
+  bmd.textureFrame.width = width;
+  bmd.textureFrame.height = height;
+  useLogicalSize(bmd.texture, width, height);
+
+  // 改 canvas 尺寸会重置变换
+  bmd.context.setTransform(resolution, 0, 0, resolution, 0, 0);
+
+  bmd.update();
+  bmd.dirty = true;
+  return bmd;
+}
+
+/**
+ * PIXI.Sprite.prototype._renderCanvas 的替换：变换整体乘 renderSession.resolution，
+ * 按逻辑像素的 frame 摆放，按纹理自己的 resolution 从源图取像素
+ */
+function renderSprite(renderSession, matrix) {
+  var texture = this.texture;
+  if (!this.visible || this.alpha === 0 || !this.renderable || texture.crop.width <= 0 || texture.crop.height <= 0) {
+    return;
+  }
+
+  var wt = matrix || this.worldTransform;
+  var context = renderSession.context;
+
+  if (this.blendMode !== renderSession.currentBlendMode) {
+    renderSession.currentBlendMode = this.blendMode;
+    context.globalCompositeOperation = PIXI.blendModesCanvas[renderSession.currentBlendMode];
+  }
+
+  if (this._mask) {
+    renderSession.maskManager.pushMask(this._mask, renderSession);
+  }
+
+  if (texture.valid) {
+    var resolution = renderSession.resolution;
+    var ratio = texture.baseTexture.resolution || 1;
+
+    context.globalAlpha = this.worldAlpha;
+
+    if (renderSession.smoothProperty && renderSession.scaleMode !== texture.baseTexture.scaleMode) {
+      renderSession.scaleMode = texture.baseTexture.scaleMode;
+      context[renderSession.smoothProperty] = (renderSession.scaleMode === PIXI.scaleModes.LINEAR);
+    }
+
+    var dx = texture.trim ? texture.trim.x - this.anchor.x * texture.trim.width : this.anchor.x * -texture.frame.width;
+    var dy = texture.trim ? texture.trim.y - this.anchor.y * texture.trim.height : this.anchor.y * -texture.frame.height;
+
+    var tx = (wt.tx * resolution) + renderSession.shakeX;
+    var ty = (wt.ty * resolution) + renderSession.shakeY;
+
+    if (renderSession.roundPixels) {
+      context.setTransform(wt.a * resolution, wt.b * resolution, wt.c * resolution, wt.d * resolution, tx | 0, ty | 0);
+      dx |= 0;
+      dy |= 0;
+    } else {
+      context.setTransform(wt.a * resolution, wt.b * resolution, wt.c * resolution, wt.d * resolution, tx, ty);
+    }
+
+    var crop = texture.crop;
+    if (this.tint !== 0xFFFFFF) {
+      if (texture.requiresReTint || this.cachedTint !== this.tint) {
+        this.tintedTexture = PIXI.CanvasTinter.getTintedTexture(this, this.tint);
+        this.cachedTint = this.tint;
+        texture.requiresReTint = false;
+      }
+      context.drawImage(this.tintedTexture, 0, 0, crop.width, crop.height, dx, dy, crop.width, crop.height);
+    } else {
+      context.drawImage(texture.baseTexture.source, crop.x * ratio, crop.y * ratio, crop.width * ratio, crop.height * ratio, dx, dy, crop.width, crop.height);
+    }
+  }
+
+  for (var i = 0; i < this.children.length; i++) {
+    this.children[i]._renderCanvas(renderSession);
+  }
+
+  if (this._mask) {
+    renderSession.maskManager.popMask(renderSession);
+  }
+}
+
+export default HiDPI;
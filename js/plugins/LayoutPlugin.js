@@ -0,0 +1,165 @@
+import Phaser from '../libs/phaser-wx.js';
+
+// 默认参数，add 时传的 options 覆盖这里
+var DEFAULTS = {
+  // 设计尺寸，letterbox 模式下游戏始终是这个大小
+  width: 375,
+  height: 667,
+  // letterbox：SHOW_ALL 等比缩放，上下或左右留边；expand：RESIZE，游戏尺寸跟屏幕一样大；
+  // auto：屏幕比例和设计比例相差不到 tolerance 时用 letterbox，否则 expand
+  mode: 'auto',
+  tolerance: 0.05
+};
+
+// 锚点名对应安全区里的相对位置
+var ANCHORS = {
+  'top-left': { x: 0, y: 0 },
+  'top-center': { x: 0.5, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'center-left': { x: 0, y: 0.5 },
+  'center': { x: 0.5, y: 0.5 },
+  'center-right': { x: 1, y: 0.5 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom-center': { x: 0.5, y: 1 },
+  'bottom-right': { x: 1, y: 1 }
+};
+
+/**
+ * 屏幕适配：按屏幕比例选缩放模式，算出刘海、圆角、底部横条以外的安全区，
+ * 界面元素按锚点摆放，不用写死坐标
+ *
+ *   game.layout = game.plugins.add(LayoutPlugin, { mode: 'auto' });
+ *   game.layout.place(arrowBack, 'top-left', 26, 26);
+ *   var point = game.layout.anchor('bottom-center', 0, -26);
+ *
+ * 安全区来自 wx.getSystemInfoSync().safeArea（屏幕坐标），换算成游戏坐标；
+ * 基础库太旧没有 safeArea 时只避开状态栏。place 过的对象在尺寸变化时自动重新摆放，销毁后自动忘掉。
+ */
+export default class LayoutPlugin extends Phaser.Plugin {
+
+  init(options) {
+    this.options = Object.assign({}, DEFAULTS, options);
+    this.info = wx.getSystemInfoSync();
+    this.placed = [];
+
+    // 重新算过安全区后派发，参数为 (layout)
+    this.onChange = new Phaser.Signal();
+
+    this.mode = this.pickMode();
+    var scale = this.game.scale;
+    if (this.mode === 'expand') {
+      scale.scaleMode = Phaser.ScaleManager.RESIZE;
+    } else {
+      scale.scaleMode = Phaser.ScaleManager.SHOW_ALL;
+      scale.pageAlignHorizontally = true;
+      scale.pageAlignVertically = true;
+    }
+    scale.onSizeChange.add(this.refresh, this);
+    scale.refresh();
+    this.refresh();
+  }
+
+  pickMode() {
+    var options = this.options;
+    if (options.mode !== 'auto') {
+      return options.mode;
+    }
+    var screen = this.info.screenHeight / this.info.screenWidth;
+    var design = options.height / options.width;
+    return Math.abs(screen - design) / design <= options.tolerance ? 'letterbox' : 'expand';
+  }
+
+  /**
+   * 屏幕上游戏画面所在的矩形，屏幕坐标
+   */
+  viewport() {
+    var width = this.info.screenWidth;
+    var height = this.info.screenHeight;
+    if (this.mode === 'expand') {
+      return new Phaser.Rectangle(0, 0, width, height);
+    }
+    var ratio = Math.min(width / this.game.width, height / this.game.height);
+    return new Phaser.Rectangle((width - this.game.width * ratio) / 2, (height - this.game.height * ratio) / 2, this.game.width * ratio, this.game.height * ratio);
+  }
+
+  /**
+   * 重新算安全区（游戏坐标）并摆放所有 place 过的对象
+   */
+  refresh() {
+    var info = this.info;
+    var safe = info.safeArea || {
+      left: 0,
+      top: info.statusBarHeight || 0,
+      right: info.screenWidth,
+      bottom: info.screenHeight
+    };
+    var view = this.viewport();
+    var sx = this.game.width / view.width;
+    var sy = this.game.height / view.height;
+
+    // 留边模式下安全区可能超出游戏画面，裁到画面以内
+    var left = Phaser.Math.clamp((safe.left - view.x) * sx, 0, this.game.width);
+    var top = Phaser.Math.clamp((safe.top - view.y) * sy, 0, this.game.height);
+    var right = Phaser.Math.clamp((safe.right - view.x) * sx, 0, this.game.width);
+    var bottom = Phaser.Math.clamp((safe.bottom - view.y) * sy, 0, this.game.height);
+    this.safe = new Phaser.Rectangle(left, top, right - left, bottom - top);
+
+    this.placed = this.placed.filter(function(entry) {
+      return !!entry.target.game;
+    });
+    for (var i = 0; i < this.placed.length; i++) {
+      this.apply(this.placed[i]);
+    }
+
+    this.onChange.dispatch(this);
+  }
+
+  /**
+   * 安全区，游戏坐标
+   */
+  safeArea() {
+    return this.safe.clone();
+  }
+
+  /**
+   * 锚点在游戏坐标里的位置，再偏移 (dx, dy)。name 见 ANCHORS，比如 'top-left'、'bottom-center'
+   */
+  anchor(name, dx, dy) {
+    var anchor = ANCHORS[name];
+    if (!anchor) {
+      throw new Error('Unknown layout anchor "' + name + '", expected one of ' + Object.keys(ANCHORS).join(', '));
+    }
+    return new Phaser.Point(
+      this.safe.x + this.safe.width * anchor.x + (dx || 0),
+      this.safe.y + this.safe.height * anchor.y + (dy || 0)
+    );
+  }
+
+  /**
+   * 把 target 摆到锚点位置，之后屏幕尺寸变化时跟着移动，返回 target
+   */
+  place(target, name, dx, dy) {
+    var entry = { target: target, name: name, dx: dx || 0, dy: dy || 0 };
+    // 切换 state 时旧界面的对象都销毁了（game 为 null），趁新界面摆放时一起清掉
+    this.placed = this.placed.filter(function(item) {
+      return item.target !== target && !!item.target.game;
+    });
+    this.placed.push(entry);
+    this.apply(entry);
+    return target;
+  }
+
+  apply(entry) {
+    var point = this.anchor(entry.name, entry.dx, entry.dy);
+    entry.target.x = point.x;
+    entry.target.y = point.y;
+  }
+
+  destroy() {
+    this.game.scale.onSizeChange.remove(this.refresh, this);
+    this.onChange.dispose();
+    this.placed = [];
+    super.destroy();
+  }
+
+}
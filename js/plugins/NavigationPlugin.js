@@ -0,0 +1,145 @@
+import Phaser from '../libs/phaser-wx.js';
+
+/**
+ * 导航历史，在 TransitionPlugin 上面记录走过的 state，返回时回到真正的上一个界面
+ *
+ *   game.navigator = game.plugins.add(NavigationPlugin, game.transition);
+ *   game.navigator.push('submenu', { effect: 'slide' }, category);
+ *   game.navigator.back({ effect: 'slide', direction: 'right' }, 'menu');
+ *
+ * 每条历史是 {key, args, view}：args 是当时传给 init 的参数，view 是离开时 state.getViewState() 的返回值。
+ * 返回到某个 state 时，它在 create 里用 navigator.viewState() 取回 view 恢复页码等界面状态。
+ * 不经过这里直接调用 game.state.start 的切换（比如 preload 跳到正式场景）只更新当前 state，不进历史。
+ */
+export default class NavigationPlugin extends Phaser.Plugin {
+
+  init(transition) {
+    this.transition = transition;
+    this.stack = [];
+    this.current = null;
+    // 下一个 state 要恢复的界面状态 {key, view}
+    this.pending = null;
+    // 由这里发起、还没切换过去的 state key
+    this.expected = null;
+
+    this.game.state.onStateChange.add(this.stateChanged, this);
+  }
+
+  /**
+   * 进入新的 state，当前 state 连同界面状态记进历史。返回是否开始了切换
+   */
+  push(key, options) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    var from = this.current;
+    var state = this.game.state.getCurrentState();
+
+    if (!this.go(key, options, args, null)) {
+      return false;
+    }
+    if (from) {
+      this.stack.push({
+        key: from.key,
+        args: from.args,
+        view: state && state.getViewState ? state.getViewState() : null
+      });
+    }
+    return true;
+  }
+
+  /**
+   * 替换当前 state，历史不变，比如重看录像
+   */
+  replace(key, options) {
+    return this.go(key, options, Array.prototype.slice.call(arguments, 2), null);
+  }
+
+  /**
+   * 回到历史里的上一个 state；没有历史时（比如从分享链接直接进来）去 key 指定的上级，参数跟在后面
+   */
+  back(options, key) {
+    var entry = this.stack[this.stack.length - 1];
+
+    if (entry) {
+      if (!this.go(entry.key, options, entry.args, entry.view)) {
+        return false;
+      }
+      this.stack.pop();
+      return true;
+    }
+
+    if (key === undefined) {
+      return false;
+    }
+    return this.go(key, options, Array.prototype.slice.call(arguments, 2), null);
+  }
+
+  canGoBack() {
+    return this.stack.length > 0;
+  }
+
+  /**
+   * 直接设置历史，entries 为 [{key, args, view}]，从底到顶
+   */
+  reset(entries) {
+    this.stack = (entries || []).map(function(entry) {
+      return { key: entry.key, args: entry.args || [], view: entry.view || null };
+    });
+  }
+
+  /**
+   * 当前 state 在 create 里调用，取回返回时要恢复的界面状态，没有时返回 null
+   */
+  viewState() {
+    var pending = this.pending;
+    if (pending && pending.key === this.game.state.current) {
+      this.pending = null;
+      return pending.view;
+    }
+    return null;
+  }
+
+  /**
+   * 分页的 state 在 create 里调用，取回界面状态换算成页码（从 1 开始）。
+   * view 为 {page} 或 {focus: key}，后者用于从分享链接直接进来时翻到 items 里 key 对应那项所在的页
+   */
+  viewPage(items, pageSize, pageCount) {
+    var view = this.viewState();
+    var page = 1;
+    if (view && view.page) {
+      page = view.page;
+    } else if (view && view.focus) {
+      for (var i = 0; i < items.length; i++) {
+        if (items[i].key === view.focus) {
+          page = Math.floor(i / pageSize) + 1;
+        }
+      }
+    }
+    return Phaser.Math.clamp(page, 1, Math.max(pageCount, 1));
+  }
+
+  go(key, options, args, view) {
+    if (!this.transition.start.apply(this.transition, [key, options].concat(args))) {
+      return false;
+    }
+    this.expected = key;
+    this.current = { key: key, args: args };
+    this.pending = view ? { key: key, view: view } : null;
+    return true;
+  }
+
+  stateChanged(key) {
+    if (key === this.expected) {
+      this.expected = null;
+    } else if (!this.current || key !== this.current.key) {
+      // 别处直接 start 的，参数拿不到，只记 key
+      this.current = { key: key, args: [] };
+      this.pending = null;
+    }
+  }
+
+  destroy() {
+    this.game.state.onStateChange.remove(this.stateChanged, this);
+    super.destroy();
+  }
+
+}
@@ -0,0 +1,339 @@
+import Phaser from '../libs/phaser-wx.js';
+
+// 行首禁则：这些字符不能出现在行首，和前一个字一起换行
+var NO_START = '，。、．：；！？）」』】〕〉》’”…—～·ー々ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ,.:;!?)]}%';
+// 行尾禁则：这些字符不能出现在行尾，和后一个字一起换行
+var NO_END = '（「『【〔〈《‘“([{$¥￥';
+// 拉丁文里可以在这些字符后面断开，比如网址、连字符、代码里的点号
+var BREAK_AFTER = '-/.,';
+var ELLIPSIS = '…';
+
+// 标记语法：[color=#ff0000]…[/color]、[size=20]…[/size]、[b]…[/b]，可以嵌套；
+// 不配对或参数不对的标记原样显示
+var TAG = /\[(\/?)(color|size|b)(?:=([^\]]*))?\]/g;
+
+// 测量缓存的条目上限，超过后整体清空
+var CACHE_LIMIT = 5000;
+
+// 行高是最大字号的倍数，基线在行顶往下一个字号处
+var LINE_HEIGHT = 1.25;
+
+/**
+ * 中英文混排的文字排版：按字折行，拉丁单词不拆开，遵守行首行尾禁则，
+ * 支持行内颜色、字号、粗体标记，超过 maxLines 时末行加省略号
+ *
+ *   var layout = new TextLayout();
+ *   var result = layout.layout('[b]提示[/b]：点击屏幕开始', { font: "16px Arial", fill: "#ffffff", wordWrap: true, wordWrapWidth: 200, maxLines: 2 });
+ *
+ * style 和 Phaser.Text 的一样，另外：
+ *   markup       是否解析标记，默认 false
+ *   maxLines     最多几行，0 为不限
+ *   lineSpacing  行间距，像素
+ * 返回 { lines, width, height, truncated, text }，lines 的每一行为
+ * { runs: [{ text, style, x, width }], x, y, baseline, width, height }，坐标相对于排版区域左上角；
+ * text 是折好行的纯文本，用 \n 分行。
+ * 宽度用 canvas 的 measureText 测量并按字体缓存，同样的字不会重复测量。
+ */
+export default class TextLayout {
+
+  constructor() {
+    this.context = Phaser.Canvas.create(this, 1, 1).getContext('2d');
+    this.cache = {};
+    this.cacheSize = 0;
+  }
+
+  layout(text, style) {
+    style = style || {};
+    var base = this.baseStyle(style);
+    var maxWidth = style.wordWrap && style.wordWrapWidth || 0;
+    var units = this.breakUnits(this.parse(String(text), base, !!style.markup));
+
+    var lines = [];
+    var line = { glyphs: [], width: 0, wrapped: false };
+    for (var i = 0; i < units.length; i++) {
+      var unit = units[i];
+      if (unit.newline) {
+        lines.push(line);
+        line = { glyphs: [], width: 0, wrapped: false };
+        continue;
+      }
+      // 自动换行后，行首的空格去掉
+      if (unit.space && line.wrapped && !line.glyphs.length) {
+        continue;
+      }
+      var pieces = maxWidth && unit.width > maxWidth ? this.splitUnit(unit, maxWidth) : [unit];
+      for (var j = 0; j < pieces.length; j++) {
+        var piece = pieces[j];
+        if (maxWidth && !piece.space && line.glyphs.length && line.width + piece.width > maxWidth) {
+          lines.push(line);
+          line = { glyphs: [], width: 0, wrapped: true };
+        }
+        Array.prototype.push.apply(line.glyphs, piece.glyphs);
+        line.width += piece.width;
+      }
+    }
+    lines.push(line);
+
+    var truncated = false;
+    if (style.maxLines > 0 && lines.length > style.maxLines) {
+      lines.length = style.maxLines;
+      this.ellipsize(lines[lines.length - 1], maxWidth, base);
+      truncated = true;
+    }
+
+    return this.position(lines, style, base, maxWidth, truncated);
+  }
+
+  /**
+   * 文字拆成一个个字，每个字带上它的样式
+   */
+  parse(text, base, markup) {
+    var glyphs = [];
+    var stack = [base];
+    var last = 0;
+    var push = function(str, style) {
+      var chars = Array.from(str);
+      for (var i = 0; i < chars.length; i++) {
+        glyphs.push({ char: chars[i], style: style });
+      }
+    };
+
+    if (markup) {
+      var match;
+      TAG.lastIndex = 0;
+      while ((match = TAG.exec(text))) {
+        var current = stack[stack.length - 1];
+        var closing = !!match[1];
+        var next = closing ? null : this.applyTag(current, match[2], match[3]);
+        if (closing ? current.tag !== match[2] : !next) {
+          continue;
+        }
+        push(text.substring(last, match.index), current);
+        last = TAG.lastIndex;
+        if (closing) {
+          stack.pop();
+        } else {
+          stack.push(next);
+        }
+      }
+    }
+    push(text.substring(last), stack[stack.length - 1]);
+    return glyphs;
+  }
+
+  baseStyle(style) {
+    var match = /(?:(bold|normal|\d00)\s+)?(\d+(?:\.\d+)?)px\s*(.*)/.exec(style.font || '');
+    return this.makeStyle({
+      tag: null,
+      weight: match && match[1] || 'normal',
+      size: match ? parseFloat(match[2]) : 16,
+      family: match && match[3] || 'Arial',
+      fill: style.fill || '#000000'
+    });
+  }
+
+  applyTag(style, name, value) {
+    var next = Object.assign({}, style, { tag: name });
+    if (name === 'color') {
+      if (!value) {
+        return null;
+      }
+      next.fill = value;
+    } else if (name === 'size') {
+      next.size = parseFloat(value);
+      if (!(next.size > 0)) {
+        return null;
+      }
+    } else {
+      if (value !== undefined) {
+        return null;
+      }
+      next.weight = 'bold';
+    }
+    return this.makeStyle(next);
+  }
+
+  makeStyle(style) {
+    style.font = style.weight + ' ' + style.size + 'px ' + style.family;
+    return style;
+  }
+
+  /**
+   * 分成不能再拆的单位：一个汉字、一个拉丁单词（或单词里 BREAK_AFTER 断开的一段）、一个空格或一个换行。
+   * 禁则字符和相邻的字并成一个单位，于是不会单独落在行首或行尾
+   */
+  breakUnits(glyphs) {
+    var units = [];
+    var last = null;
+    for (var i = 0; i < glyphs.length; i++) {
+      var glyph = glyphs[i];
+      var char = glyph.char;
+      if (char === '\n') {
+        last = { newline: true };
+        units.push(last);
+        continue;
+      }
+      if (char === ' ' || char === '\t') {
+        last = { space: true, glyphs: [glyph] };
+        units.push(last);
+        continue;
+      }
+      var prev = last && last.glyphs && !last.space ? last.glyphs[last.glyphs.length - 1].char : null;
+      if (prev && (NO_START.indexOf(char) >= 0 || NO_END.indexOf(prev) >= 0 || !isCJK(char) && !isCJK(prev) && !canBreakAfter(prev, char))) {
+        last.glyphs.push(glyph);
+      } else {
+        last = { glyphs: [glyph] };
+        units.push(last);
+      }
+    }
+    for (var j = 0; j < units.length; j++) {
+      if (!units[j].newline) {
+        units[j].width = this.width(units[j].glyphs);
+      }
+    }
+    return units;
+  }
+
+  /**
+   * 一个单位比整行还宽（很长的单词、网址）时只能按字硬拆
+   */
+  splitUnit(unit, maxWidth) {
+    var pieces = [];
+    var piece = { glyphs: [], width: 0 };
+    for (var i = 0; i < unit.glyphs.length; i++) {
+      var glyph = unit.glyphs[i];
+      var width = this.measure(glyph.style.font, glyph.char);
+      if (piece.glyphs.length && piece.width + width > maxWidth) {
+        pieces.push(piece);
+        piece = { glyphs: [], width: 0 };
+      }
+      piece.glyphs.push(glyph);
+      piece.width += width;
+    }
+    pieces.push(piece);
+    return pieces;
+  }
+
+  /**
+   * 末行去掉放不下的字，补上省略号
+   */
+  ellipsize(line, maxWidth, base) {
+    var glyphs = line.glyphs;
+    var style = glyphs.length ? glyphs[glyphs.length - 1].style : base;
+    var ellipsis = this.measure(style.font, ELLIPSIS);
+    while (glyphs.length && (maxWidth && this.width(glyphs) + ellipsis > maxWidth || /\s/.test(glyphs[glyphs.length - 1].char))) {
+      glyphs.pop();
+    }
+    glyphs.push({ char: ELLIPSIS, style: style });
+  }
+
+  /**
+   * 连续同样式的字合成一段，算出每段的位置，再按 align 排好每一行
+   */
+  position(lines, style, base, maxWidth, truncated) {
+    var result = [];
+    var width = 0;
+    var y = 0;
+    var spacing = style.lineSpacing || 0;
+    var plain = [];
+
+    for (var i = 0; i < lines.length; i++) {
+      var glyphs = lines[i].glyphs;
+      // 行尾的空格不占宽度
+      var end = glyphs.length;
+      while (end > 0 && /\s/.test(glyphs[end - 1].char)) {
+        end--;
+      }
+      var runs = this.runs(glyphs.slice(0, end));
+      // 空行按默认字号算行高
+      var size = glyphs.length ? 0 : base.size;
+      for (var j = 0; j < glyphs.length; j++) {
+        size = Math.max(size, glyphs[j].style.size);
+      }
+      var lineWidth = runs.length ? runs[runs.length - 1].x + runs[runs.length - 1].width : 0;
+      var height = Math.ceil(size * LINE_HEIGHT);
+
+      result.push({ runs: runs, x: 0, y: y, baseline: y + size, width: lineWidth, height: height });
+      plain.push(glyphs.map(function(glyph) {
+        return glyph.char;
+      }).join(''));
+      width = Math.max(width, lineWidth);
+      y += height + spacing;
+    }
+
+    var align = { center: 0.5, right: 1 }[style.align] || 0;
+    if (align && maxWidth) {
+      width = maxWidth;
+    }
+    for (var k = 0; k < result.length; k++) {
+      result[k].x = (width - result[k].width) * align;
+    }
+
+    return {
+      lines: result,
+      width: width,
+      height: Math.max(0, y - spacing),
+      truncated: truncated,
+      text: plain.join('\n')
+    };
+  }
+
+  runs(glyphs) {
+    var runs = [];
+    var x = 0;
+    var run = null;
+    for (var i = 0; i < glyphs.length; i++) {
+      if (!run || run.style !== glyphs[i].style) {
+        if (run) {
+          run.width = this.measure(run.style.font, run.text);
+          x += run.width;
+        }
+        run = { text: '', style: glyphs[i].style, x: x, width: 0 };
+        runs.push(run);
+      }
+      run.text += glyphs[i].char;
+    }
+    if (run) {
+      run.width = this.measure(run.style.font, run.text);
+    }
+    return runs;
+  }
+
+  width(glyphs) {
+    var runs = this.runs(glyphs);
+    return runs.length ? runs[runs.length - 1].x + runs[runs.length - 1].width : 0;
+  }
+
+  measure(font, text) {
+    var key = font + '\n' + text;
+    var width = this.cache[key];
+    if (width === undefined) {
+      if (this.cacheSize >= CACHE_LIMIT) {
+        this.clearCache();
+      }
+      this.context.font = font;
+      width = this.cache[key] = this.context.measureText(text).width;
+      this.cacheSize++;
+    }
+    return width;
+  }
+
+  clearCache() {
+    this.cache = {};
+    this.cacheSize = 0;
+  }
+
+}
+
+function isCJK(char) {
+  var code = char.charCodeAt(0);
+  return code >= 0x2e80 && code <= 0x9fff || code >= 0xac00 && code <= 0xd7af || code >= 0xf900 && code <= 0xfaff ||
+    code >= 0xff00 && code <= 0xffef || code >= 0x3000 && code <= 0x303f;
+}
+
+/**
+ * 小数点、千分位后面是数字时不断开
+ */
+function canBreakAfter(prev, char) {
+  return BREAK_AFTER.indexOf(prev) >= 0 && !(/[0-9]/.test(char) && /[.,]/.test(prev));
+}
@@ -0,0 +1,226 @@
+import Phaser from '../libs/phaser-wx.js';
+
+// 默认参数，start 时传的 options 覆盖这里
+var DEFAULTS = {
+  // 离开和进入的效果：fade | slide | circle | none，effect 同时设置两者
+  out: 'fade',
+  in: 'fade',
+  // 每一段的毫秒数
+  duration: 250,
+  color: 0x000000,
+  // slide 的方向，新场景从哪边推进来：left 表示遮罩从右往左扫过
+  direction: 'left',
+  // circle 的圆心，默认屏幕中间
+  x: undefined,
+  y: undefined,
+  // 是否在下一个 state 的 preload 期间显示加载进度，可以是函数 (key) => boolean
+  loading: false,
+  clearWorld: true,
+  clearCache: false
+};
+
+var SLIDE = {
+  left: { x: 1, y: 0 },
+  right: { x: -1, y: 0 },
+  up: { x: 0, y: 1 },
+  down: { x: 0, y: -1 }
+};
+
+/**
+ * 带转场效果的 state 切换，包装 game.state.start
+ *
+ *   game.transition = game.plugins.add(TransitionPlugin, { loading: function(key) { ... } });
+ *   game.transition.start('submenu', { effect: 'slide', direction: 'left' }, category);
+ *
+ * 流程：out 效果把屏幕盖住 → 切换 state → 需要的话显示加载进度直到新 state create 完 → in 效果揭开。
+ * 遮罩挂在 stage 上而不是 world 上，切换 state 清空 world 时不受影响；切换时 tween 和计时器都会被清掉，
+ * 所以动画由插件的 update 按真实时间推进。整个过程关闭输入，转场中再调用 start 会被忽略。
+ */
+export default class TransitionPlugin extends Phaser.Plugin {
+
+  init(defaults) {
+    this.defaults = Object.assign({}, DEFAULTS, defaults);
+    this.phase = null;
+    this.elapsed = 0;
+    this.options = null;
+    this.request = null;
+    this.switched = false;
+
+    // 开始、结束时派发，参数为目标 state 的 key
+    this.onStart = new Phaser.Signal();
+    this.onComplete = new Phaser.Signal();
+
+    this.layer = new Phaser.Group(this.game, this.game.stage, 'transition');
+    this.cover = new Phaser.Graphics(this.game, 0, 0);
+    this.bar = new Phaser.Graphics(this.game, 0, 0);
+    this.percent = new Phaser.Text(this.game, this.game.width / 2, this.game.height / 2 + 24, '', { font: "16px Arial", fill: "#ffffff" });
+    this.percent.anchor.setTo(0.5, 0.5);
+    this.layer.add(this.cover);
+    this.layer.add(this.bar);
+    this.layer.add(this.percent);
+    this.layer.visible = false;
+
+    this.game.state.onStateChange.add(this.stateChanged, this);
+  }
+
+  isBusy() {
+    return this.phase !== null;
+  }
+
+  /**
+   * 和 game.state.start(key, clearWorld, clearCache, ...args) 一样切换 state，options 见 DEFAULTS
+   * 返回是否开始了转场
+   */
+  start(key, options) {
+    if (this.isBusy()) {
+      return false;
+    }
+
+    options = Object.assign({}, this.defaults, options);
+    if (options.effect) {
+      options.out = options.in = options.effect;
+    }
+    if (typeof options.loading === 'function') {
+      options.loading = options.loading(key);
+    }
+
+    this.options = options;
+    this.request = [key, options.clearWorld, options.clearCache].concat(Array.prototype.slice.call(arguments, 2));
+    this.phase = 'out';
+    this.elapsed = 0;
+    this.inputWasEnabled = this.game.input.enabled;
+    this.game.input.enabled = false;
+    this.layer.visible = true;
+    this.onStart.dispatch(key);
+    this.draw(0);
+    return true;
+  }
+
+  /**
+   * 目标 state 的 create 里可能马上又切到别的 state（比如 planePreload → planeGame），
+   * 所以不比较 key，只要切换过并且当前 state 已经 create 完就算到了
+   */
+  stateChanged() {
+    if (this.phase === 'switch') {
+      this.switched = true;
+    }
+  }
+
+  update() {
+    if (!this.isBusy()) {
+      return;
+    }
+
+    var state = this.game.state;
+    this.elapsed += this.game.time.elapsedMS;
+
+    if (this.phase === 'out') {
+      var covered = this.elapsed / this.options.duration;
+      this.draw(Math.min(covered, 1));
+      if (covered >= 1) {
+        this.phase = 'switch';
+        this.switched = false;
+        state.start.apply(state, this.request);
+      }
+    } else if (this.phase === 'switch') {
+      // 新 state 的 create 执行完才揭开，preload 期间按需显示进度
+      if (this.switched && state.created) {
+        this.phase = 'in';
+        this.elapsed = 0;
+        this.drawProgress(-1);
+      } else if (this.options.loading) {
+        this.drawProgress(this.game.load.progress);
+      }
+    } else if (this.phase === 'in') {
+      var revealed = this.elapsed / this.options.duration;
+      this.draw(Math.max(1 - revealed, 0));
+      if (revealed >= 1) {
+        this.finish();
+      }
+    }
+  }
+
+  finish() {
+    var key = this.request[0];
+    this.phase = null;
+    this.request = null;
+    this.layer.visible = false;
+    this.cover.clear();
+    this.game.input.enabled = this.inputWasEnabled;
+    this.onComplete.dispatch(key);
+  }
+
+  /**
+   * 按覆盖程度画遮罩，amount 为 0 时完全露出，为 1 时完全盖住
+   */
+  draw(amount) {
+    var options = this.options;
+    var effect = this.phase === 'in' ? options.in : options.out;
+    var width = this.game.width;
+    var height = this.game.height;
+    var eased = Phaser.Easing.Quadratic.InOut(amount);
+    var cover = this.cover;
+
+    cover.clear();
+    cover.alpha = 1;
+    if (effect === 'none') {
+      return;
+    }
+
+    cover.beginFill(options.color);
+    if (effect === 'slide') {
+      // 出场时从一侧扫进来，进场时继续往另一侧扫出去
+      var slide = SLIDE[options.direction] || SLIDE.left;
+      var sign = this.phase === 'in' ? -1 : 1;
+      cover.drawRect(sign * slide.x * width * (1 - eased), sign * slide.y * height * (1 - eased), width, height);
+    } else if (effect === 'circle') {
+      var x = options.x === undefined ? width / 2 : options.x;
+      var y = options.y === undefined ? height / 2 : options.y;
+      // 半径要够盖住离圆心最远的角
+      var radius = Math.sqrt(Math.pow(Math.max(x, width - x), 2) + Math.pow(Math.max(y, height - y), 2));
+      cover.drawCircle(x, y, radius * 2 * eased);
+    } else {
+      cover.alpha = eased;
+      cover.drawRect(0, 0, width, height);
+    }
+    cover.endFill();
+  }
+
+  /**
+   * 画加载进度条，progress 为 0~100，小于 0 时清掉
+   */
+  drawProgress(progress) {
+    var bar = this.bar;
+    bar.clear();
+
+    if (progress < 0) {
+      this.percent.text = '';
+      return;
+    }
+
+    var width = this.game.width * 0.6;
+    var x = (this.game.width - width) / 2;
+    var y = this.game.height / 2 - 4;
+
+    bar.beginFill(0xffffff, 0.3);
+    bar.drawRect(x, y, width, 8);
+    bar.endFill();
+    bar.beginFill(0xffffff);
+    bar.drawRect(x, y, width * progress / 100, 8);
+    bar.endFill();
+
+    this.percent.text = progress + '%';
+  }
+
+  destroy() {
+    if (this.isBusy()) {
+      this.game.input.enabled = this.inputWasEnabled;
+    }
+    this.game.state.onStateChange.remove(this.stateChanged, this);
+    this.onStart.dispose();
+    this.onComplete.dispose();
+    this.layer.destroy();
+    super.destroy();
+  }
+
+}
@@ -1,7 +1,8 @@
 import Phaser from '../libs/phaser-wx.js';
+import Examples from '../config/Examples.js';
 
 export default class AnimationState extends Phaser.State {
-	
+
 	constructor(game) {
 		super();
 		this.game = game;
@@ -9,7 +10,34 @@ export default class AnimationState extends Phaser.State {
 
 	create() {
 		console.log('animation')
-		this.game.state.start('menu');
+		if(!this.deepLink(wx.getLaunchOptionsSync().query || {})) {
+			this.game.state.start('menu');
+		}
+	}
+
+	/**
+	 * 启动参数带了 example 或 category 时直接打开对应的示例或分类，
+	 * 历史里补上主菜单和子菜单并翻到它们所在的页，返回时和一路点进来的一样
+	 */
+	deepLink(query) {
+		var example = Examples.getExample(query.example);
+		var category = Examples.getCategory(example ? example.category : query.category);
+		var navigator = this.game.navigator;
+
+		if(!category) {
+			return false;
+		}
+
+		if(example) {
+			navigator.reset([
+				{key: 'menu', view: {focus: category.key}},
+				{key: 'submenu', args: [category], view: {focus: example.key}}
+			]);
+			return navigator.replace(example.key, {}, category.key);
+		}
+
+		navigator.reset([{key: 'menu', view: {focus: category.key}}]);
+		return navigator.replace('submenu', {}, category);
 	}
 
 }
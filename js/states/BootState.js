@@ -1,4 +1,10 @@
 import Phaser from '../libs/phaser-wx.js';
+import TransitionPlugin from '../plugins/TransitionPlugin.js';
+import LayoutPlugin from '../plugins/LayoutPlugin.js';
+import NavigationPlugin from '../plugins/NavigationPlugin.js';
+import ChineseTextPlugin from '../plugins/ChineseTextPlugin.js';
+import GlyphFontPlugin from '../plugins/GlyphFontPlugin.js';
+import Examples from '../config/Examples.js';
 
 export default class BootState extends Phaser.State {
 	
@@ -8,11 +14,28 @@ export default class BootState extends Phaser.State {
 	}
 
 	create() {
-		// this is very important
-		this.scale.scaleMode = Phaser.ScaleManager.EXACT_FIT;
+		// 屏幕适配：按屏幕比例选 SHOW_ALL 或 RESIZE，界面元素按安全区摆放
+		this.game.layout = this.game.plugins.add(LayoutPlugin, { width: this.game.width, height: this.game.height });
 
 		// invalid sound lock
 		this.game.sound.touchLocked = false;
+
+		// 转场插件，声明了资源的示例在加载期间显示进度
+		this.game.transition = this.game.plugins.add(TransitionPlugin, {
+			loading: function(key) {
+				var example = Examples.getExample(key);
+				return !!example && example.assets.length > 0;
+			}
+		});
+
+		// 导航历史，返回时回到上一个界面并恢复页码
+		this.game.navigator = this.game.plugins.add(NavigationPlugin, this.game.transition);
+
+		// 中文按字折行，示例的说明面板用到
+		this.game.chineseText = this.game.plugins.add(ChineseTextPlugin);
+
+		// 动态字形图集，经常变的文字用 BitmapText 显示
+		this.game.glyphFonts = this.game.plugins.add(GlyphFontPlugin);
 		
 		this.game.state.start('preload');
 	}
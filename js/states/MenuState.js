@@ -2,6 +2,9 @@ import Phaser from '../libs/phaser-wx.js';
 import Examples from '../config/Examples.js';
 import ExampleRect from '../objects/ExampleRect.js';
 import Arrow from '../objects/Arrow.js';
+import ScrollView from '../objects/ScrollView.js';
+import Theme from '../config/Theme.js';
+import I18n from '../config/I18n.js';
 
 export default class MenuState extends Phaser.State {
 	
@@ -12,69 +15,115 @@ export default class MenuState extends Phaser.State {
 
 	create() {
 
-		this.game.stage.backgroundColor = '#4851ff';
+		var theme = Theme.get();
+		this.game.stage.backgroundColor = theme.palette.background;
 
-		this.exampleGroup = this.game.add.group();
-		for(var i=0; i<Examples.length; i++) {
-			var exampleRect = new ExampleRect(this.game, 126 + (i % 2) * 126 + Math.floor(i / 10) * 252, 82 + Math.floor(i % 10 / 2) * 126, Examples[i]);
-			exampleRect.addClick(this.clickRect, {state: this, properties: Examples[i]});
-			this.exampleGroup.add(exampleRect);
+		var categories = Examples.getCategories();
+
+		// 每页两列五行，一页宽 252，左右拖动或点箭头翻页，整体在安全区里水平居中
+		var layout = this.game.layout;
+		this.exampleGroup = new ScrollView(this.game, 0, 0, 256, layout.safeArea().height, {direction: 'horizontal', pageSize: 252});
+		layout.place(this.exampleGroup, 'top-center', -128, 0);
+		for(var i=0; i<categories.length; i++) {
+			var exampleRect = new ExampleRect(this.game, 66 + (i % 2) * 126 + Math.floor(i / 10) * 252, 82 + Math.floor(i % 10 / 2) * 126, categories[i]);
+			exampleRect.inputEnabled = true;
+			exampleRect.addClick(this.clickRect, {state: this, properties: categories[i]});
+			this.exampleGroup.addItem(exampleRect);
 		}
 		this.pageSize = 10;
-		this.maxPageSize = Math.ceil(Examples.length / this.pageSize);
-		this.curPage = 1;
-		this.enablePageInput(this.curPage);
-
-		this.mask = this.game.add.graphics(0, 0);
-    this.mask.beginFill(0xffffff);
-    this.mask.drawRect(60, 0, 256, this.game.height);
-    this.exampleGroup.mask = this.mask;
+		this.maxPageSize = this.exampleGroup.pageCount();
+		// 从示例返回时回到离开时的那一页
+		this.curPage = this.game.navigator.viewPage(categories, this.pageSize, this.maxPageSize);
+		this.exampleGroup.scrollToPage(this.curPage, false);
+		this.exampleGroup.onPageChange.add(this.changePage, this);
 
-		this.arrowLeft = new Arrow(this.game, 26, this.game.height / 2, 'arrowLeft');
-		this.arrowRight = new Arrow(this.game, this.game.width - 26, this.game.height / 2, 'arrowRight');
+		this.arrowLeft = layout.place(new Arrow(this.game, 0, 0, 'arrowLeft'), 'center-left', 26, 0);
+		this.arrowRight = layout.place(new Arrow(this.game, 0, 0, 'arrowRight'), 'center-right', -26, 0);
 
 		this.arrowLeft.addClick(this.clickArrow, {state: this, dir: 'left'});
 		this.arrowRight.addClick(this.clickArrow, {state: this, dir: 'right'});
 
 		this.changeArrow(this.curPage);
 
+		// 右上角的搜索入口
+		this.searchText = this.game.add.text(0, 0, '', {});
+		this.searchText.anchor.setTo(1, 0);
+		layout.place(this.searchText, 'top-right', -12, 14);
+		this.searchText.inputEnabled = true;
+		this.searchText.events.onInputUp.add(this.clickSearch, this);
+
+		// 左上角切换主题，控件自己订阅了主题变化，这里只管背景和文字
+		this.themeText = layout.place(this.game.add.text(0, 0, '', {}), 'top-left', 12, 14);
+		this.themeText.inputEnabled = true;
+		this.themeText.events.onInputUp.add(this.clickTheme, this);
+
+		// 搜索下面切换语言，分类名由各个按钮自己订阅了语言变化
+		this.localeText = this.game.add.text(0, 0, '', {});
+		this.localeText.anchor.setTo(1, 0);
+		layout.place(this.localeText, 'top-right', -12, 40);
+		this.localeText.inputEnabled = true;
+		this.localeText.events.onInputUp.add(this.clickLocale, this);
+
+		this.applyTheme(theme);
+		Theme.onChange.add(this.applyTheme, this);
+		I18n.onChange.add(this.applyLocale, this);
+
 	}
 
-	clickArrow() {
-		if(this.dir === 'left') {
-			if(this.state.curPage > 1) {
-				this.state.disablePageInput(this.state.curPage);
-				this.state.curPage--;
-				this.state.enablePageInput(this.state.curPage);
-				this.changeArrow(this.curPage);
-			}
-		} else {
-			if(this.state.curPage < this.state.maxPageSize) {
-				this.state.disablePageInput(this.state.curPage);
-				this.state.curPage++;
-				this.state.enablePageInput(this.state.curPage);
-				this.changeArrow(this.curPage);
-			}
-		}
-		this.state.game.add.tween(this.state.exampleGroup).to({x: - (this.state.curPage - 1) * 252}, 200, "Linear", true);
+	applyTheme(theme) {
+		var style = { font: theme.typography.label, fill: theme.palette.text };
+		this.game.stage.backgroundColor = theme.palette.background;
+		this.searchText.setStyle(style);
+		this.themeText.setStyle(style);
+		this.localeText.setStyle(style);
+		this.applyLocale();
 	}
 
-	clickRect() {
-		this.state.game.state.start('submenu', true, false, this.properties);
+	applyLocale() {
+		this.searchText.text = I18n.t('menu.search');
+		this.themeText.text = I18n.t('menu.theme', {name: I18n.t('theme.' + Theme.get().key)});
+		this.localeText.text = I18n.t('locale.name');
 	}
 
-	enablePageInput(pageNum) {
-		this.changePageInput(pageNum, true);
+	clickTheme() {
+		Theme.next();
 	}
 
-	disablePageInput(pageNum) {
-		this.changePageInput(pageNum, false);
+	clickLocale() {
+		I18n.next();
 	}
 
-	changePageInput(pageNum, enabled) {
-		for(var i = (pageNum - 1) * this.pageSize; i < pageNum * this.pageSize && i < this.exampleGroup.length; i++) {
-			this.exampleGroup.getChildAt(i).inputEnabled = enabled;
+	shutdown() {
+		Theme.onChange.remove(this.applyTheme, this);
+		I18n.onChange.remove(this.applyLocale, this);
+	}
+
+	clickSearch() {
+		this.game.navigator.push('search', {effect: 'slide', direction: 'left'});
+	}
+
+	clickArrow() {
+		this.state.exampleGroup.scrollToPage(this.state.curPage + (this.dir === 'left' ? -1 : 1));
+	}
+
+	changePage(page) {
+		this.curPage = page;
+		this.changeArrow(page);
+	}
+
+	clickRect() {
+		// 拖动翻页时松手不算点击
+		if(!this.state.exampleGroup.isTap()) {
+			return;
 		}
+		this.state.game.navigator.push('submenu', {effect: 'slide', direction: 'left'}, this.properties);
+	}
+
+	/**
+	 * 离开时记下的界面状态，返回时由 navigator 交回 create
+	 */
+	getViewState() {
+		return {page: this.curPage};
 	}
 
 	changeArrow(pageNum) {
@@ -0,0 +1,141 @@
+import Phaser from '../libs/phaser-wx.js';
+import BackToMenuState from '../base/BackToMenuState.js';
+import Examples from '../config/Examples.js';
+import I18n from '../config/I18n.js';
+import CaseRect from '../objects/CaseRect.js';
+import ScrollView from '../objects/ScrollView.js';
+
+var MAX_LENGTH = 20;
+
+/**
+ * 搜索所有注册的示例，点输入框弹出系统键盘，边输入边过滤，点结果直接打开示例
+ *
+ * 返回时由 navigator 带回上次的搜索词。没有 wx.showKeyboard 的环境（基础库太旧）输入框点了没反应，
+ * 只列出全部示例。
+ */
+export default class SearchState extends BackToMenuState {
+
+  constructor(game) {
+    super();
+    this.game = game;
+  }
+
+  create() {
+    super.create();
+
+    var view = this.game.navigator.viewState();
+    this.query = view && view.query || '';
+    this.typing = false;
+
+    var layout = this.game.layout;
+    var safe = layout.safeArea();
+    var fieldWidth = safe.width - 72;
+
+    this.field = this.game.add.graphics(0, 0);
+    this.field.beginFill(0xffffff);
+    this.field.drawRoundedRect(0, 0, fieldWidth, 32, 6);
+    this.field.endFill();
+    this.field.hitArea = new Phaser.Rectangle(0, 0, fieldWidth, 32);
+    this.field.inputEnabled = true;
+    this.field.events.onInputUp.add(this.openKeyboard, this);
+    layout.place(this.field, 'top-left', 56, 10);
+
+    this.fieldText = this.game.add.text(0, 0, '', { font: "16px Arial", fill: "#000" });
+    this.fieldText.anchor.setTo(0, 0.5);
+    layout.place(this.fieldText, 'top-left', 66, 26);
+
+    this.countText = this.game.add.text(0, 0, '', { font: "12px Arial", fill: "#ffffff" });
+    this.countText.anchor.setTo(0.5, 0.5);
+    layout.place(this.countText, 'top-center', 0, 54);
+
+    this.results = new ScrollView(this.game, 0, 0, safe.width, safe.height - 64);
+    layout.place(this.results, 'top-left', 0, 64);
+
+    this.inputHandler = this.onInput.bind(this);
+    this.confirmHandler = this.onConfirm.bind(this);
+    this.completeHandler = this.onComplete.bind(this);
+    wx.onKeyboardInput && wx.onKeyboardInput(this.inputHandler);
+    wx.onKeyboardConfirm && wx.onKeyboardConfirm(this.confirmHandler);
+    wx.onKeyboardComplete && wx.onKeyboardComplete(this.completeHandler);
+
+    this.filter(this.query);
+  }
+
+  openKeyboard() {
+    if (!wx.showKeyboard || this.typing) {
+      return;
+    }
+    this.typing = true;
+    wx.showKeyboard({
+      defaultValue: this.query,
+      maxLength: MAX_LENGTH,
+      multiple: false,
+      confirmHold: false,
+      confirmType: 'search'
+    });
+    this.updateField();
+  }
+
+  onInput(res) {
+    this.filter(res.value);
+  }
+
+  onConfirm(res) {
+    this.filter(res.value);
+  }
+
+  onComplete() {
+    this.typing = false;
+    this.updateField();
+  }
+
+  /**
+   * 按搜索词重建结果列表
+   */
+  filter(query) {
+    this.query = query || '';
+    this.updateField();
+
+    var found = Examples.search(this.query);
+    this.countText.text = I18n.t('search.count', { count: found.length });
+
+    this.results.clear();
+    for (var i = 0; i < found.length; i++) {
+      var example = found[i];
+      var category = Examples.getCategory(example.category);
+      // 坐标相对于列表，列表摆在安全区左上角，宽度和安全区一样
+      var caseRect = new CaseRect(this.game, this.results.viewWidth / 2, 16 + i * 34, { name: Examples.getName(example) + ' · ' + Examples.getName(category) });
+      caseRect.inputEnabled = true;
+      caseRect.addClick(this.clickRect, { state: this, example: example });
+      this.results.addItem(caseRect);
+    }
+  }
+
+  updateField() {
+    // 输入中在末尾画个光标
+    var cursor = this.typing ? '|' : '';
+    this.fieldText.text = this.query || this.typing ? this.query + cursor : I18n.t('search.placeholder');
+    this.fieldText.fill = this.query || this.typing ? '#000' : '#999';
+  }
+
+  clickRect(caseRect, pointer) {
+    if (!this.state.results.isTap()) {
+      return;
+    }
+    this.state.game.navigator.push(this.example.key, { effect: 'circle', x: pointer.x, y: pointer.y }, this.example.category);
+  }
+
+  getViewState() {
+    return { query: this.query };
+  }
+
+  shutdown() {
+    wx.offKeyboardInput && wx.offKeyboardInput(this.inputHandler);
+    wx.offKeyboardConfirm && wx.offKeyboardConfirm(this.confirmHandler);
+    wx.offKeyboardComplete && wx.offKeyboardComplete(this.completeHandler);
+    if (this.typing) {
+      wx.hideKeyboard && wx.hideKeyboard();
+    }
+  }
+
+}
@@ -2,6 +2,7 @@ import Phaser from '../libs/phaser-wx.js';
 import BackToMenuState from '../base/BackToMenuState.js';
 import Arrow from '../objects/Arrow.js';
 import CaseRect from '../objects/CaseRect.js';
+import ScrollView from '../objects/ScrollView.js';
 
 export default class SubMenuState extends BackToMenuState {
   
@@ -20,24 +21,26 @@ export default class SubMenuState extends BackToMenuState {
 
     super.create();
 
-    this.caseGroup = this.game.add.group();
+    // 列表夹在安全区的上下箭头之间，一页放得下几行就是几行，上下拖动或点箭头翻页
+    var layout = this.game.layout;
+    var safe = layout.safeArea();
+    this.pageSize = Math.max(1, Math.floor((safe.height - 124) / 34));
+    this.caseGroup = new ScrollView(this.game, 0, 0, safe.width, this.pageSize * 34, {pageSize: this.pageSize * 34});
+    layout.place(this.caseGroup, 'top-left', 0, 64);
     for(var i=0; i<this.list.length; i++) {
-      var caseRect = new CaseRect(this.game, this.game.width / 2, 80 + i * 34, this.list[i]);
+      var caseRect = new CaseRect(this.game, safe.width / 2, 16 + i * 34, this.list[i]);
+      caseRect.inputEnabled = true;
       caseRect.addClick(this.clickRect, {state: this, properties: this.list[i], key: this.key});
-      this.caseGroup.add(caseRect);
+      this.caseGroup.addItem(caseRect);
     }
-    this.pageSize = 16;
-    this.maxPageSize = Math.ceil(this.list.length / this.pageSize);
-    this.curPage = 1;
-    this.enablePageInput(this.curPage);
+    this.maxPageSize = this.caseGroup.pageCount();
+    // 从示例返回时回到离开时的那一页
+    this.curPage = this.game.navigator.viewPage(this.list, this.pageSize, this.maxPageSize);
+    this.caseGroup.scrollToPage(this.curPage, false);
+    this.caseGroup.onPageChange.add(this.changePage, this);
 
-    this.mask = this.game.add.graphics(0, 0);
-    this.mask.beginFill(0xffffff);
-    this.mask.drawRect(0, 64, this.game.width, this.game.height - 124);
-    this.caseGroup.mask = this.mask;
-
-    this.arrowUp = new Arrow(this.game, this.game.width / 2, 26, 'arrowUp');
-    this.arrowDown = new Arrow(this.game, this.game.width / 2, this.game.height - 26, 'arrowDown');
+    this.arrowUp = layout.place(new Arrow(this.game, 0, 0, 'arrowUp'), 'top-center', 0, 26);
+    this.arrowDown = layout.place(new Arrow(this.game, 0, 0, 'arrowDown'), 'bottom-center', 0, -26);
 
     this.arrowUp.addClick(this.clickArrow, {state: this, dir: 'up'});
     this.arrowDown.addClick(this.clickArrow, {state: this, dir: 'down'});
@@ -46,40 +49,24 @@ export default class SubMenuState extends BackToMenuState {
   }
 
   clickArrow() {
-    if(this.dir === 'up') {
-      if(this.state.curPage > 1) {
-        this.state.disablePageInput(this.state.curPage);
-        this.state.curPage--;
-        this.state.enablePageInput(this.state.curPage);
-        this.changeArrow(this.curPage);
-      }
-    } else {
-      if(this.state.curPage < this.state.maxPageSize) {
-        this.state.disablePageInput(this.state.curPage);
-        this.state.curPage++;
-        this.state.enablePageInput(this.state.curPage);
-        this.changeArrow(this.curPage);
-      }
-    }
-    this.state.game.add.tween(this.state.caseGroup).to({y: - (this.state.curPage - 1) * 544}, 200, "Linear", true);
+    this.state.caseGroup.scrollToPage(this.state.curPage + (this.dir === 'up' ? -1 : 1));
   }
 
-  clickRect() {
-    this.state.game.state.start(this.properties.state, true, false, this.key);
+  changePage(page) {
+    this.curPage = page;
+    this.changeArrow(page);
   }
 
-  enablePageInput(pageNum) {
-    this.changePageInput(pageNum, true);
-  }
-
-  disablePageInput(pageNum) {
-    this.changePageInput(pageNum, false);
+  clickRect(caseRect, pointer) {
+    if(!this.state.caseGroup.isTap()) {
+      return;
+    }
+    // 从点中的位置展开
+    this.state.game.navigator.push(this.properties.key, {effect: 'circle', x: pointer.x, y: pointer.y}, this.key);
   }
 
-  changePageInput(pageNum, enabled) {
-    for(var i = (pageNum - 1) * this.pageSize; i < pageNum * this.pageSize && i < this.caseGroup.length; i++) {
-      this.caseGroup.getChildAt(i).inputEnabled = enabled;
-    }
+  getViewState() {
+    return {page: this.curPage};
   }
 
   changeArrow(pageNum) {